@@ -14,6 +14,13 @@ const API = {
   
   // Cancellation
   _currentAbortController: null,
+  _currentRunId: null,
+  
+  // Server-side execution limits for run-chain (null = server default)
+  limits: {
+    stepTimeoutMs: null,
+    chainTimeoutMs: null
+  },
   
   /**
    * Initialize the Web Worker for heavy operations
@@ -79,6 +86,15 @@ const API = {
    * Cancel any ongoing operation
    */
   cancel() {
+    // Stop the chain on the server too - aborting the fetch alone would leave it running
+    if (this._currentRunId) {
+      fetch(`${this.baseUrl}/transform/cancel-chain`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ runId: this._currentRunId })
+      }).catch(() => {});
+      this._currentRunId = null;
+    }
     if (this._currentAbortController) {
       this._currentAbortController.abort();
       this._currentAbortController = null;
@@ -207,11 +223,64 @@ const API = {
   
   /**
    * Run a recipe chain
+   * Each run gets an id so cancel() can stop it server-side
+   * @param {Object} [options] - { captureSteps } (defaults to full runs only), { files } to run across several input files
+   */
+  async runChain(code, recipe, stepMode = false, options = {}) {
+    const { captureSteps = !stepMode, files = null } = options;
+    const runId = `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this._currentRunId = runId;
+    try {
+      return await this.request('/transform/run-chain', {
+        method: 'POST',
+        body: {
+          code,
+          // [{ name, code }] - the response then carries files with each output
+          ...(files ? { files } : {}),
+          recipe,
+          stepMode,
+          // Full runs return a map from the final code back to this input
+          sourceMaps: !stepMode,
+          // Full runs also return each item's code for the step diff
+          captureSteps: !stepMode && captureSteps,
+          runId,
+          stepTimeoutMs: this.limits.stepTimeoutMs,
+          chainTimeoutMs: this.limits.chainTimeoutMs
+        }
+      });
+    } finally {
+      if (this._currentRunId === runId) this._currentRunId = null;
+    }
+  },
+  
+  /**
+   * Check that a chain's output behaves like its input
+   * @param {Object[]} [steps] - [{ index, name, code }] used to find the step that diverged
+   */
+  async verify(input, output, steps = []) {
+    return this.request('/transform/verify', {
+      method: 'POST',
+      body: { input, output, steps }
+    });
+  },
+  
+  /**
+   * Detect known obfuscators in code and get a suggested recipe
+   */
+  async fingerprint(code) {
+    return this.request('/transform/fingerprint', {
+      method: 'POST',
+      body: { code }
+    });
+  },
+  
+  /**
+   * Split a webpack, Browserify or Rollup bundle into its modules
    */
-  async runChain(code, recipe, stepMode = false) {
-    return this.request('/transform/run-chain', {
+  async unpackBundle(code) {
+    return this.request('/transform/unpack-bundle', {
       method: 'POST',
-      body: { code, recipe, stepMode }
+      body: { code }
     });
   },
   
@@ -227,11 +296,45 @@ const API = {
   
   /**
    * Analyze scope
+   * @param {Object[]|null} [files] - [{ name, code }] to analyze several input files together
    */
-  async analyzeScope(code) {
+  async analyzeScope(code, files = null) {
     return this.request('/transform/analyze-scope', {
       method: 'POST',
-      body: { code }
+      // With files, globals resolve across the scripts
+      body: files ? { code, files } : { code }
+    });
+  },
+  
+  /**
+   * Build the call graph of some code
+   * @param {Object[]|null} [files] - [{ name, code }] to build one graph over several input files
+   */
+  async callGraph(code, files = null) {
+    return this.request('/transform/call-graph', {
+      method: 'POST',
+      body: files ? { code, files } : { code }
+    });
+  },
+  
+  /**
+   * Trace where the value at a position flows
+   * @param {Object} position - { line (1-based), column (0-based), file } - file picks one of files
+   */
+  async valueFlow(code, position, files = null) {
+    return this.request('/transform/value-flow', {
+      method: 'POST',
+      body: files ? { code, files, ...position } : { code, line: position.line, column: position.column }
+    });
+  },
+  
+  /**
+   * Extract indicators of compromise (URLs, IPs, wallets, sensitive API calls)
+   */
+  async extractIOCs(code, files = null) {
+    return this.request('/transform/iocs', {
+      method: 'POST',
+      body: files ? { code, files } : { code }
     });
   },
   
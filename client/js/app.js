@@ -9,11 +9,13 @@ const App = {
   stepCode: null, // Code at current step (for step-through mode)
   autoParseTimeout: null,
   autoRunEnabled: false,
+  verifyEnabled: false, // Check output behaviour against the input after each full run
   singleEditorMode: false, // Single editor mode - transforms apply directly to input
   autoRunTimeout: null,
   autoRunDelay: 500, // ms delay before auto-running (optimized for responsiveness)
   isRunning: false, // Flag to prevent recursive runs
   isCancelling: false, // Flag for cancellation state
+  fingerprintResult: null, // Last obfuscator detection, for applying its recipe
   
   // Script panel tabs
   scriptTabs: [], // Array of { id, name, code, modified }
@@ -57,12 +59,18 @@ const App = {
       // Initialize AST Viewer
       ASTViewer.init();
       ScopeAnalyzer.init();
+      CallGraphView.init();
+      IOCReport.init();
       console.log('AST Viewer initialized');
       
       // Initialize String Decoder
       StringDecoder.init();
       console.log('String Decoder initialized');
       
+      // Initialize recipe variants
+      VariantManager.init();
+      InputFiles.init();
+      
       // Setup UI event listeners
       this.setupEventListeners();
       this.setupResizeHandlers();
@@ -169,7 +177,10 @@ const App = {
     
     return currentState.inputCode !== this.lastSavedState.inputCode ||
            currentState.outputCode !== this.lastSavedState.outputCode ||
-           JSON.stringify(currentState.recipe) !== JSON.stringify(this.lastSavedState.recipe);
+           JSON.stringify(currentState.recipe) !== JSON.stringify(this.lastSavedState.recipe) ||
+           JSON.stringify(currentState.variants) !== JSON.stringify(this.lastSavedState.variants) ||
+           JSON.stringify(currentState.files) !== JSON.stringify(this.lastSavedState.files) ||
+           currentState.iocsExtractedAt !== this.lastSavedState.iocsExtractedAt;
   },
   
   /**
@@ -179,7 +190,10 @@ const App = {
     return {
       inputCode: EditorManager.getInput() || '',
       outputCode: EditorManager.getOutput() || '',
-      recipe: RecipeManager.getChainData() || []
+      recipe: RecipeManager.getChainData() || [],
+      variants: VariantManager.getData(),
+      files: InputFiles.getData().files,
+      iocsExtractedAt: IOCReport.report?.extractedAt || null
     };
   },
   
@@ -265,6 +279,10 @@ const App = {
     });
     
     document.getElementById('btn-format-input')?.addEventListener('click', () => this.formatInput());
+    document.getElementById('btn-fingerprint-input')?.addEventListener('click', () => this.fingerprintInput());
+    document.getElementById('btn-apply-suggested-recipe')?.addEventListener('click', () => this.applySuggestedRecipe());
+    document.getElementById('btn-unpack-bundle')?.addEventListener('click', () => this.unpackBundle());
+    document.getElementById('btn-add-input-file')?.addEventListener('click', () => InputFiles.pickFiles());
     document.getElementById('btn-paste-input')?.addEventListener('click', () => this.pasteFromClipboard());
     document.getElementById('btn-copy-output')?.addEventListener('click', () => this.copyOutput());
     document.getElementById('btn-use-as-input')?.addEventListener('click', () => this.useOutputAsInput());
@@ -274,6 +292,7 @@ const App = {
     // Step diff navigation buttons
     document.getElementById('diff-step-prev')?.addEventListener('click', () => EditorManager.prevStepDiff());
     document.getElementById('diff-step-next')?.addEventListener('click', () => EditorManager.nextStepDiff());
+    document.getElementById('diff-step-branch')?.addEventListener('click', () => this.branchFromStep());
     
     // Diff mode dropdown
     const diffModeSelect = document.getElementById('diff-mode-select');
@@ -507,6 +526,12 @@ const App = {
       this.toggleSingleEditorMode(this.singleEditorMode);
     });
     
+    // Behaviour verification after full runs
+    document.getElementById('verify-checkbox')?.addEventListener('change', (e) => {
+      this.verifyEnabled = e.target.checked;
+      this.log(this.verifyEnabled ? 'Behaviour verification enabled' : 'Behaviour verification disabled', 'info');
+    });
+    
     // Simple editor mode toggle (for very large files)
     document.getElementById('simple-mode-checkbox')?.addEventListener('change', (e) => {
       EditorManager.enableSimpleMode(e.target.checked);
@@ -897,6 +922,10 @@ const App = {
       }
     } else if (tabName === 'scope') {
       ScopeAnalyzer.analyze(EditorManager.getInput());
+    } else if (tabName === 'callgraph') {
+      CallGraphView.refresh();
+    } else if (tabName === 'iocs') {
+      IOCReport.render();
     } else if (tabName === 'summary') {
       this.refreshSummary();
     }
@@ -1554,7 +1583,11 @@ const App = {
         return;
       }
       
-      const result = await RecipeManager.runAll(formattedCode);
+      // The chain gets the untouched input so its source map points into what
+      // the input editor shows (it parses and regenerates the code anyway).
+      // Several input files run together and come back one output per file.
+      const files = InputFiles.getSources();
+      const result = await RecipeManager.runAll(code, files);
       const duration = Date.now() - startTime;
       
       // Check if cancelled
@@ -1569,7 +1602,7 @@ const App = {
         results: result.results || [],
         success: result.success,
         duration: duration,
-        inputSize: this.getByteSize(code),
+        inputSize: files ? files.reduce((sum, f) => sum + this.getByteSize(f.code), 0) : this.getByteSize(code),
         outputSize: result.code ? this.getByteSize(result.code) : this.getByteSize(formattedCode),
         error: result.error || null
       };
@@ -1579,23 +1612,37 @@ const App = {
         this.refreshSummary();
       }
       
+      SourceMapLinker.clear();
+      EditorManager.clearOriginHighlight();
+      
       if (result.success) {
         EditorManager.pushHistory(); // Save state before applying
         
+        const fileNote = result.files ? ` across ${result.files.length} files` : '';
+        
         if (this.singleEditorMode) {
           // In single editor mode, apply directly to input
-          EditorManager.setInput(result.code);
+          if (result.files) {
+            InputFiles.setOutputs(result.files, true);
+          } else {
+            EditorManager.setInput(result.code);
+          }
           EditorManager.clearOutput();
           RecipeManager.resetChain();
-          this.log(`Completed ${result.results.length} transforms in ${duration}ms (applied to input)`, 'success');
+          this.log(`Completed ${result.results.length} transforms${fileNote} in ${duration}ms (applied to input)`, 'success');
         } else {
-          EditorManager.setOutput(result.code);
+          if (result.files) {
+            InputFiles.setOutputs(result.files);
+          } else {
+            EditorManager.setOutput(result.code);
+            SourceMapLinker.set(result.sourceMap, code, EditorManager.getOutput());
+          }
           
           // Update output AST and Scope for diff mode comparison
-          ASTViewer.updateOutputAST(result.code);
-          ScopeAnalyzer.updateOutputScope(result.code);
+          ASTViewer.updateOutputAST(EditorManager.getOutput());
+          ScopeAnalyzer.updateOutputScope(EditorManager.getOutput());
           
-          this.log(`Completed ${result.results.length} transforms in ${duration}ms`, 'success');
+          this.log(`Completed ${result.results.length} transforms${fileNote} in ${duration}ms`, 'success');
         }
         
         // Log individual stats
@@ -1610,6 +1657,13 @@ const App = {
             }
           }
         });
+        
+        if (this.verifyEnabled && result.files) {
+          this.log('Behaviour check skipped: it compares a single input with its output', 'info');
+        } else if (this.verifyEnabled) {
+          this.showProgress('Verifying behaviour...');
+          await this.verifyRun(code, result.code);
+        }
       } else {
         EditorManager.setOutput(result.code || code);
         
@@ -1639,6 +1693,55 @@ const App = {
     }
   },
   
+  /**
+   * Execute the input and output of a run against stubbed browser APIs and
+   * report whether they behave the same; a divergence is traced back to the
+   * first step that introduced it and highlighted in the chain
+   */
+  async verifyRun(inputCode, outputCode) {
+    try {
+      const steps = RecipeManager.intermediateSteps.map(step => ({ index: step.index, name: step.name, code: step.code }));
+      const report = await API.verify(inputCode, outputCode, steps);
+      if (!report.success) throw new Error(report.error);
+      
+      if (report.equivalent) {
+        if (report.inconclusive) {
+          const reason = report.input.error || (report.input.timedOut ? 'the input timed out' : 'the input did nothing observable');
+          this.log(`Behaviour check inconclusive: ${reason}`, 'warn');
+        } else {
+          this.log(`Behaviour check passed (${report.input.events.length} events matched)`, 'success');
+        }
+        return;
+      }
+      
+      const divergence = report.divergentStep?.divergence || report.divergence;
+      const detail = `event ${divergence.eventIndex + 1} was ${this.formatTraceEvent(divergence.expected)}, now ${this.formatTraceEvent(divergence.actual)}`;
+      if (report.divergentStep) {
+        RecipeManager.markDivergence(report.divergentStep.index, `Behaviour changed here: ${detail}`);
+        this.log(`Behaviour diverged at step ${report.divergentStep.index + 1} (${report.divergentStep.name}): ${detail}`, 'error');
+      } else {
+        this.log(`Behaviour diverged: ${detail}`, 'error');
+      }
+    } catch (error) {
+      this.log(`Behaviour check failed: ${error.message}`, 'error');
+    }
+  },
+  
+  /**
+   * Readable form of a behaviour trace event
+   */
+  formatTraceEvent(event) {
+    if (!event) return 'the end of the trace';
+    switch (event.type) {
+      case 'timeout': return 'a timeout';
+      case 'error': return `${event.name}: ${event.message}`;
+      case 'console': return `console.${event.level}(${event.args.join(', ')})`;
+      case 'set': return `${event.api} = ${event.value}`;
+      case 'new': return `new ${event.api}(${event.args.join(', ')})`;
+      default: return `${event.api}(${event.args.join(', ')})`;
+    }
+  },
+  
   /**
    * Run only a newly added chain item (continues from last output)
    * This is more efficient than re-running the entire chain
@@ -1646,6 +1749,12 @@ const App = {
   async runNewChainItem(item, index) {
     if (this.isRunning) return;
     
+    // Outputs of several files can't continue one item at a time
+    if (InputFiles.isMulti()) {
+      this.runAll();
+      return;
+    }
+    
     // Use current output as input (continue from last run)
     // If no output yet, use input
     let code = EditorManager.getOutput();
@@ -1871,6 +1980,110 @@ const App = {
     }
   },
   
+  /**
+   * Detect known obfuscators in the input and show the suggested recipe
+   */
+  async fingerprintInput() {
+    const code = EditorManager.getInput();
+    if (!code.trim()) {
+      this.log('No input code to analyze', 'warn');
+      return;
+    }
+    
+    try {
+      const result = await API.fingerprint(code);
+      if (!result.success) throw new Error(result.error);
+      this.fingerprintResult = result;
+      this.renderFingerprint(result);
+      this.openModal('modal-fingerprint');
+      
+      const [top] = result.detections;
+      this.log(top ? `Looks like ${top.name} (${Math.round(top.confidence * 100)}%)` : 'No known obfuscator detected', 'info');
+    } catch (error) {
+      this.log(`Detection error: ${error.message}`, 'error');
+    }
+  },
+  
+  /**
+   * Render detections, suggested recipe and notes into the detection modal
+   */
+  renderFingerprint(result) {
+    const body = document.getElementById('fingerprint-body');
+    if (!body) return;
+    
+    const detections = result.detections.length === 0
+      ? '<div class="summary-empty">No known obfuscator signatures found</div>'
+      : result.detections.map(d => `
+        <div class="fingerprint-detection${d.confidence < 0.5 ? ' weak' : ''}">
+          <div class="fingerprint-detection-header">
+            <strong>${this.escapeHtml(d.name)}</strong>
+            <span>${Math.round(d.confidence * 100)}%</span>
+            <div class="fingerprint-confidence"><div class="fingerprint-confidence-fill" style="width: ${Math.round(d.confidence * 100)}%"></div></div>
+          </div>
+          <ul class="fingerprint-evidence">${d.evidence.map(e => `<li>${this.escapeHtml(e)}</li>`).join('')}</ul>
+        </div>
+      `).join('');
+    
+    const recipe = result.recipe.length === 0
+      ? '<div class="summary-empty">No steps to suggest</div>'
+      : `<ol class="fingerprint-recipe">${result.recipe.map(step => {
+        const item = RecipeManager.findLibraryItem(step.id, step.type);
+        return `<li>${this.escapeHtml(item?.name || step.id)}${item ? '' : ' (not installed)'} <span class="fingerprint-reason">- ${this.escapeHtml(step.reason)}</span></li>`;
+      }).join('')}</ol>`;
+    
+    const notes = result.notes.map(note => `<p class="fingerprint-note">${this.escapeHtml(note)}</p>`).join('');
+    
+    body.innerHTML = `
+      <div class="fingerprint-section"><h5>Signatures</h5>${detections}</div>
+      <div class="fingerprint-section"><h5>Suggested Recipe</h5>${recipe}${notes}</div>
+    `;
+    
+    const applyBtn = document.getElementById('btn-apply-suggested-recipe');
+    if (applyBtn) applyBtn.disabled = result.recipe.length === 0;
+  },
+  
+  /**
+   * Replace the recipe chain with the last suggested recipe
+   */
+  applySuggestedRecipe() {
+    const recipe = this.fingerprintResult?.recipe;
+    if (!recipe || recipe.length === 0) return;
+    
+    if (RecipeManager.chain.length > 0 && !confirm('Replace the current recipe chain with the suggested recipe?')) {
+      return;
+    }
+    
+    const missing = RecipeManager.applySuggestedRecipe(recipe);
+    this.closeModal('modal-fingerprint');
+    this.log(`Applied suggested recipe (${recipe.length - missing.length} step${recipe.length - missing.length !== 1 ? 's' : ''})`, 'success');
+    if (missing.length > 0) {
+      this.log(`Skipped steps not in the library: ${missing.join(', ')}`, 'warn');
+    }
+  },
+  
+  /**
+   * Split the input bundle into one tab per module
+   */
+  async unpackBundle() {
+    InputFiles.syncActive();
+    const code = EditorManager.getInput();
+    if (!code.trim()) {
+      this.log('No input code to unpack', 'warn');
+      return;
+    }
+    
+    try {
+      const result = await API.unpackBundle(code);
+      if (!result.success) throw new Error(result.error);
+      
+      InputFiles.openBundle(result.bundle);
+      const count = result.bundle.modules.length;
+      this.log(`Unpacked ${count} module${count !== 1 ? 's' : ''} (${result.bundle.format})`, 'success');
+    } catch (error) {
+      this.log(`Unpack error: ${error.message}`, 'error');
+    }
+  },
+  
   /**
    * Paste from clipboard
    */
@@ -1912,6 +2125,38 @@ const App = {
     this.log('Output moved to input', 'info');
   },
   
+  /**
+   * Start a new recipe from the step shown in the step diff
+   * The step's code becomes the input and the recipe keeps only the items
+   * after it; the result is unsaved, so saving creates a new project
+   */
+  branchFromStep() {
+    const stepIndex = EditorManager.diffStepIndex;
+    const step = RecipeManager.intermediateSteps[stepIndex];
+    if (!step) return;
+    
+    const remaining = RecipeManager.getChainAfterStep(stepIndex);
+    
+    // Leave the diff view so the editors show the branch
+    if (EditorManager.isDiffMode) {
+      EditorManager.toggleDiff(EditorManager.diffType);
+    }
+    
+    EditorManager.pushHistory();
+    EditorManager.setInput(step.code);
+    EditorManager.clearOutput();
+    RecipeManager.loadChainData(remaining);
+    RecipeManager.intermediateSteps = [];
+    VariantManager.reset(remaining);
+    this.stepCode = null;
+    
+    this.currentProject = null;
+    document.getElementById('project-select').value = '';
+    this.updateProjectIndicator();
+    
+    this.log(`Branched from step ${stepIndex + 1} (${step.name}) - ${remaining.length} transform${remaining.length !== 1 ? 's' : ''} left`, 'info');
+  },
+  
   /**
    * Toggle single editor mode
    */
@@ -3393,6 +3638,10 @@ const App = {
     EditorManager.clearInput();
     EditorManager.clearOutput();
     RecipeManager.clearChain();
+    RecipeManager.intermediateSteps = [];
+    VariantManager.reset();
+    InputFiles.reset();
+    IOCReport.reset();
     this.stepCode = null;
     
     // Reset to clean state
@@ -3426,8 +3675,12 @@ const App = {
       const result = await API.getProject(id);
       if (result.success) {
         this.currentProject = result.project;
+        InputFiles.reset();
         EditorManager.setInput(result.project.inputCode || '');
         EditorManager.setOutput(result.project.outputCode || '');
+        InputFiles.load(result.project);
+        VariantManager.load(result.project);
+        IOCReport.load(result.project);
         
         if (result.project.recipe) {
           RecipeManager.loadChainData(result.project.recipe);
@@ -3435,6 +3688,10 @@ const App = {
           RecipeManager.clearChain();
         }
         
+        // Saved steps bring back the step diff and per-item stats
+        RecipeManager.restoreStepSnapshot(result.project.steps);
+        EditorManager.updateDiff();
+        
         this.stepCode = null;
         
         // Mark as saved state
@@ -3569,7 +3826,18 @@ const App = {
     
     document.getElementById('summary-input-lines').textContent = `${inputLines} lines`;
     document.getElementById('summary-output-lines').textContent = `${outputLines} lines`;
-    document.getElementById('summary-recipe-count').textContent = `${recipe.length} transform${recipe.length !== 1 ? 's' : ''}`;
+    const variantCount = VariantManager.variants.length;
+    document.getElementById('summary-recipe-count').textContent = `${recipe.length} transform${recipe.length !== 1 ? 's' : ''}` +
+      (variantCount > 1 ? ` (${variantCount} variants)` : '');
+    
+    // Steps can only be saved when the last run left some
+    const stepCount = RecipeManager.intermediateSteps.length;
+    const saveSteps = document.getElementById('project-save-steps');
+    document.getElementById('summary-step-count').textContent = `${stepCount} step${stepCount !== 1 ? 's' : ''}`;
+    if (saveSteps) {
+      saveSteps.disabled = stepCount === 0;
+      saveSteps.checked = stepCount > 0 && !!this.currentProject?.steps;
+    }
   },
   
   /**
@@ -3591,7 +3859,12 @@ const App = {
       description,
       inputCode: EditorManager.getInput(),
       outputCode: EditorManager.getOutput(),
-      recipe: RecipeManager.getChainData()
+      ...InputFiles.getData(),
+      recipe: RecipeManager.getChainData(),
+      ...VariantManager.getData(),
+      ...IOCReport.getData(),
+      // null drops steps saved earlier
+      steps: document.getElementById('project-save-steps')?.checked ? RecipeManager.getStepSnapshot() : null
     };
     
     try {
@@ -3703,6 +3976,8 @@ const App = {
       const project = {
         name: 'Exported Project',
         inputCode: EditorManager.getInput(),
+        ...InputFiles.getData(),
+        ...IOCReport.getData(),
         recipe: RecipeManager.getChainData(),
         settings: this.getSettings(),
         chainOptions: {
@@ -3739,7 +4014,14 @@ const App = {
    * Download JSON file
    */
   downloadJson(data, filename) {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    this.downloadText(JSON.stringify(data, null, 2), filename, 'application/json');
+  },
+  
+  /**
+   * Download text file
+   */
+  downloadText(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -3763,10 +4045,22 @@ const App = {
         showLoc: document.getElementById('setting-ast-loc')?.checked || false,
         showExtra: document.getElementById('setting-ast-extra')?.checked || false,
         showTokens: document.getElementById('setting-ast-tokens')?.checked || false
+      },
+      limits: {
+        stepTimeout: parseInt(document.getElementById('setting-step-timeout')?.value, 10) || null,
+        chainTimeout: parseInt(document.getElementById('setting-chain-timeout')?.value, 10) || null
       }
     };
   },
   
+  /**
+   * Apply execution limits (seconds) to run-chain requests
+   */
+  applyLimits(limits) {
+    API.limits.stepTimeoutMs = limits?.stepTimeout ? limits.stepTimeout * 1000 : null;
+    API.limits.chainTimeoutMs = limits?.chainTimeout ? limits.chainTimeout * 1000 : null;
+  },
+  
   /**
    * Load settings from localStorage
    */
@@ -3810,6 +4104,9 @@ const App = {
       this.updateASTViewerSettings(settings.ast);
     }
     
+    // Apply execution limits
+    this.applyLimits(settings.limits);
+    
     // Apply editor settings
     if (settings.editor && typeof ASTViewer !== 'undefined') {
       // Will be applied when sync toggles
@@ -3860,6 +4157,8 @@ const App = {
     document.getElementById('setting-ast-loc').checked = settings.ast?.showLoc || false;
     document.getElementById('setting-ast-extra').checked = settings.ast?.showExtra ?? true;
     document.getElementById('setting-ast-tokens').checked = settings.ast?.showTokens ?? true;
+    document.getElementById('setting-step-timeout').value = settings.limits?.stepTimeout || '';
+    document.getElementById('setting-chain-timeout').value = settings.limits?.chainTimeout || '';
     
     this.openModal('modal-settings');
   },
@@ -3871,8 +4170,9 @@ const App = {
     const settings = this.getSettings();
     localStorage.setItem('workbench-settings', JSON.stringify(settings));
     
-    // Apply AST settings immediately
+    // Apply AST settings and limits immediately
     this.updateASTViewerSettings(settings.ast);
+    this.applyLimits(settings.limits);
     
     this.closeModal('modal-settings');
     this.log('Settings saved', 'success');
@@ -3958,6 +4258,7 @@ const App = {
         description,
         inputCode: EditorManager.getInput(),
         outputCode: EditorManager.getOutput(),
+        ...InputFiles.getData(),
         recipe: RecipeManager.chain,
         settings: this.getSettings(),
         updatedAt: new Date().toISOString()
@@ -3796,7 +3796,7 @@ const ScopeAnalyzer = {
     }
     
     try {
-      const result = await API.analyzeScope(code);
+      const result = await API.analyzeScope(code, InputFiles.getSources('output'));
       if (result.success) {
         this.outputScopes = result.scopes;
         
@@ -3818,7 +3818,8 @@ const ScopeAnalyzer = {
     }
     
     try {
-      const result = await API.analyzeScope(code);
+      // Several input files are analyzed together so globals resolve across them
+      const result = await API.analyzeScope(code, InputFiles.getSources(source));
       if (result.success) {
         // Cache based on source
         if (source === 'input') {
@@ -3864,12 +3865,17 @@ const ScopeAnalyzer = {
     const startLine = scopeLoc.start?.line || 0;
     const endLine = scopeLoc.end?.line || 0;
     
+    // Multi-file analysis: locations name their file, the shared Program lists them all
+    const scopeFile = scopeLoc.file || '';
+    const fileLabel = scope.files ? `${scope.files.length} files` : scopeFile;
+    
     let html = `
-      <div class="scope-item" data-index="${index}" data-start-line="${startLine}" data-end-line="${endLine}">
-        <div class="scope-header" style="padding-left: ${depth * 16 + 8}px;">
+      <div class="scope-item" data-index="${index}" data-start-line="${startLine}" data-end-line="${endLine}" data-file="${this.escapeAttr(scopeFile)}">
+        <div class="scope-header" style="padding-left: ${depth * 16 + 8}px;"${scope.files ? ` title="${this.escapeAttr(scope.files.join('\n'))}"` : ''}>
           <span class="scope-toggle">▶</span>
           <span class="scope-type">${scope.type}</span>
           <span class="scope-count">(${bindingCount} bindings)</span>
+          ${fileLabel ? `<span class="scope-file">${this.escapeAttr(fileLabel)}</span>` : ''}
           ${startLine ? `<span class="scope-line">L${startLine}</span>` : ''}
         </div>
     `;
@@ -3885,10 +3891,12 @@ const ScopeAnalyzer = {
         const endLine = binding.loc?.end?.line || line;
         const endCol = binding.loc?.end?.column || col;
         
-        // Build references data attribute
+        const bindingFile = binding.loc?.file || '';
+        
+        // Build references data attribute (line:col, plus :file across files)
         const refsData = refs
           .filter(ref => ref.line)
-          .map(ref => `${ref.line}:${ref.column || 0}`)
+          .map(ref => `${ref.line}:${ref.column || 0}${ref.file ? `:${encodeURIComponent(ref.file)}` : ''}`)
           .join(',');
         
         const hasRefs = refCount > 0;
@@ -3900,6 +3908,7 @@ const ScopeAnalyzer = {
                data-col="${col}"
                data-end-line="${endLine}"
                data-end-col="${endCol}"
+               data-file="${this.escapeAttr(bindingFile)}"
                data-refs="${refsData}"
                style="padding-left: ${depth * 16 + 24}px;">
             <div class="binding-header">
@@ -3919,15 +3928,17 @@ const ScopeAnalyzer = {
               const refType = ref.type || 'reference';
               const refIcon = refType === 'write' ? '✎' : refType === 'declaration' ? '◆' : '→';
               const refLabel = refType === 'write' ? 'write' : refType === 'declaration' ? 'decl' : 'read';
+              const refFile = ref.file ? this.escapeAttr(ref.file) : '';
               
               html += `
                 <div class="binding-ref-item" 
                      data-line="${ref.line}" 
                      data-col="${ref.column || 0}"
                      data-name="${name}"
-                     title="Line ${ref.line}, Col ${ref.column || 0}">
+                     data-file="${refFile}"
+                     title="${refFile ? `${refFile}, ` : ''}Line ${ref.line}, Col ${ref.column || 0}">
                   <span class="ref-icon">${refIcon}</span>
-                  <span class="ref-location">L${ref.line}:${ref.column || 0}</span>
+                  <span class="ref-location">${refFile && refFile !== this.escapeAttr(bindingFile) ? `${refFile} ` : ''}L${ref.line}:${ref.column || 0}</span>
                   <span class="ref-type">${refLabel}</span>
                 </div>
               `;
@@ -3989,7 +4000,7 @@ const ScopeAnalyzer = {
         // Jump to declaration in editor
         const line = parseInt(bindingItem.dataset.line);
         if (line > 0) {
-          EditorManager.jumpToPosition(targetEditor, line, 1);
+          this.jumpTo(targetEditor, bindingItem.dataset.file, line, 1);
         }
       });
       
@@ -4027,7 +4038,7 @@ const ScopeAnalyzer = {
         
         if (line > 0) {
           // Jump to position in editor
-          EditorManager.jumpToPosition(targetEditor, line, col + 1);
+          this.jumpTo(targetEditor, refItem.dataset.file, line, col + 1);
           
           // Try to find and highlight in AST
           this.highlightIdentifierInAST(name, line, col);
@@ -4053,6 +4064,21 @@ const ScopeAnalyzer = {
     }
   },
   
+  /**
+   * Jump to a position, first showing the input file it is in
+   */
+  jumpTo(editor, file, line, column) {
+    if (file) InputFiles.showFile(file);
+    EditorManager.jumpToPosition(editor, line, column);
+  },
+  
+  /**
+   * Escape text for an HTML attribute
+   */
+  escapeAttr(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  },
+  
   /**
    * Highlight an identifier in the AST viewer at specific location
    */
@@ -4130,6 +4156,8 @@ const ScopeAnalyzer = {
     
     const line = position.lineNumber;
     const column = position.column - 1;
+    // Across files, only positions in the file on screen count
+    const activeFile = InputFiles.isMulti() ? InputFiles.getActive()?.name : null;
     
     // Find binding that matches this position
     let bestMatch = null;
@@ -4142,7 +4170,7 @@ const ScopeAnalyzer = {
       const bindingEndCol = parseInt(item.dataset.endCol) || bindingCol;
       
       // Check if cursor is on the binding declaration
-      const onDeclaration = (
+      const onDeclaration = (!activeFile || !item.dataset.file || item.dataset.file === activeFile) && (
         (line > bindingLine || (line === bindingLine && column >= bindingCol)) &&
         (line < bindingEndLine || (line === bindingEndLine && column <= bindingEndCol))
       );
@@ -4158,9 +4186,10 @@ const ScopeAnalyzer = {
       if (refs) {
         refs.split(',').forEach(ref => {
           if (!ref) return;
-          const [refLine, refCol] = ref.split(':').map(Number);
+          const [refLine, refCol, refFile] = ref.split(':');
+          if (activeFile && refFile && decodeURIComponent(refFile) !== activeFile) return;
           // Check if cursor is near this reference (same line, within ~20 chars)
-          if (line === refLine && Math.abs(column - refCol) < 20) {
+          if (line === Number(refLine) && Math.abs(column - Number(refCol)) < 20) {
             const dist = Math.abs(column - refCol);
             if (dist < bestDistance) {
               bestDistance = dist;
@@ -0,0 +1,273 @@
+/**
+ * Call Graph Module - Function-level view of the input or output
+ * Lists every function with the functions it calls and is called by (calls
+ * through aliases, proxy objects and .call/.apply/.bind included), and traces
+ * where the value under the cursor flows
+ */
+
+const CallGraphView = {
+  graph: null, // { nodes, edges } from /transform/call-graph
+  currentSource: 'input',
+  cursor: null, // { editor, position } - last cursor position in either editor
+  expanded: new Set(),
+
+  /**
+   * Initialize call graph panel
+   */
+  init() {
+    document.getElementById('btn-refresh-callgraph')?.addEventListener('click', () => this.refresh());
+    document.getElementById('btn-trace-value')?.addEventListener('click', () => this.traceAtCursor());
+
+    document.querySelectorAll('.callgraph-source-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.switchSource(tab.dataset.source));
+    });
+
+    document.getElementById('callgraph-search')?.addEventListener('input', (e) => {
+      this.filter(e.target.value);
+    });
+
+    window.addEventListener('cursor-changed', (e) => {
+      this.cursor = { editor: e.detail.editor, position: e.detail.position };
+    });
+  },
+
+  /**
+   * Code and (in multi-file projects) files of the selected source
+   */
+  getSource() {
+    const code = this.currentSource === 'input' ? EditorManager.getInput() : EditorManager.getOutput();
+    return { code, files: InputFiles.getSources(this.currentSource) };
+  },
+
+  /**
+   * Switch between input and output
+   */
+  switchSource(source) {
+    this.currentSource = source;
+    document.querySelectorAll('.callgraph-source-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.source === source);
+    });
+    this.clearFlow();
+    this.refresh();
+  },
+
+  /**
+   * Rebuild the graph for the selected source
+   */
+  async refresh() {
+    const { code, files } = this.getSource();
+    if (!code || !code.trim()) {
+      this.graph = null;
+      this.render();
+      return;
+    }
+
+    try {
+      const result = await API.callGraph(code, files);
+      if (!result.success) throw new Error(result.error);
+      this.graph = { nodes: result.nodes, edges: result.edges };
+      this.render();
+    } catch (error) {
+      this.graph = null;
+      const container = document.getElementById('callgraph-tree');
+      if (container) container.innerHTML = `<div class="ast-error">${App.escapeHtml(error.message)}</div>`;
+    }
+  },
+
+  /**
+   * Trace the value at the cursor of the selected source's editor
+   */
+  async traceAtCursor() {
+    if (!this.cursor || this.cursor.editor !== this.currentSource) {
+      this.showFlowMessage(`Place the cursor on a variable or expression in the ${this.currentSource} editor`);
+      return;
+    }
+
+    const { code, files } = this.getSource();
+    const position = {
+      line: this.cursor.position.lineNumber,
+      column: this.cursor.position.column - 1,
+      file: files ? InputFiles.getActive()?.name : undefined
+    };
+
+    try {
+      const result = await API.valueFlow(code, position, files);
+      if (!result.success) throw new Error(result.error);
+      this.renderFlow(result);
+    } catch (error) {
+      this.showFlowMessage(error.message, true);
+    }
+  },
+
+  /**
+   * Jump to a position in the selected source, showing its file first
+   */
+  jumpTo(file, line, column) {
+    if (!line) return;
+    if (file) InputFiles.showFile(file);
+    EditorManager.jumpToPosition(this.currentSource, line, column + 1);
+  },
+
+  /**
+   * Short location label (file name only when there are several files)
+   */
+  formatLocation(item) {
+    if (!item.line) return '';
+    return `${item.file ? `${item.file} ` : ''}L${item.line}`;
+  },
+
+  /**
+   * Render the function list with callees and callers
+   */
+  render() {
+    const container = document.getElementById('callgraph-tree');
+    if (!container) return;
+
+    if (!this.graph || this.graph.nodes.length === 0) {
+      container.innerHTML = '<div class="scope-empty">Analyze code to view the call graph</div>';
+      return;
+    }
+
+    const byId = new Map(this.graph.nodes.map(node => [node.id, node]));
+    const callees = new Map();
+    const callers = new Map();
+    for (const edge of this.graph.edges) {
+      if (!callees.has(edge.from)) callees.set(edge.from, []);
+      if (!callers.has(edge.to)) callers.set(edge.to, []);
+      callees.get(edge.from).push(edge);
+      callers.get(edge.to).push(edge);
+    }
+
+    const edgeRows = (edges, direction) => edges.flatMap(edge => {
+      const other = byId.get(direction === 'out' ? edge.to : edge.from);
+      return edge.calls.map(call => `
+        <div class="callgraph-edge ${other.kind === 'external' ? 'external' : ''}" data-file="${App.escapeHtml(call.file || '')}" data-line="${call.line}" data-col="${call.column}" data-target="${App.escapeHtml(other.id)}">
+          <span class="callgraph-arrow">${direction === 'out' ? '→' : '←'}</span>
+          <span class="callgraph-edge-name">${App.escapeHtml(other.name)}</span>
+          ${call.via !== 'direct' ? `<span class="callgraph-via">${call.via}</span>` : ''}
+          <span class="callgraph-line">${this.formatLocation(call)}</span>
+        </div>
+      `);
+    }).join('');
+
+    const nodeHtml = node => {
+      const out = callees.get(node.id) || [];
+      const inc = callers.get(node.id) || [];
+      const outCount = out.reduce((sum, edge) => sum + edge.calls.length, 0);
+      const inCount = inc.reduce((sum, edge) => sum + edge.calls.length, 0);
+      return `
+        <div class="callgraph-node ${node.kind} ${this.expanded.has(node.id) ? 'expanded' : ''}" data-id="${App.escapeHtml(node.id)}" data-name="${App.escapeHtml(node.name.toLowerCase())}">
+          <div class="callgraph-node-header" data-file="${App.escapeHtml(node.file || '')}" data-line="${node.line}" data-col="${node.column}">
+            <span class="callgraph-toggle">${out.length + inc.length > 0 ? '▶' : ''}</span>
+            <span class="callgraph-name">${App.escapeHtml(node.name)}</span>
+            ${node.kind !== 'program' && node.kind !== 'external' ? `<span class="callgraph-params">(${node.params})</span>` : ''}
+            <span class="callgraph-counts" title="${outCount} call(s) out, ${inCount} call(s) in">→${outCount} ←${inCount}</span>
+            <span class="callgraph-line">${this.formatLocation(node)}</span>
+          </div>
+          <div class="callgraph-edges">${edgeRows(out, 'out')}${edgeRows(inc, 'in')}</div>
+        </div>
+      `;
+    };
+
+    const functions = this.graph.nodes.filter(node => node.kind !== 'external');
+    const externals = this.graph.nodes.filter(node => node.kind === 'external').sort((a, b) => a.name.localeCompare(b.name));
+
+    container.innerHTML = `
+      ${functions.map(nodeHtml).join('')}
+      ${externals.length > 0 ? `<div class="callgraph-group">Globals called (${externals.length})</div>${externals.map(nodeHtml).join('')}` : ''}
+    `;
+
+    container.querySelectorAll('.callgraph-node-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const nodeEl = header.closest('.callgraph-node');
+        nodeEl.classList.toggle('expanded');
+        if (nodeEl.classList.contains('expanded')) this.expanded.add(nodeEl.dataset.id);
+        else this.expanded.delete(nodeEl.dataset.id);
+        this.jumpTo(header.dataset.file, parseInt(header.dataset.line), parseInt(header.dataset.col) || 0);
+      });
+    });
+
+    container.querySelectorAll('.callgraph-edge').forEach(edgeEl => {
+      edgeEl.addEventListener('click', () => {
+        this.jumpTo(edgeEl.dataset.file, parseInt(edgeEl.dataset.line), parseInt(edgeEl.dataset.col) || 0);
+      });
+    });
+
+    this.filter(document.getElementById('callgraph-search')?.value || '');
+  },
+
+  /**
+   * Show only functions whose name contains the query
+   */
+  filter(query) {
+    const needle = query.trim().toLowerCase();
+    document.querySelectorAll('#callgraph-tree .callgraph-node').forEach(nodeEl => {
+      nodeEl.classList.toggle('search-hidden', needle !== '' && !nodeEl.dataset.name.includes(needle));
+    });
+  },
+
+  /**
+   * Render a value flow trace
+   * @param {Object} flow - { origin, steps, truncated } from /transform/value-flow
+   */
+  renderFlow(flow) {
+    const container = document.getElementById('callgraph-flow-results');
+    if (!container) return;
+
+    const labels = {
+      source: 'value',
+      assign: 'assigned to',
+      argument: 'passed to',
+      return: 'returned by',
+      call: 'used by',
+      property: 'stored in',
+      condition: 'tested in'
+    };
+    const sinks = flow.steps.filter(step => step.sink).length;
+
+    container.hidden = false;
+    container.innerHTML = `
+      <div class="callgraph-flow-summary">
+        <span>Flow of <strong>${App.escapeHtml(flow.origin.name)}</strong>: ${flow.steps.length - 1} step${flow.steps.length !== 2 ? 's' : ''}, ${sinks} sink${sinks !== 1 ? 's' : ''}${flow.truncated ? ' (truncated)' : ''}</span>
+        <button class="btn btn-icon btn-tiny" id="btn-clear-flow" title="Clear trace">✕</button>
+      </div>
+      ${flow.steps.map(step => `
+        <div class="callgraph-flow-step ${step.sink ? 'sink' : ''}" style="padding-left: ${Math.min(step.depth, 8) * 12 + 8}px;" data-file="${App.escapeHtml(step.file || '')}" data-line="${step.line}" data-col="${step.column}" title="${App.escapeHtml(step.text)}">
+          <span class="callgraph-flow-kind">${labels[step.kind] || step.kind}</span>
+          <span class="callgraph-edge-name">${App.escapeHtml(step.name)}</span>
+          <span class="callgraph-flow-text">${App.escapeHtml(step.text)}</span>
+          <span class="callgraph-line">${this.formatLocation(step)}</span>
+        </div>
+      `).join('')}
+    `;
+
+    container.querySelectorAll('.callgraph-flow-step').forEach(stepEl => {
+      stepEl.addEventListener('click', () => {
+        this.jumpTo(stepEl.dataset.file, parseInt(stepEl.dataset.line), parseInt(stepEl.dataset.col) || 0);
+      });
+    });
+    document.getElementById('btn-clear-flow')?.addEventListener('click', () => this.clearFlow());
+  },
+
+  /**
+   * Show a hint or error in place of a trace
+   */
+  showFlowMessage(message, isError = false) {
+    const container = document.getElementById('callgraph-flow-results');
+    if (!container) return;
+    container.hidden = false;
+    container.innerHTML = `<div class="${isError ? 'ast-error' : 'scope-empty'}">${App.escapeHtml(message)}</div>`;
+  },
+
+  /**
+   * Hide the value flow trace
+   */
+  clearFlow() {
+    const container = document.getElementById('callgraph-flow-results');
+    if (!container) return;
+    container.hidden = true;
+    container.innerHTML = '';
+  }
+};
+
+window.CallGraphView = CallGraphView;
@@ -183,6 +183,7 @@ const EditorManager = {
           }
         });
         
+        // A plain click in the output reveals where that code came from in the input
         this.outputEditor.onMouseDown((e) => {
           if (e.event.ctrlKey && e.target.position) {
             const lineNumber = e.target.position.lineNumber;
@@ -193,6 +194,8 @@ const EditorManager = {
                 detail: { line: lineNumber, content: lineContent, source: 'output' }
               }));
             }
+          } else if (e.target.position && !e.event.shiftKey && !e.event.altKey && !e.event.metaKey) {
+            this.revealOriginal(e.target.position);
           }
         });
         
@@ -679,6 +682,8 @@ const EditorManager = {
       declare const ast: object;
       declare const config: object;
       declare const stats: { [key: string]: any };
+      /** Built-in transforms by id (ConstantFolding or constantFolding); they replace the target they ran on */
+      declare const builtins: { [id: string]: (target: string | object, config?: object) => Promise<{ code: string, stats: { [key: string]: any } }> };
       
       declare namespace t {
         function isIdentifier(node: any, opts?: object): boolean;
@@ -1257,8 +1262,19 @@ const EditorManager = {
     if (!this.diffEditor) return;
     
     // Simple diff: formatted input vs final output
-    const originalCode = RecipeManager.formattedInputCode || this.getInput();
-    const modifiedCode = this.getOutput();
+    let originalCode = RecipeManager.formattedInputCode || this.getInput();
+    let modifiedCode = this.getOutput();
+    
+    // Step diff: the code before the current step vs the code after it
+    const steps = RecipeManager.intermediateSteps || [];
+    if (this.diffType === 'step' && steps.length > 0) {
+      this.diffStepIndex = Math.min(this.diffStepIndex, steps.length - 1);
+      if (this.diffStepIndex > 0) {
+        originalCode = steps[this.diffStepIndex - 1].code;
+      }
+      modifiedCode = steps[this.diffStepIndex].code;
+    }
+    this._updateStepDiffUI(steps.length);
     
     this.diffEditor.setModel({
       original: monaco.editor.createModel(originalCode, 'javascript'),
@@ -1278,7 +1294,7 @@ const EditorManager = {
     const stepNav = document.getElementById('diff-step-nav');
     if (!stepNav) return;
     
-    if (this.diffType !== 'step' || totalSteps <= 1) {
+    if (this.diffType !== 'step' || totalSteps === 0) {
       stepNav.style.display = 'none';
       return;
     }
@@ -1288,10 +1304,14 @@ const EditorManager = {
     const prevBtn = document.getElementById('diff-step-prev');
     const nextBtn = document.getElementById('diff-step-next');
     const label = document.getElementById('diff-step-label');
+    const step = RecipeManager.intermediateSteps[this.diffStepIndex];
     
     if (prevBtn) prevBtn.disabled = this.diffStepIndex <= 0;
     if (nextBtn) nextBtn.disabled = this.diffStepIndex >= totalSteps - 1;
-    if (label) label.textContent = `Step ${this.diffStepIndex + 1} / ${totalSteps}`;
+    if (label) {
+      label.textContent = `Step ${this.diffStepIndex + 1} / ${totalSteps}`;
+      label.title = step?.name || '';
+    }
   },
   
   /**
@@ -1542,6 +1562,46 @@ if (verbose) {
     }, 2000);
   },
   
+  /**
+   * Highlight the input region an output position was generated from
+   * Uses the source map of the last run (see SourceMapLinker) while the
+   * editors still show that run's input and output
+   * @param {Object} position - Output position { lineNumber, column }
+   * @returns {boolean} Whether the position could be mapped
+   */
+  revealOriginal(position) {
+    if (!this.inputEditor || !window.SourceMapLinker) return false;
+    
+    const origin = SourceMapLinker.isValid(this.getInput(), this.getOutput())
+      ? SourceMapLinker.lookup(position.lineNumber, position.column)
+      : null;
+    if (!origin) {
+      this.clearOriginHighlight();
+      return false;
+    }
+    
+    // Mark the token the mapping points at, and the lines around it
+    const word = this.inputEditor.getModel().getWordAtPosition({ lineNumber: origin.line, column: origin.column });
+    const endColumn = word && word.startColumn === origin.column ? word.endColumn : origin.column + 1;
+    const region = new monaco.Range(origin.startLine, 1, origin.endLine, 1);
+    
+    this._originDecorations = this.inputEditor.deltaDecorations(this._originDecorations || [], [
+      { range: region, options: { isWholeLine: true, className: 'source-origin-line' } },
+      { range: new monaco.Range(origin.line, origin.column, origin.line, endColumn), options: { inlineClassName: 'source-origin-token' } }
+    ]);
+    this.inputEditor.revealRangeInCenterIfOutsideViewport(region);
+    return true;
+  },
+  
+  /**
+   * Remove the source map highlight from the input editor
+   */
+  clearOriginHighlight() {
+    if (this.inputEditor && this._originDecorations?.length) {
+      this._originDecorations = this.inputEditor.deltaDecorations(this._originDecorations, []);
+    }
+  },
+  
   /**
    * Jump to position in editor
    */
@@ -0,0 +1,319 @@
+/**
+ * Input Files Module - Several input files behind tabs on the input editor
+ * The editor always shows the active file; unpacking a bundle opens one tab
+ * per module next to the bundle itself. Loaders and later stages can be added
+ * as files too: a recipe runs across all of them and scripts share one global
+ * scope, so a string table in one file resolves where another file uses it.
+ * Each file keeps its own output, shown in the output editor with the file.
+ */
+
+const InputFiles = {
+  files: [], // Array of { id, name, code, output, module } - module: { id, dependencies, dependents } for bundle modules
+  activeId: null,
+  counter: 0,
+
+  /**
+   * Initialize input files
+   */
+  init() {
+    this.render();
+  },
+
+  /**
+   * Generate a file id
+   */
+  createId() {
+    this.counter++;
+    return `file-${Date.now()}-${this.counter}`;
+  },
+
+  /**
+   * Get the file shown in the input editor
+   */
+  getActive() {
+    return this.files.find(f => f.id === this.activeId) || null;
+  },
+
+  /**
+   * Whether the project has more than one input file
+   */
+  isMulti() {
+    return this.files.length > 1;
+  },
+
+  /**
+   * Store the editors' content in the active file
+   */
+  syncActive() {
+    const active = this.getActive();
+    if (!active) return;
+    active.code = EditorManager.getInput();
+    active.output = EditorManager.getOutput();
+  },
+
+  /**
+   * Files to send to the server, or null for a single input
+   * @param {string} [source='input'] - 'input' or 'output' (null unless every file has output)
+   * @returns {Object[]|null} [{ name, code }]
+   */
+  getSources(source = 'input') {
+    if (!this.isMulti()) return null;
+    this.syncActive();
+    if (source === 'output') {
+      if (this.files.some(f => !f.output)) return null;
+      return this.files.map(f => ({ name: f.name, code: f.output }));
+    }
+    return this.files.map(f => ({ name: f.name, code: f.code }));
+  },
+
+  /**
+   * Take the per-file output of a multi-file run
+   * @param {Object[]} outputs - [{ name, code }] from /transform/run-chain
+   * @param {boolean} [toInput=false] - Replace each file's input instead (single editor mode)
+   */
+  setOutputs(outputs, toInput = false) {
+    const byName = new Map(outputs.map(o => [o.name, o.code]));
+    this.files.forEach(file => {
+      if (!byName.has(file.name)) return;
+      if (toInput) {
+        file.code = byName.get(file.name);
+        file.output = '';
+      } else {
+        file.output = byName.get(file.name);
+      }
+    });
+
+    const active = this.getActive();
+    if (active) {
+      EditorManager.setInput(active.code);
+      EditorManager.setOutput(active.output);
+    }
+  },
+
+  /**
+   * Drop all files; the input editor becomes a single untitled input again
+   */
+  reset() {
+    this.files = [];
+    this.activeId = null;
+    this.render();
+  },
+
+  /**
+   * Show a file in the input editor
+   */
+  switchTo(id) {
+    const file = this.files.find(f => f.id === id);
+    if (!file) return;
+
+    if (this.activeId !== id) {
+      this.syncActive();
+      this.activeId = id;
+    }
+    EditorManager.setInput(file.code);
+    EditorManager.setOutput(file.output || '');
+    this.render();
+  },
+
+  /**
+   * Show a file by name (scope references point at files by name)
+   */
+  showFile(name) {
+    const file = this.files.find(f => f.name === name);
+    if (file && file.id !== this.activeId) this.switchTo(file.id);
+  },
+
+  /**
+   * Start multi-file mode with whatever the editors hold as the first file
+   */
+  ensureFirstFile(name) {
+    if (this.files.length > 0) return;
+    this.files.push({ id: this.createId(), name, code: EditorManager.getInput(), output: EditorManager.getOutput(), module: null });
+    this.activeId = this.files[0].id;
+  },
+
+  /**
+   * Unique file name, numbering repeats like the server does
+   */
+  uniqueName(name) {
+    let unique = name;
+    for (let n = 2; this.files.some(f => f.name === unique); n++) unique = `${name} (${n})`;
+    return unique;
+  },
+
+  /**
+   * Add input files (loaders, later stages) next to the current input
+   * @param {Object[]} added - [{ name, code }]
+   */
+  addFiles(added) {
+    if (added.length === 0) return;
+    this.syncActive();
+    this.ensureFirstFile('input.js');
+
+    const created = added.map(({ name, code }) => {
+      const file = { id: this.createId(), name: this.uniqueName(name), code, output: '', module: null };
+      this.files.push(file);
+      return file;
+    });
+    this.switchTo(created[0].id);
+  },
+
+  /**
+   * Pick files from disk and add them as inputs
+   */
+  pickFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = '.js,.mjs,.cjs,.txt';
+
+    input.onchange = async (e) => {
+      const picked = Array.from(e.target.files || []);
+      const added = await Promise.all(picked.map(async file => ({ name: file.name, code: await file.text() })));
+      this.addFiles(added);
+      if (added.length > 0) App.log(`Added ${added.length} input file${added.length !== 1 ? 's' : ''}`, 'info');
+    };
+
+    input.click();
+  },
+
+  /**
+   * Files for saving in a project
+   * @returns {Object} { files: [{ name, code, outputCode, module }], activeFile }
+   */
+  getData() {
+    if (!this.isMulti()) return { files: [], activeFile: null };
+    this.syncActive();
+    return {
+      files: this.files.map(f => ({ name: f.name, code: f.code, outputCode: f.output || '', module: f.module })),
+      activeFile: this.getActive()?.name || null
+    };
+  },
+
+  /**
+   * Restore the files of a loaded project
+   * @param {Object} project - { files, activeFile }
+   */
+  load(project) {
+    this.files = (project.files || []).map(f => ({
+      id: this.createId(),
+      name: f.name,
+      code: f.code,
+      output: f.outputCode || '',
+      module: f.module || null
+    }));
+    this.activeId = null;
+
+    if (!this.isMulti()) {
+      this.reset();
+      return;
+    }
+    const active = this.files.find(f => f.name === project.activeFile) || this.files[0];
+    this.switchTo(active.id);
+  },
+
+  /**
+   * Close a file tab (the last remaining file stays as the plain input)
+   */
+  close(id) {
+    const index = this.files.findIndex(f => f.id === id);
+    if (index === -1) return;
+
+    this.files.splice(index, 1);
+    if (this.files.length <= 1) {
+      // Back to a single input: keep whatever is left in the editor
+      const remaining = this.files[0];
+      if (remaining && this.activeId === id) {
+        EditorManager.setInput(remaining.code);
+        EditorManager.setOutput(remaining.output || '');
+      }
+      this.reset();
+      return;
+    }
+
+    if (this.activeId === id) {
+      this.activeId = null;
+      this.switchTo(this.files[Math.min(index, this.files.length - 1)].id);
+    } else {
+      this.render();
+    }
+  },
+
+  /**
+   * Open the modules of an unpacked bundle as tabs next to the bundle
+   * @param {Object} bundle - { format, entry, modules } from /transform/unpack-bundle
+   */
+  openBundle(bundle) {
+    this.syncActive();
+    this.ensureFirstFile('bundle.js');
+
+    const added = bundle.modules.map(module => {
+      const file = {
+        id: this.createId(),
+        name: this.uniqueName(module.fileName),
+        code: module.code,
+        output: '',
+        module: { id: module.id, dependencies: module.dependencies, dependents: module.dependents }
+      };
+      this.files.push(file);
+      return file;
+    });
+
+    const entry = added.find(f => bundle.entry.includes(f.module.id)) || added[0];
+    if (entry) this.switchTo(entry.id);
+  },
+
+  /**
+   * Find the tab of a bundle module by its id
+   */
+  findModule(moduleId) {
+    return this.files.find(f => f.module && f.module.id === moduleId) || null;
+  },
+
+  /**
+   * Tooltip describing a file's place in its bundle
+   */
+  describe(file) {
+    if (!file.module) return file.name;
+    const names = ids => ids.map(id => this.findModule(id)?.name || String(id)).join(', ') || 'none';
+    return `${file.name}\nModule id: ${file.module.id}\nRequires: ${names(file.module.dependencies)}\nRequired by: ${names(file.module.dependents)}`;
+  },
+
+  /**
+   * Render the tab bar (hidden while there is only one input)
+   */
+  render() {
+    const container = document.getElementById('input-file-tabs');
+    if (!container) return;
+
+    container.hidden = this.files.length <= 1;
+    container.innerHTML = this.files.map(file => `
+      <div class="script-tab ${file.id === this.activeId ? 'active' : ''}" data-file-id="${file.id}">
+        <span class="script-tab-name" title="${App.escapeHtml(this.describe(file))}">${App.escapeHtml(file.name)}</span>
+        <span class="script-tab-close" data-close-file="${file.id}">
+          <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </span>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.script-tab').forEach(tabEl => {
+      tabEl.addEventListener('click', (e) => {
+        if (!e.target.closest('.script-tab-close')) {
+          this.switchTo(tabEl.dataset.fileId);
+        }
+      });
+    });
+
+    container.querySelectorAll('.script-tab-close').forEach(closeBtn => {
+      closeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.close(closeBtn.dataset.closeFile);
+      });
+    });
+  }
+};
+
+window.InputFiles = InputFiles;
@@ -0,0 +1,219 @@
+/**
+ * IOC Report Module - Indicators of compromise in the final code
+ * Lists URLs, domains, IPs, paths, registry keys, wallets, base64 blobs and
+ * sensitive API calls found in the output, each with where it occurs in the
+ * output and (through the last run's source map) in the original input
+ */
+
+const IOCReport = {
+  report: null, // { extractedAt, source, indicators, counts }
+
+  // Display order and labels of indicator types
+  TYPES: {
+    url: 'URLs',
+    domain: 'Domains',
+    ip: 'IP addresses',
+    path: 'File paths',
+    registry: 'Registry keys',
+    wallet: 'Wallets',
+    base64: 'Base64 blobs',
+    api: 'Sensitive APIs'
+  },
+
+  /**
+   * Initialize IOC panel
+   */
+  init() {
+    document.getElementById('btn-extract-iocs')?.addEventListener('click', () => this.extract());
+    document.getElementById('btn-export-iocs-json')?.addEventListener('click', () => this.exportJson());
+    document.getElementById('btn-export-iocs-csv')?.addEventListener('click', () => this.exportCsv());
+    document.getElementById('ioc-search')?.addEventListener('input', (e) => this.filter(e.target.value));
+    this.render();
+  },
+
+  /**
+   * Extract indicators from the output (or the input before anything has run)
+   */
+  async extract() {
+    const output = EditorManager.getOutput();
+    const source = output && output.trim() ? 'output' : 'input';
+    const code = source === 'output' ? output : EditorManager.getInput();
+    if (!code || !code.trim()) {
+      this.report = null;
+      this.render();
+      return;
+    }
+
+    try {
+      const files = InputFiles.getSources(source);
+      const result = await API.extractIOCs(code, files);
+      if (!result.success) throw new Error(result.error);
+
+      // Output positions only map back while the editors show the mapped run
+      const mapped = source === 'output' && !files && SourceMapLinker.isValid(EditorManager.getInput(), output);
+      for (const indicator of result.indicators) {
+        for (const loc of indicator.locations) {
+          const origin = source === 'input'
+            ? { line: loc.line, column: loc.column + 1 }
+            : mapped ? SourceMapLinker.lookup(loc.line, loc.column + 1) : null;
+          if (origin) {
+            loc.inputLine = origin.line;
+            loc.inputColumn = origin.column - 1;
+          }
+        }
+      }
+
+      this.report = {
+        extractedAt: new Date().toISOString(),
+        source,
+        indicators: result.indicators,
+        counts: result.counts
+      };
+      this.render();
+      App.log(`Extracted ${result.indicators.length} indicator(s) from the ${source}`, 'info');
+    } catch (error) {
+      const container = document.getElementById('ioc-list');
+      if (container) container.innerHTML = `<div class="ast-error">${App.escapeHtml(error.message)}</div>`;
+    }
+  },
+
+  /**
+   * Render indicators grouped by type
+   */
+  render() {
+    const container = document.getElementById('ioc-list');
+    if (!container) return;
+
+    const hasReport = !!this.report && this.report.indicators.length > 0;
+    document.getElementById('btn-export-iocs-json')?.toggleAttribute('disabled', !hasReport);
+    document.getElementById('btn-export-iocs-csv')?.toggleAttribute('disabled', !hasReport);
+
+    if (!this.report) {
+      container.innerHTML = '<div class="scope-empty">Extract to list URLs, IPs, paths, wallets and sensitive API calls in the output</div>';
+      return;
+    }
+    if (!hasReport) {
+      container.innerHTML = `<div class="scope-empty">No indicators found in the ${this.report.source}</div>`;
+      return;
+    }
+
+    const locationHtml = loc => `
+      <div class="ioc-location" data-file="${App.escapeHtml(loc.file || '')}" data-line="${loc.line}" data-col="${loc.column}" ${loc.inputLine ? `data-input-line="${loc.inputLine}" data-input-col="${loc.inputColumn}"` : ''} title="${App.escapeHtml(loc.context || '')}">
+        <span class="callgraph-line">${loc.file ? `${App.escapeHtml(loc.file)} ` : ''}L${loc.line}:${loc.column + 1}</span>
+        ${loc.inputLine && this.report.source === 'output' ? `<span class="ioc-origin" title="Position in the original input">input L${loc.inputLine}</span>` : ''}
+        <span class="callgraph-flow-text">${App.escapeHtml(loc.context || '')}</span>
+      </div>
+    `;
+
+    const indicatorHtml = indicator => `
+      <div class="ioc-item" data-search="${App.escapeHtml(`${indicator.value} ${indicator.decoded || ''}`.toLowerCase())}">
+        <div class="ioc-item-header">
+          <span class="ioc-value">${App.escapeHtml(indicator.value)}</span>
+          ${indicator.label ? `<span class="callgraph-via">${App.escapeHtml(indicator.label)}</span>` : ''}
+          ${indicator.category ? `<span class="callgraph-via">${App.escapeHtml(indicator.category)}</span>` : ''}
+          ${indicator.via ? `<span class="callgraph-via" title="Found in a decoded ${indicator.via} blob">${indicator.via}</span>` : ''}
+          <span class="callgraph-counts">×${indicator.locations.length}</span>
+        </div>
+        ${indicator.decoded ? `<div class="ioc-decoded">${App.escapeHtml(indicator.decoded)}</div>` : ''}
+        <div class="ioc-locations">${indicator.locations.map(locationHtml).join('')}</div>
+      </div>
+    `;
+
+    container.innerHTML = Object.entries(this.TYPES).map(([type, label]) => {
+      const indicators = this.report.indicators.filter(indicator => indicator.type === type);
+      if (indicators.length === 0) return '';
+      return `<div class="callgraph-group">${label} (${indicators.length})</div>${indicators.map(indicatorHtml).join('')}`;
+    }).join('');
+
+    container.querySelectorAll('.ioc-location').forEach(locEl => {
+      locEl.addEventListener('click', () => this.jumpTo(locEl.dataset));
+    });
+
+    this.filter(document.getElementById('ioc-search')?.value || '');
+  },
+
+  /**
+   * Jump to an indicator in the editor it was extracted from, and reveal
+   * where it came from in the input
+   */
+  jumpTo(data) {
+    const line = parseInt(data.line);
+    if (!line) return;
+    if (data.file) InputFiles.showFile(data.file);
+    EditorManager.jumpToPosition(this.report.source, line, (parseInt(data.col) || 0) + 1);
+    if (this.report.source === 'output' && data.inputLine) {
+      EditorManager.revealOriginal({ lineNumber: line, column: (parseInt(data.col) || 0) + 1 });
+    }
+  },
+
+  /**
+   * Show only indicators whose value contains the query
+   */
+  filter(query) {
+    const needle = query.trim().toLowerCase();
+    document.querySelectorAll('#ioc-list .ioc-item').forEach(item => {
+      item.classList.toggle('search-hidden', needle !== '' && !item.dataset.search.includes(needle));
+    });
+  },
+
+  /**
+   * Download the report as JSON
+   */
+  exportJson() {
+    if (!this.report) return;
+    App.downloadJson(this.report, `${App.currentProject?.name || 'iocs'}-iocs.json`);
+  },
+
+  /**
+   * Download the report as CSV, one row per location
+   */
+  exportCsv() {
+    if (!this.report) return;
+    const cell = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['type', 'value', 'detail', 'file', 'line', 'column', 'input_line', 'input_column', 'context']];
+    for (const indicator of this.report.indicators) {
+      for (const loc of indicator.locations) {
+        rows.push([
+          indicator.type,
+          indicator.value,
+          indicator.label || indicator.category || indicator.via || '',
+          loc.file,
+          loc.line,
+          loc.column + 1,
+          loc.inputLine,
+          loc.inputLine ? loc.inputColumn + 1 : '',
+          loc.context
+        ]);
+      }
+    }
+    App.downloadText(rows.map(row => row.map(cell).join(',')).join('\r\n'), `${App.currentProject?.name || 'iocs'}-iocs.csv`, 'text/csv');
+  },
+
+  /**
+   * Restore the report saved with a project
+   */
+  load(project) {
+    this.report = project.iocs || null;
+    this.render();
+  },
+
+  /**
+   * Forget the report (new project)
+   */
+  reset() {
+    this.report = null;
+    this.render();
+  },
+
+  /**
+   * Report for saving with the project
+   */
+  getData() {
+    return { iocs: this.report };
+  }
+};
+
+window.IOCReport = IOCReport;
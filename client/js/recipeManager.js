@@ -14,7 +14,7 @@ const RecipeManager = {
   lastResults: [], // Store results from last run for summary
   
   // Store intermediate code after each transformation for step-by-step diffing
-  intermediateSteps: [], // Array of { index, name, code, codeSize }
+  intermediateSteps: [], // Array of { index, name, code, codeSize, stats, logs }
   formattedInputCode: '', // Initial code after AST formatting (for consistent diffs)
   
   // Special items for control flow
@@ -449,6 +449,13 @@ const RecipeManager = {
     const children = item.children || [];
     const currentIter = item.currentIteration || 0;
     const progressText = item.status === 'active' ? ` (${currentIter}/${iterations})` : '';
+    const untilStable = item.untilStable === true;
+    
+    // Show where a repeat-until-stable loop stopped after a run
+    let resultText = '';
+    if (untilStable && item.status === 'success' && item.iterationsRun) {
+      resultText = item.converged ? ` ✓${item.iterationsRun}` : ` cap ${item.iterationsRun}`;
+    }
     
     // Render children inside loop
     let childrenHtml = '';
@@ -468,6 +475,7 @@ const RecipeManager = {
       <div class="recipe-card recipe-loop ${statusClass} ${item.enabled === false ? 'disabled' : ''}" 
            data-index="${index}"
            data-type="loop"
+           ${item.divergence ? `data-tooltip="${this.escapeHtml(item.divergence)}"` : ''}
            draggable="true">
         <div class="recipe-card-header loop-header">
           <svg class="recipe-card-drag" width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
@@ -484,10 +492,11 @@ const RecipeManager = {
             <polyline points="7 23 3 19 7 15"></polyline>
             <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
           </svg>
-          <span class="recipe-card-name">Loop<span class="loop-progress">${progressText}</span></span>
+          <span class="recipe-card-name">Loop<span class="loop-progress">${progressText}</span><span class="loop-result ${item.converged === false ? 'loop-result-cap' : ''}">${resultText}</span></span>
           <div class="loop-iterations">
-            <button class="btn btn-icon btn-tiny loop-iter-btn" data-action="loop-iter-dec" data-index="${index}" title="Decrease iterations">−</button>
-            <span class="loop-iter-times">×</span><input type="number" class="loop-iter-input" value="${iterations}" min="1" max="10000" data-index="${index}" title="Enter iterations (1-10000)">
+            <button class="btn btn-icon btn-tiny loop-mode-btn ${untilStable ? 'active' : ''}" data-action="loop-mode" data-index="${index}" title="${untilStable ? 'Repeating until no change - click for a fixed count' : 'Repeat until no change (count becomes a safety cap)'}">≈</button>
+            <button class="btn btn-icon btn-tiny loop-iter-btn" data-action="loop-iter-dec" data-index="${index}" title="Decrease ${untilStable ? 'safety cap' : 'iterations'}">−</button>
+            <span class="loop-iter-times">${untilStable ? '≤' : '×'}</span><input type="number" class="loop-iter-input" value="${iterations}" min="1" max="10000" data-index="${index}" title="${untilStable ? 'Maximum iterations before giving up (1-10000)' : 'Enter iterations (1-10000)'}">
             <button class="btn btn-icon btn-tiny loop-iter-btn" data-action="loop-iter-inc" data-index="${index}" title="Increase iterations">+</button>
           </div>
           <label class="recipe-card-enable" title="${item.enabled !== false ? 'Disable' : 'Enable'}">
@@ -573,7 +582,7 @@ const RecipeManager = {
     const statsText = item.stats ? Object.entries(item.stats)
       .map(([k, v]) => `${k}: ${v}`)
       .join(', ') : '';
-    const tooltip = [description, statsText].filter(Boolean).join(' | ') || item.name;
+    const tooltip = [item.divergence, description, statsText].filter(Boolean).join(' | ') || item.name;
     
     // Check if config panel should be expanded
     const configExpanded = item.configExpanded || false;
@@ -1311,52 +1320,7 @@ const RecipeManager = {
     
     const item = this.findLibraryItem(id, type);
     if (item) {
-      // Separate configHints from actual config values
-      // configHints have structure like { paramName: { description, type, default } }
-      const configHints = {};
-      const actualConfig = {};
-      
-      console.log('Adding to chain:', item.name, 'config:', item.config);
-      
-      if (item.config) {
-        for (const [key, value] of Object.entries(item.config)) {
-          if (value && typeof value === 'object' && (value.description !== undefined || value.type !== undefined)) {
-            // This is a hint, not an actual value
-            configHints[key] = value;
-            console.log('  Found hint:', key, value);
-          } else {
-            // This is an actual config value
-            actualConfig[key] = value;
-          }
-        }
-      }
-      
-      // Parse CONFIG PARAMETERS comments from code (for inline scripts/plugins)
-      if (item.code && Object.keys(configHints).length === 0) {
-        const parsedHints = this.parseConfigComments(item.code);
-        Object.assign(configHints, parsedHints);
-        console.log('  Parsed from comments:', parsedHints);
-      }
-      
-      console.log('Extracted configHints:', configHints);
-      
-      // Auto-expand config panel if there are expected parameters
-      const hasExpectedParams = Object.keys(configHints).length > 0;
-      
-      const chainItem = {
-        id: item.id,
-        type: type,
-        name: item.name,
-        code: item.code,
-        exampleCode: item.exampleCode, // For built-in transforms
-        description: item.description || '',
-        config: actualConfig,
-        configHints: configHints,
-        configExpanded: hasExpectedParams, // Auto-expand if hints exist
-        enabled: true,
-        iterations: 1,
-        status: ''
-      };
+      const chainItem = this.createChainItem(item, type);
       const newIndex = this.chain.length;
       this.chain.push(chainItem);
       this.renderChain();
@@ -1365,6 +1329,83 @@ const RecipeManager = {
     }
   },
   
+  /**
+   * Build a chain item from a library item
+   */
+  createChainItem(item, type) {
+    // Separate configHints from actual config values
+    // configHints have structure like { paramName: { description, type, default } }
+    const configHints = {};
+    const actualConfig = {};
+    
+    console.log('Adding to chain:', item.name, 'config:', item.config);
+    
+    if (item.config) {
+      for (const [key, value] of Object.entries(item.config)) {
+        if (value && typeof value === 'object' && (value.description !== undefined || value.type !== undefined)) {
+          // This is a hint, not an actual value
+          configHints[key] = value;
+          console.log('  Found hint:', key, value);
+        } else {
+          // This is an actual config value
+          actualConfig[key] = value;
+        }
+      }
+    }
+    
+    // Parse CONFIG PARAMETERS comments from code (for inline scripts/plugins)
+    if (item.code && Object.keys(configHints).length === 0) {
+      const parsedHints = this.parseConfigComments(item.code);
+      Object.assign(configHints, parsedHints);
+      console.log('  Parsed from comments:', parsedHints);
+    }
+    
+    console.log('Extracted configHints:', configHints);
+    
+    // Auto-expand config panel if there are expected parameters
+    const hasExpectedParams = Object.keys(configHints).length > 0;
+    
+    return {
+      id: item.id,
+      type: type,
+      name: item.name,
+      code: item.code,
+      exampleCode: item.exampleCode, // For built-in transforms
+      description: item.description || '',
+      config: actualConfig,
+      configHints: configHints,
+      configExpanded: hasExpectedParams, // Auto-expand if hints exist
+      enabled: true,
+      iterations: 1,
+      status: ''
+    };
+  },
+  
+  /**
+   * Replace the chain with a suggested recipe
+   * @param {Object[]} steps - [{ id, type }] from /transform/fingerprint
+   * @returns {string[]} Ids of steps missing from the library (skipped)
+   */
+  applySuggestedRecipe(steps) {
+    const missing = [];
+    const chain = [];
+    
+    for (const step of steps) {
+      const item = this.findLibraryItem(step.id, step.type);
+      if (item) {
+        chain.push(this.createChainItem(item, step.type));
+      } else {
+        missing.push(step.id);
+      }
+    }
+    
+    this.chain = chain;
+    this.currentStep = -1;
+    this.renderChain();
+    this.dispatchChainChanged();
+    return missing;
+  },
+  
   /**
    * Dispatch event when item is added to chain
    */
@@ -1484,6 +1525,21 @@ const RecipeManager = {
       });
     });
     
+    // Loop mode toggle (fixed count vs. repeat until stable)
+    document.querySelectorAll('.loop-mode-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const index = parseInt(btn.dataset.index);
+        const loop = this.chain[index];
+        if (!loop) return;
+        
+        loop.untilStable = !loop.untilStable;
+        loop.iterationsRun = undefined;
+        loop.converged = undefined;
+        this.renderChain();
+        this.dispatchChainChanged();
+      });
+    });
+    
     // Loop iteration input fields
     document.querySelectorAll('.loop-iter-input').forEach(input => {
       input.addEventListener('change', (e) => {
@@ -2110,8 +2166,11 @@ const RecipeManager = {
     this.chain.forEach(item => {
       item.status = '';
       item.stats = null;
+      item.divergence = null;
       // Reset loop children too
       if (item.type === 'loop' && item.children) {
+        item.iterationsRun = undefined;
+        item.converged = undefined;
         item.children.forEach(child => {
           child.status = '';
           child.stats = null;
@@ -2206,34 +2265,15 @@ const RecipeManager = {
       
       // Handle loops
       if (item.type === 'loop') {
-        let currentCode = code;
-        const loopIterations = item.iterations || 1;
-        
-        for (let loopIter = 0; loopIter < loopIterations; loopIter++) {
-          for (const child of (item.children || [])) {
-            if (child.enabled === false) continue;
-            
-            const childIterations = child.iterations || 1;
-            for (let childIter = 0; childIter < childIterations; childIter++) {
-              const result = await API.runTransform(currentCode, {
-                id: child.id,
-                type: child.type,
-                code: child.code
-              });
-              
-              if (result.success) {
-                currentCode = result.code;
-              }
-            }
-          }
-        }
+        const result = await this.runLoopItem(code, item);
         
-        item.status = 'success';
+        item.status = result.success ? 'success' : 'error';
         this.renderChain();
         
         return {
-          success: true,
-          code: currentCode,
+          success: result.success,
+          code: result.code,
+          error: result.error,
           duration: Date.now() - startTime
         };
       }
@@ -2290,9 +2330,12 @@ const RecipeManager = {
   
   /**
    * Run all transforms with progress indication
-   * Uses batch endpoint for speed when possible
+   * Sends the whole chain (including loops and iterations) to the /run-chain
+   * endpoint, which parses once, runs everything on one AST and generates once
+   * @param {string} code - Input code
+   * @param {Object[]|null} [files] - [{ name, code }] to run across several input files instead
    */
-  async runAll(code) {
+  async runAll(code, files = null) {
     console.log('[RecipeManager.runAll] Called, isRunning:', this.isRunning, 'chain.length:', this.chain.length);
     if (this.isRunning || this.chain.length === 0) {
       console.log('[RecipeManager.runAll] Early return - isRunning:', this.isRunning, 'chain empty:', this.chain.length === 0);
@@ -2302,211 +2345,105 @@ const RecipeManager = {
     this.isRunning = true;
     this.resetChain();
     
-    const results = [];
-    const startTime = Date.now();
-    
     // Clear and initialize intermediate steps storage
     this.intermediateSteps = [];
     
-    // Check if we can use fast batch mode (no loops, no complex iterations)
-    const canUseBatch = this.chain.every(item => 
-      item.type !== 'loop' && (item.iterations || 1) === 1
-    );
-    
-    if (canUseBatch) {
-      return this._runAllBatch(code, startTime);
+    return this._runAllBatch(code, files);
+  },
+  
+  /**
+   * Convert a chain item (and loop children) to the /run-chain recipe format
+   */
+  toExecutionItem(item) {
+    const recipeItem = {
+      id: item.id,
+      type: item.type,
+      name: item.name,
+      code: item.code,
+      config: item.config || {},
+      enabled: item.enabled !== false,
+      iterations: item.iterations || 1
+    };
+    if (item.type === 'loop') {
+      recipeItem.untilStable = item.untilStable === true;
+      recipeItem.children = (item.children || []).map(child => this.toExecutionItem(child));
     }
-    
-    // Fall back to sequential mode for complex recipes
-    try {
-      let currentCode = code;
-      
-      for (let chainIndex = 0; chainIndex < this.chain.length; chainIndex++) {
-        const item = this.chain[chainIndex];
-        const itemStartTime = Date.now();
-        
-        if (item.enabled === false) {
-          results.push({
-            index: chainIndex,
-            transform: item.id,
-            name: item.name,
-            skipped: true,
-            success: true,
-            codeSize: this.getByteSize(currentCode)
-          });
-          continue;
-        }
-        
-        if (item.type === 'loop') {
-          // Handle loop execution with progress
-          const loopIterations = item.iterations || 1;
-          item.status = 'active';
-          
-          for (let loopIter = 0; loopIter < loopIterations; loopIter++) {
-            item.currentIteration = loopIter + 1;
-            this.renderChain();
-            
-            for (const child of (item.children || [])) {
-              if (child.enabled === false) continue;
-              
-              const childIterations = child.iterations || 1;
-              child.status = 'active';
-              
-              for (let childIter = 0; childIter < childIterations; childIter++) {
-                child.currentIteration = childIter + 1;
-                this.renderChain();
-                
-                const result = await API.runTransform(currentCode, {
-                  id: child.id,
-                  type: child.type,
-                  code: child.code
-                }, child.config);
-                
-                // Display logs from this transform
-                if (result.logs && result.logs.length > 0) {
-                  result.logs.forEach(logEntry => {
-                    const msg = `[${child.name}] ${logEntry.args.join(' ')}`;
-                    if (typeof App !== 'undefined' && App.log) {
-                      App.log(msg, logEntry.type);
-                    }
-                  });
-                }
-                
-                if (result.success) {
-                  currentCode = result.code;
-                } else {
-                  child.status = 'error';
-                  item.status = 'error';
-                  this.renderChain();
-                  results.push({
-                    index: chainIndex,
-                    transform: item.id,
-                    name: item.name,
-                    success: false,
-                    error: result.error,
-                    duration: Date.now() - itemStartTime,
-                    codeSize: this.getByteSize(currentCode)
-                  });
-                  return { success: false, error: result.error, code: currentCode, results };
-                }
-              }
-              
-              child.currentIteration = 0;
-              child.status = 'success';
-            }
-          }
-          
-          item.currentIteration = 0;
-          item.status = 'success';
-          results.push({
-            index: chainIndex,
-            transform: item.id,
-            name: item.name,
-            success: true,
-            stats: item.stats || {},
-            duration: Date.now() - itemStartTime,
-            codeSize: this.getByteSize(currentCode)
-          });
-          
-          // Store intermediate step for diffing
-          this.intermediateSteps.push({
-            index: chainIndex,
-            name: item.name,
-            code: currentCode,
-            codeSize: this.getByteSize(currentCode)
-          });
-          
-        } else {
-          // Handle regular item with iterations
-          const iterations = item.iterations || 1;
-          item.status = 'active';
-          
-          for (let iter = 0; iter < iterations; iter++) {
-            item.currentIteration = iter + 1;
-            this.renderChain();
-            
-            const result = await API.runTransform(currentCode, {
-              id: item.id,
-              type: item.type,
-              code: item.code
-            }, item.config);
-            
-            // Display logs from this transform
-            if (result.logs && result.logs.length > 0) {
-              result.logs.forEach(logEntry => {
-                const msg = `[${item.name}] ${logEntry.args.join(' ')}`;
-                if (typeof App !== 'undefined' && App.log) {
-                  App.log(msg, logEntry.type);
-                }
-              });
-            }
-            
-            if (result.success) {
-              currentCode = result.code;
-              item.stats = result.stats;
-            } else {
-              item.status = 'error';
-              this.renderChain();
-              results.push({
-                index: chainIndex,
-                transform: item.id,
-                name: item.name,
-                success: false,
-                error: result.error,
-                duration: Date.now() - itemStartTime,
-                codeSize: this.getByteSize(currentCode)
-              });
-              return { success: false, error: result.error, code: currentCode, results };
-            }
-          }
-          
-          item.currentIteration = 0;
-          item.status = 'success';
-          results.push({
-            index: chainIndex,
-            transform: item.id,
-            name: item.name,
-            success: true,
-            stats: item.stats || {},
-            duration: Date.now() - itemStartTime,
-            codeSize: this.getByteSize(currentCode)
-          });
-          
-          // Store intermediate step for diffing
-          this.intermediateSteps.push({
-            index: chainIndex,
-            name: item.name,
-            code: currentCode,
-            codeSize: this.getByteSize(currentCode)
-          });
-        }
-        
-        this.currentStep = chainIndex;
-        this.renderChain();
+    return recipeItem;
+  },
+  
+  /**
+   * Build the nested recipe payload for /run-chain
+   */
+  getExecutionRecipe() {
+    return this.chain.map(item => this.toExecutionItem(item));
+  },
+  
+  /**
+   * Apply a loop result from /run-chain to the loop item and its children
+   */
+  applyLoopResult(item, loopResult) {
+    item.stats = loopResult.stats || {};
+    item.iterationsRun = loopResult.iterationsRun;
+    item.converged = loopResult.converged;
+    (loopResult.children || []).forEach((childResult, childIndex) => {
+      const child = item.children[childIndex];
+      if (!child) return;
+      child.status = childResult.skipped ? 'skipped' : (childResult.success === false ? 'error' : 'success');
+      child.stats = childResult.stats || {};
+      this.displayLogs(child.name, childResult.logs);
+    });
+    if (item.untilStable) {
+      const msg = item.converged
+        ? `[${item.name}] Stable after ${item.iterationsRun} iteration(s)`
+        : `[${item.name}] Stopped at safety cap (${item.iterationsRun} iterations) without converging`;
+      if (typeof App !== 'undefined' && App.log) {
+        App.log(msg, item.converged ? 'info' : 'warn');
       }
-      
-      console.log('[RecipeManager] Intermediate steps stored:', this.intermediateSteps.length, this.intermediateSteps.map(s => s.name));
-      
-      return { success: true, code: currentCode, results };
-    } finally {
-      this.isRunning = false;
     }
   },
   
+  /**
+   * Run a single loop item server-side (one parse/generate for the whole loop)
+   * @returns {Object} { success, code, error }
+   */
+  async runLoopItem(code, item) {
+    const result = await API.runChain(code, [this.toExecutionItem(item)], false);
+    const loopResult = (result.results || [])[0];
+    if (loopResult && !loopResult.skipped) {
+      this.applyLoopResult(item, loopResult);
+    }
+    if (!result.success && loopResult?.failedChild !== undefined) {
+      const failedChild = item.children[loopResult.failedChild];
+      if (failedChild) failedChild.status = 'error';
+    }
+    return {
+      success: result.success,
+      code: result.success ? result.finalCode : (result.currentCode || code),
+      error: result.error
+    };
+  },
+  
+  /**
+   * Display logs returned by the server for a transform
+   */
+  displayLogs(name, logs) {
+    if (!logs || logs.length === 0) return;
+    logs.forEach(logEntry => {
+      const msg = `[${name}] ${logEntry.args.join(' ')}`;
+      if (typeof App !== 'undefined' && App.log) {
+        App.log(msg, logEntry.type);
+      }
+    });
+  },
+  
   /**
    * Fast batch execution using /run-chain endpoint
    * Parses once, runs all transforms on AST, generates once
    */
-  async _runAllBatch(code, startTime) {
+  async _runAllBatch(code, files = null) {
     try {
-      // Build recipe array for server
-      const recipe = this.chain.map(item => ({
-        id: item.id,
-        type: item.type,
-        code: item.code,
-        config: item.config || {},
-        enabled: item.enabled !== false
-      }));
+      // Build recipe array for server (loops keep their children)
+      const recipe = this.getExecutionRecipe();
       
       console.log('[RecipeManager._runAllBatch] Recipe:', recipe);
       
@@ -2516,7 +2453,7 @@ const RecipeManager = {
       
       // Single API call for all transforms
       console.log('[RecipeManager._runAllBatch] Calling API.runChain...');
-      const result = await API.runChain(code, recipe, false);
+      const result = await API.runChain(code, recipe, false, { files });
       console.log('[RecipeManager._runAllBatch] API result:', result);
       
       // Process results
@@ -2533,14 +2470,11 @@ const RecipeManager = {
             item.status = 'error';
           }
           
-          // Display logs from this transform
-          if (r.logs && r.logs.length > 0) {
-            r.logs.forEach(logEntry => {
-              const msg = `[${item.name}] ${logEntry.args.join(' ')}`;
-              if (typeof App !== 'undefined' && App.log) {
-                App.log(msg, logEntry.type);
-              }
-            });
+          // Loop results carry per-child stats and logs
+          if (item.type === 'loop' && r.children) {
+            this.applyLoopResult(item, r);
+          } else {
+            this.displayLogs(item.name, r.logs);
           }
           
           results.push({
@@ -2560,7 +2494,9 @@ const RecipeManager = {
               index: i,
               name: item.name,
               code: r.code,
-              codeSize: this.getByteSize(r.code)
+              codeSize: this.getByteSize(r.code),
+              stats: r.stats || {},
+              logs: r.logs || []
             });
           }
         });
@@ -2573,7 +2509,9 @@ const RecipeManager = {
               index: this.chain.length - 1,
               name: lastItem?.name || 'Final',
               code: result.finalCode,
-              codeSize: this.getByteSize(result.finalCode)
+              codeSize: this.getByteSize(result.finalCode),
+              stats: {},
+              logs: []
             });
           }
         }
@@ -2582,19 +2520,29 @@ const RecipeManager = {
         this.renderChain();
         
         console.log('[RecipeManager] Batch mode complete:', this.intermediateSteps.length, 'steps');
-        return { success: true, code: result.finalCode, results };
+        return { success: true, code: result.finalCode, sourceMap: result.sourceMap || null, files: result.files || null, results };
       } else {
         // Handle error
         const failedIndex = result.failedAt || 0;
         this.chain.forEach((item, i) => {
           item.status = i < failedIndex ? 'success' : (i === failedIndex ? 'error' : 'pending');
         });
+        
+        // Flag the failing child inside a loop
+        const failedResult = (result.results || [])[failedIndex];
+        const failedItem = this.chain[failedIndex];
+        if (failedItem?.type === 'loop' && failedResult?.failedChild !== undefined) {
+          const failedChild = failedItem.children[failedResult.failedChild];
+          if (failedChild) failedChild.status = 'error';
+        }
         this.renderChain();
         
         return { 
           success: false, 
           error: result.error, 
           code: result.currentCode || code, 
+          failedAt: result.failedAt,
+          timedOut: result.timedOut || false,
           results: result.results || []
         };
       }
@@ -2662,48 +2610,29 @@ const RecipeManager = {
       
       // Handle loops in step mode - run entire loop
       if (item.type === 'loop') {
-        let currentCode = code;
-        const loopIterations = item.iterations || 1;
+        const result = await this.runLoopItem(code, item);
+        const currentCode = result.code;
         
-        for (let loopIter = 0; loopIter < loopIterations; loopIter++) {
-          for (const child of (item.children || [])) {
-            if (child.enabled === false) continue;
-            
-            const childIterations = child.iterations || 1;
-            for (let childIter = 0; childIter < childIterations; childIter++) {
-              const result = await API.runTransform(currentCode, {
-                id: child.id,
-                type: child.type,
-                code: child.code
-              }, child.config);
-              
-              if (result.success) {
-                currentCode = result.code;
-                child.status = 'success';
-              } else {
-                child.status = 'error';
-                item.status = 'error';
-                this.renderChain();
-                
-                // Record failed step
-                const duration = Date.now() - startTime;
-                this.lastResults.results.push({
-                  index: nextStep,
-                  transform: item.id,
-                  name: item.name,
-                  success: false,
-                  error: result.error,
-                  duration,
-                  codeSize: this.getByteSize(currentCode)
-                });
-                this.lastResults.success = false;
-                this.lastResults.error = result.error;
-                this.lastResults.duration += duration;
-                
-                return { success: false, error: result.error, code: currentCode };
-              }
-            }
-          }
+        if (!result.success) {
+          item.status = 'error';
+          this.renderChain();
+          
+          // Record failed step
+          const duration = Date.now() - startTime;
+          this.lastResults.results.push({
+            index: nextStep,
+            transform: item.id,
+            name: item.name,
+            success: false,
+            error: result.error,
+            duration,
+            codeSize: this.getByteSize(currentCode)
+          });
+          this.lastResults.success = false;
+          this.lastResults.error = result.error;
+          this.lastResults.duration += duration;
+          
+          return { success: false, error: result.error, code: currentCode };
         }
         
         item.status = 'success';
@@ -2817,8 +2746,9 @@ const RecipeManager = {
         iterations: item.iterations || 1
       };
       
-      // Include children for loops
+      // Include children and mode for loops
       if (item.type === 'loop' && item.children) {
+        baseData.untilStable = item.untilStable === true;
         baseData.children = item.children.map(child => ({
           id: child.id,
           type: child.type,
@@ -2889,6 +2819,76 @@ const RecipeManager = {
     this.dispatchChainChanged();
   },
   
+  /**
+   * Flag the chain item whose output first behaved differently from the input
+   * @param {number} index - Chain index
+   * @param {string} description - What changed, shown in the card tooltip
+   */
+  markDivergence(index, description) {
+    const item = this.chain[index];
+    if (!item) return;
+    item.status = 'diverged';
+    item.divergence = description;
+    this.renderChain();
+  },
+  
+  /**
+   * Get the intermediate steps of the last run in the shape projects store
+   * @returns {Object|null} { baseCode, items: [{ index, name, code, stats, logs }] }
+   */
+  getStepSnapshot() {
+    if (this.intermediateSteps.length === 0) return null;
+    return {
+      baseCode: this.formattedInputCode || '',
+      items: this.intermediateSteps.map(step => ({
+        index: step.index,
+        name: step.name,
+        code: step.code,
+        stats: step.stats || {},
+        logs: step.logs || []
+      }))
+    };
+  },
+  
+  /**
+   * Restore intermediate steps saved with a project
+   * Stats and status go back onto the chain items they came from, as long as
+   * the recipe still has the same item at that position
+   * @param {Object|null} snapshot - Value from getStepSnapshot()
+   */
+  restoreStepSnapshot(snapshot) {
+    this.intermediateSteps = [];
+    if (!snapshot || !Array.isArray(snapshot.items)) return;
+    
+    this.formattedInputCode = snapshot.baseCode || '';
+    this.intermediateSteps = snapshot.items.map(step => ({
+      ...step,
+      codeSize: this.getByteSize(step.code)
+    }));
+    
+    this.intermediateSteps.forEach(step => {
+      const item = this.chain[step.index];
+      if (!item || item.name !== step.name) return;
+      item.status = 'success';
+      item.stats = step.stats || {};
+      this.displayLogs(item.name, step.logs);
+    });
+    if (this.intermediateSteps.length > 0) {
+      this.currentStep = this.intermediateSteps[this.intermediateSteps.length - 1].index;
+    }
+    this.renderChain();
+  },
+  
+  /**
+   * Chain items that run after a saved step - the recipe a branch starts with
+   * @param {number} stepIndex - Position in intermediateSteps
+   */
+  getChainAfterStep(stepIndex) {
+    const step = this.intermediateSteps[stepIndex];
+    if (!step) return [];
+    return this.getChainData().slice(step.index + 1);
+  },
+  
   /**
    * Expand all chain cards
    */
@@ -0,0 +1,139 @@
+/**
+ * Source Map Module - Links output positions back to the original input
+ * Decodes the v3 map returned by /run-chain so a click in the output editor
+ * can reveal the input region it came from
+ */
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const SourceMapLinker = {
+  lines: null, // Per output line: [[column, originalLine, originalColumn], ...] (0-based)
+  inputCode: null, // Code the map leads back to
+  outputCode: null, // Code the map describes
+
+  // Segments further than this from the clicked one don't widen the region
+  // (inlined strings and functions can come from anywhere in the input)
+  MAX_REGION_LINES: 50,
+
+  /**
+   * Store the map of a completed run
+   * @param {Object} map - Source map (v3) from /run-chain
+   * @param {string} inputCode - Input that was sent to the chain
+   * @param {string} outputCode - Final code of the run
+   */
+  set(map, inputCode, outputCode) {
+    if (!map || typeof map.mappings !== 'string') {
+      this.clear();
+      return;
+    }
+    this.lines = this.decodeMappings(map.mappings);
+    this.inputCode = inputCode;
+    this.outputCode = outputCode;
+  },
+
+  /**
+   * Forget the current map
+   */
+  clear() {
+    this.lines = null;
+    this.inputCode = null;
+    this.outputCode = null;
+  },
+
+  /**
+   * Check the map still describes what the editors show
+   */
+  isValid(inputCode, outputCode) {
+    return !!this.lines && inputCode === this.inputCode && outputCode === this.outputCode;
+  },
+
+  /**
+   * Find where an output position came from
+   * @param {number} line - Output line (1-based)
+   * @param {number} column - Output column (1-based)
+   * @returns {Object|null} { line, column, startLine, endLine } in the input (1-based)
+   */
+  lookup(line, column) {
+    const segments = this.lines?.[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Segment covering the column, or the first one on the line
+    let primary = segments[0];
+    for (const segment of segments) {
+      if (segment[0] > column - 1) break;
+      primary = segment;
+    }
+
+    let startLine = primary[1];
+    let endLine = primary[1];
+    for (const segment of segments) {
+      if (Math.abs(segment[1] - primary[1]) > this.MAX_REGION_LINES) continue;
+      startLine = Math.min(startLine, segment[1]);
+      endLine = Math.max(endLine, segment[1]);
+    }
+
+    return {
+      line: primary[1] + 1,
+      column: primary[2] + 1,
+      startLine: startLine + 1,
+      endLine: endLine + 1
+    };
+  },
+
+  /**
+   * Decode the mappings string into per-line segments
+   * Fields are deltas: column resets per line, the rest carry across lines
+   */
+  decodeMappings(mappings) {
+    const lines = [];
+    let originalLine = 0;
+    let originalColumn = 0;
+
+    for (const lineText of mappings.split(';')) {
+      const segments = [];
+      let column = 0;
+
+      if (lineText) {
+        for (const segmentText of lineText.split(',')) {
+          const fields = this.decodeVLQ(segmentText);
+          column += fields[0];
+          // Segments without a source position only mark generated code
+          if (fields.length >= 4) {
+            originalLine += fields[2];
+            originalColumn += fields[3];
+            segments.push([column, originalLine, originalColumn]);
+          }
+        }
+      }
+
+      lines.push(segments);
+    }
+
+    return lines;
+  },
+
+  /**
+   * Decode one base64 VLQ segment into its signed fields
+   */
+  decodeVLQ(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of text) {
+      const digit = VLQ_CHARS.indexOf(char);
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    return values;
+  }
+};
+
+window.SourceMapLinker = SourceMapLinker;
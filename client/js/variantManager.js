@@ -0,0 +1,462 @@
+/**
+ * Variant Manager Module - Named recipe variants within one project
+ * The chain panel always edits the active variant; the comparison view runs
+ * several variants over the same input and compares their results
+ */
+
+const VARIANT_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7'];
+
+const VariantManager = {
+  variants: [], // Array of { id, name, recipe }
+  activeId: null,
+  comparison: null, // Last comparison run: { inputSize, runs: [{ variant, result, duration, ... }] }
+  compareChart: null,
+  compareDiffEditor: null,
+
+  /**
+   * Initialize variant manager
+   */
+  init() {
+    this.reset();
+    this.setupEventListeners();
+  },
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('variant-select')?.addEventListener('change', (e) => this.switchTo(e.target.value));
+    document.getElementById('btn-variant-new')?.addEventListener('click', () => this.createFromCurrent());
+    document.getElementById('btn-variant-rename')?.addEventListener('click', () => this.renameActive());
+    document.getElementById('btn-variant-delete')?.addEventListener('click', () => this.deleteActive());
+    document.getElementById('btn-variant-compare')?.addEventListener('click', () => this.openCompare());
+    document.getElementById('btn-run-comparison')?.addEventListener('click', () => this.runComparison());
+    document.getElementById('compare-diff-a')?.addEventListener('change', () => this.updateCompareDiff());
+    document.getElementById('compare-diff-b')?.addEventListener('change', () => this.updateCompareDiff());
+  },
+
+  /**
+   * Generate a variant id
+   */
+  createId() {
+    return `variant_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  /**
+   * Start over with a single variant
+   * @param {Object[]} [recipe=[]] - Recipe of the only variant
+   */
+  reset(recipe = []) {
+    this.variants = [{ id: this.createId(), name: 'Main', recipe }];
+    this.activeId = this.variants[0].id;
+    this.comparison = null;
+    this.render();
+  },
+
+  /**
+   * Load the variants saved with a project
+   * Projects saved before variants existed get a single variant from their recipe
+   * @param {Object} project - Project from the server
+   */
+  load(project) {
+    if (!Array.isArray(project.variants) || project.variants.length === 0) {
+      this.reset(project.recipe || []);
+      return;
+    }
+
+    this.variants = project.variants.map(variant => ({ ...variant }));
+    const active = this.variants.find(v => v.id === project.activeVariant) || this.variants[0];
+    this.activeId = active.id;
+    // project.recipe is what was in the chain panel when it was saved
+    if (project.recipe) active.recipe = project.recipe;
+    this.comparison = null;
+    this.render();
+  },
+
+  /**
+   * Get the active variant
+   */
+  getActive() {
+    return this.variants.find(v => v.id === this.activeId) || null;
+  },
+
+  /**
+   * Copy the chain panel into the active variant
+   */
+  syncActive() {
+    const active = this.getActive();
+    if (active) active.recipe = RecipeManager.getChainData();
+  },
+
+  /**
+   * Get variants in the shape projects store
+   * @returns {Object} { variants, activeVariant }
+   */
+  getData() {
+    this.syncActive();
+    return {
+      variants: this.variants.map(v => ({ id: v.id, name: v.name, recipe: v.recipe })),
+      activeVariant: this.activeId
+    };
+  },
+
+  /**
+   * Make another variant the one the chain panel edits
+   * @param {string} id - Variant id
+   */
+  switchTo(id) {
+    const variant = this.variants.find(v => v.id === id);
+    if (!variant || id === this.activeId) return;
+
+    this.syncActive();
+    this.activeId = id;
+    RecipeManager.loadChainData(variant.recipe);
+    RecipeManager.intermediateSteps = [];
+    this.render();
+    App.log(`Switched to variant: ${variant.name}`, 'info');
+  },
+
+  /**
+   * Fork the current chain into a new variant and switch to it
+   */
+  createFromCurrent() {
+    const active = this.getActive();
+    const name = prompt('Name for the new variant:', this.getUniqueName(`${active?.name || 'Variant'} copy`));
+    if (!name?.trim()) return;
+
+    this.syncActive();
+    const variant = {
+      id: this.createId(),
+      name: this.getUniqueName(name.trim()),
+      recipe: RecipeManager.getChainData()
+    };
+    this.variants.push(variant);
+    this.activeId = variant.id;
+    this.render();
+    RecipeManager.dispatchChainChanged();
+    App.log(`Created variant: ${variant.name}`, 'success');
+  },
+
+  /**
+   * Rename the active variant
+   */
+  renameActive() {
+    const active = this.getActive();
+    if (!active) return;
+
+    const name = prompt('Rename variant:', active.name);
+    if (!name?.trim() || name.trim() === active.name) return;
+
+    active.name = this.getUniqueName(name.trim());
+    this.render();
+    RecipeManager.dispatchChainChanged();
+  },
+
+  /**
+   * Delete the active variant and switch to the first remaining one
+   */
+  deleteActive() {
+    const active = this.getActive();
+    if (!active || this.variants.length <= 1) {
+      App.log('A project needs at least one variant', 'warn');
+      return;
+    }
+    if (!confirm(`Delete variant "${active.name}"?`)) return;
+
+    this.variants = this.variants.filter(v => v.id !== active.id);
+    this.activeId = this.variants[0].id;
+    RecipeManager.loadChainData(this.variants[0].recipe);
+    RecipeManager.intermediateSteps = [];
+    this.render();
+    App.log(`Deleted variant: ${active.name}`, 'info');
+  },
+
+  /**
+   * Append a number to names that are already taken
+   */
+  getUniqueName(name) {
+    const taken = new Set(this.variants.map(v => v.name));
+    if (!taken.has(name)) return name;
+    let n = 2;
+    while (taken.has(`${name} ${n}`)) n++;
+    return `${name} ${n}`;
+  },
+
+  /**
+   * Render the variant selector
+   */
+  render() {
+    const select = document.getElementById('variant-select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    this.variants.forEach(variant => {
+      const option = document.createElement('option');
+      option.value = variant.id;
+      option.textContent = variant.name;
+      select.appendChild(option);
+    });
+    select.value = this.activeId;
+
+    const deleteBtn = document.getElementById('btn-variant-delete');
+    if (deleteBtn) deleteBtn.disabled = this.variants.length <= 1;
+  },
+
+  // ==================== Comparison ====================
+
+  /**
+   * Open the comparison view with every variant selected
+   */
+  openCompare() {
+    this.syncActive();
+
+    const list = document.getElementById('compare-variant-list');
+    if (list) {
+      list.innerHTML = this.variants.map(variant => `
+        <label class="settings-checkbox">
+          <input type="checkbox" value="${variant.id}" checked>
+          <span>${App.escapeHtml(variant.name)} (${variant.recipe.length} item${variant.recipe.length !== 1 ? 's' : ''})</span>
+        </label>
+      `).join('');
+    }
+
+    App.openModal('modal-compare-variants');
+    if (this.comparison) this.renderComparison();
+  },
+
+  /**
+   * Run the selected variants one after another over the current input
+   */
+  async runComparison() {
+    const code = EditorManager.getInput();
+    if (!code?.trim()) {
+      App.log('No input code to compare on', 'warn');
+      return;
+    }
+
+    const selected = [...document.querySelectorAll('#compare-variant-list input:checked')].map(el => el.value);
+    const variants = this.variants.filter(v => selected.includes(v.id));
+    if (variants.length === 0) {
+      App.log('Select at least one variant to compare', 'warn');
+      return;
+    }
+
+    const runBtn = document.getElementById('btn-run-comparison');
+    if (runBtn) runBtn.disabled = true;
+
+    const runs = [];
+    try {
+      for (const variant of variants) {
+        App.showProgress(`Running variant "${variant.name}"...`);
+        const recipe = variant.recipe.map(item => RecipeManager.toExecutionItem(item));
+        const startTime = Date.now();
+        let result;
+        try {
+          // Per-step code isn't needed here, only sizes and stats
+          result = await API.runChain(code, recipe, false, { captureSteps: false });
+        } catch (error) {
+          result = { success: false, error: error.message, results: [] };
+        }
+        runs.push({ variant, result, duration: Date.now() - startTime });
+        if (result.cancelled) break;
+      }
+    } finally {
+      App.hideProgress();
+      if (runBtn) runBtn.disabled = false;
+    }
+
+    this.comparison = { inputSize: App.getByteSize(code), runs };
+    this.renderComparison();
+    App.log(`Compared ${runs.length} variant${runs.length !== 1 ? 's' : ''}`, 'success');
+  },
+
+  /**
+   * Sum the change counters a run reported
+   */
+  getTotalChanges(results) {
+    return (results || []).reduce((sum, r) => sum + (typeof r.stats?.changes === 'number' ? r.stats.changes : 0), 0);
+  },
+
+  /**
+   * Render the results table, per-step stats, size chart and diff pickers
+   */
+  renderComparison() {
+    const container = document.getElementById('compare-results');
+    if (!container || !this.comparison) return;
+
+    const { inputSize, runs } = this.comparison;
+    const esc = (str) => App.escapeHtml(String(str));
+
+    let html = `
+      <table class="compare-table">
+        <thead>
+          <tr>
+            <th>Variant</th><th>Status</th><th>Output</th><th>Change</th><th>Changes</th><th>Time</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    runs.forEach((run, i) => {
+      const { result } = run;
+      const outputSize = result.success ? App.getByteSize(result.finalCode || '') : 0;
+      const sizeDiff = outputSize - inputSize;
+      const sizePercent = inputSize > 0 ? Math.round((sizeDiff / inputSize) * 100) : 0;
+      const status = result.success
+        ? '<span class="compare-status success">OK</span>'
+        : `<span class="compare-status error" title="${esc(result.error || '')}">Failed${result.failedAt !== undefined ? ` at ${result.failedAt + 1}` : ''}</span>`;
+
+      html += `
+        <tr>
+          <td><span class="compare-swatch" style="background: ${VARIANT_COLORS[i % VARIANT_COLORS.length]}"></span>${esc(run.variant.name)}</td>
+          <td>${status}</td>
+          <td>${result.success ? App.formatBytes(outputSize) : '-'}</td>
+          <td class="${sizeDiff < 0 ? 'negative' : 'positive'}">${result.success ? `${sizePercent >= 0 ? '+' : ''}${sizePercent}%` : '-'}</td>
+          <td>${this.getTotalChanges(result.results)}</td>
+          <td>${run.duration}ms</td>
+          <td><button class="btn btn-secondary btn-tiny" data-use-variant="${run.variant.id}">Use</button></td>
+        </tr>
+      `;
+    });
+    html += '</tbody></table>';
+
+    // Per-step stats, one column per variant
+    html += '<div class="compare-steps">';
+    runs.forEach(run => {
+      html += `<div class="compare-steps-column"><h5>${esc(run.variant.name)}</h5>`;
+      (run.result.results || []).forEach((r, i) => {
+        const statusClass = r.skipped ? 'skipped' : (r.success === false ? 'error' : 'success');
+        const stats = Object.entries(r.stats || {})
+          .filter(([, value]) => typeof value === 'number' && value > 0)
+          .map(([key, value]) => `<span class="summary-transform-stat">${value} ${esc(key)}</span>`)
+          .join('');
+        html += `
+          <div class="summary-transform ${statusClass}">
+            <span class="summary-transform-name">${i + 1}. ${esc(r.name || r.transform)}</span>
+            <div class="summary-transform-stats">${r.skipped ? '<span>Skipped</span>' : stats}</div>
+          </div>
+        `;
+      });
+      html += '</div>';
+    });
+    html += '</div>';
+
+    container.innerHTML = html;
+    container.querySelectorAll('[data-use-variant]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.switchTo(btn.dataset.useVariant);
+        App.closeModal('modal-compare-variants');
+      });
+    });
+
+    this.renderComparisonChart();
+
+    // Diff pickers default to the first two runs
+    ['compare-diff-a', 'compare-diff-b'].forEach((id, which) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      select.innerHTML = runs.map((run, i) => `<option value="${i}">${esc(run.variant.name)}</option>`).join('');
+      select.value = String(Math.min(which, runs.length - 1));
+    });
+    this.updateCompareDiff();
+  },
+
+  /**
+   * Code size after each step, one line per variant
+   * Same axes and formatting as the summary's renderSizeChart
+   */
+  renderComparisonChart() {
+    const canvas = document.getElementById('compare-size-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    const { inputSize, runs } = this.comparison;
+    const longest = Math.max(0, ...runs.map(run => (run.result.results || []).length));
+    const labels = ['Input', ...Array.from({ length: longest }, (_, i) => `Step ${i + 1}`)];
+
+    const datasets = runs.map((run, i) => {
+      const sizes = [inputSize];
+      (run.result.results || []).forEach(r => sizes.push(r.codeSize || sizes[sizes.length - 1]));
+      const color = VARIANT_COLORS[i % VARIANT_COLORS.length];
+      return {
+        label: run.variant.name,
+        data: sizes,
+        stepNames: ['Input', ...(run.result.results || []).map(r => r.name || r.transform)],
+        fill: false,
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 4,
+        pointHoverRadius: 6
+      };
+    });
+
+    const style = getComputedStyle(document.documentElement);
+    const textColor = style.getPropertyValue('--text-secondary').trim() || '#9ca3af';
+    const gridColor = 'rgba(255, 255, 255, 0.05)';
+
+    if (this.compareChart) {
+      this.compareChart.destroy();
+    }
+
+    this.compareChart = new Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { labels: { color: textColor } },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const stepName = context.dataset.stepNames[context.dataIndex] || '';
+                return `${context.dataset.label}: ${App.formatBytes(context.raw)} (${stepName})`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: { grid: { color: gridColor }, ticks: { color: textColor } },
+          y: {
+            beginAtZero: false,
+            grid: { color: gridColor },
+            ticks: { color: textColor, callback: (value) => App.formatBytes(value) }
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * Show the output diff between the two picked runs
+   */
+  updateCompareDiff() {
+    const container = document.getElementById('compare-diff-editor');
+    if (!container || !this.comparison || typeof monaco === 'undefined') return;
+
+    const runA = this.comparison.runs[parseInt(document.getElementById('compare-diff-a')?.value, 10)];
+    const runB = this.comparison.runs[parseInt(document.getElementById('compare-diff-b')?.value, 10)];
+    if (!runA || !runB) return;
+
+    const codeOf = (run) => run.result.success ? run.result.finalCode : `// Failed: ${run.result.error || 'unknown error'}`;
+
+    if (!this.compareDiffEditor) {
+      this.compareDiffEditor = monaco.editor.createDiffEditor(container, {
+        ...EditorManager.getEditorOptions(),
+        readOnly: true,
+        renderSideBySide: true
+      });
+    }
+    const previous = this.compareDiffEditor.getModel();
+    this.compareDiffEditor.setModel({
+      original: monaco.editor.createModel(codeOf(runA), 'javascript'),
+      modified: monaco.editor.createModel(codeOf(runB), 'javascript')
+    });
+    previous?.original.dispose();
+    previous?.modified.dispose();
+    this.compareDiffEditor.layout();
+  }
+};
+
+window.VariantManager = VariantManager;
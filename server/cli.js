@@ -0,0 +1,434 @@
+/**
+ * Headless CLI - Runs a saved project recipe against files without the browser UI
+ *
+ * Usage:
+ *   jsdeob-workbench run --project <id|name|file.json> <inputs...> [options]
+ *
+ * Inputs can be files, directories (all .js files inside) or glob patterns
+ * such as "samples/**\/*.js". Output is written next to each input as
+ * <name>.deob.js unless --out-dir is given, in which case the inputs'
+ * folder layout (relative to the folder they all share) is mirrored there.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Get base path (supports packaged exe)
+const getBasePath = () => global.DATA_BASE_PATH || path.join(__dirname, '..');
+const getProjectsDir = () => path.join(getBasePath(), 'data/projects');
+
+const USAGE = `
+Usage: jsdeob-workbench run --project <id|name|file.json> <inputs...> [options]
+
+Runs the recipe of a saved or exported project against each input and writes
+the deobfuscated output next to it.
+
+Inputs:
+  file.js                 A single file
+  dir/                    Every .js file in the directory (recursive)
+  "samples/**/*.js"       Glob pattern (quote it so the shell doesn't expand it)
+
+Options:
+  -p, --project <ref>     Project id or name from data/projects, or path to a project/export JSON
+  -V, --variant <name>    Run this recipe variant of the project instead of the active one
+  -o, --out-dir <dir>     Write outputs into this directory instead of next to the inputs,
+                          keeping their subfolders
+  -s, --suffix <suffix>   Output file suffix (default: .deob.js)
+  -m, --source-map        Also write <output>.map linking the output back to the input
+  -q, --quiet             Only print errors and the final summary
+  -h, --help              Show this help
+`;
+
+/**
+ * Check whether argv requests headless mode
+ * @param {string[]} argv - process.argv
+ * @returns {boolean}
+ */
+function isCliInvocation(argv) {
+  return argv[2] === 'run';
+}
+
+/**
+ * Parse CLI arguments (everything after "run")
+ * @param {string[]} args
+ * @returns {Object} { project, variant, outDir, suffix, sourceMap, quiet, help, inputs }
+ */
+function parseArgs(args) {
+  const options = {
+    project: null,
+    variant: null,
+    outDir: null,
+    suffix: '.deob.js',
+    sourceMap: false,
+    quiet: false,
+    help: false,
+    inputs: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-p':
+      case '--project':
+        options.project = args[++i];
+        break;
+      case '-V':
+      case '--variant':
+        options.variant = args[++i];
+        break;
+      case '-o':
+      case '--out-dir':
+        options.outDir = args[++i];
+        break;
+      case '-s':
+      case '--suffix':
+        options.suffix = args[++i];
+        break;
+      case '-m':
+      case '--source-map':
+        options.sourceMap = true;
+        break;
+      case '-q':
+      case '--quiet':
+        options.quiet = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.inputs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Write the output with a sourceMappingURL comment and its map next to it
+ * The map's source points at the input file, relative to the map
+ */
+async function writeSourceMap(result, inputPath, outputPath) {
+  const mapPath = outputPath + '.map';
+  const map = {
+    ...result.sourceMap,
+    file: path.basename(outputPath),
+    sources: [path.relative(path.dirname(mapPath), inputPath).split(path.sep).join('/')]
+  };
+  await fs.writeFile(mapPath, JSON.stringify(map), 'utf-8');
+  await fs.writeFile(outputPath, `${result.finalCode}\n//# sourceMappingURL=${path.basename(mapPath)}\n`, 'utf-8');
+}
+
+/**
+ * Load a project by file path, id or name
+ * Accepts saved projects, /export payloads ({ success, project }) and bare exports
+ * @param {string} ref - Path to a JSON file, project id or project name
+ * @returns {Promise<Object>} Project with a recipe array
+ */
+async function loadProject(ref) {
+  let content = null;
+
+  // 1. Path to a project or export JSON
+  try {
+    content = await fs.readFile(path.resolve(ref), 'utf-8');
+  } catch (err) {
+    // Not a file - try data/projects
+  }
+
+  // 2. Project id in data/projects
+  if (content === null) {
+    try {
+      content = await fs.readFile(path.join(getProjectsDir(), `${path.basename(ref)}.json`), 'utf-8');
+    } catch (err) {
+      // Not an id - try matching by name
+    }
+  }
+
+  // 3. Project name in data/projects
+  if (content === null) {
+    const files = await fs.readdir(getProjectsDir()).catch(() => []);
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const candidate = await fs.readFile(path.join(getProjectsDir(), file), 'utf-8');
+      try {
+        if (JSON.parse(candidate).name === ref) {
+          content = candidate;
+          break;
+        }
+      } catch (err) {
+        // Skip malformed project files
+      }
+    }
+  }
+
+  if (content === null) {
+    throw new Error(`Project not found: ${ref}`);
+  }
+
+  const data = JSON.parse(content);
+  const project = data.project && Array.isArray(data.project.recipe) ? data.project : data;
+
+  if (!Array.isArray(project.recipe)) {
+    throw new Error(`Invalid project format: ${ref} has no recipe`);
+  }
+
+  return project;
+}
+
+/**
+ * Pick the recipe of a named variant
+ * @param {Object} project - Loaded project
+ * @param {string|null} name - Variant name, or null for the project's recipe
+ * @returns {Object[]} Recipe to run
+ */
+function getVariantRecipe(project, name) {
+  if (!name) return project.recipe;
+  const variant = (project.variants || []).find(v => v.name === name);
+  if (!variant) {
+    const names = (project.variants || []).map(v => `"${v.name}"`).join(', ') || 'none';
+    throw new Error(`Variant not found: ${name} (available: ${names})`);
+  }
+  return variant.recipe;
+}
+
+/**
+ * Reject loop items that lost their children
+ * Exports made before loops were exported in full kept only the loop card;
+ * running one would silently skip the whole loop
+ * @param {Object[]} recipe - Recipe to run
+ */
+function checkRecipe(recipe) {
+  recipe.forEach((item, index) => {
+    if (item.type === 'loop' && !Array.isArray(item.children)) {
+      throw new Error(`Recipe item ${index + 1} (${item.name || 'Loop'}) is a loop without its children - re-export the project`);
+    }
+  });
+}
+
+/**
+ * Convert a glob pattern to a RegExp matched against forward-slash paths
+ * Supports *, ** and ?
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i++;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (c === '?') {
+      regex += '[^/]';
+    } else {
+      regex += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + regex + '$');
+}
+
+/**
+ * Recursively list files under a directory
+ */
+async function walk(dir) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      files.push(...await walk(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand input arguments (files, directories, globs) into a list of files
+ * Previously generated outputs (matching the suffix) are skipped
+ */
+async function expandInputs(inputs, suffix) {
+  const files = new Set();
+
+  for (const input of inputs) {
+    if (/[*?]/.test(input)) {
+      // Walk from the static prefix of the pattern
+      const normalized = input.split(path.sep).join('/');
+      const firstGlob = normalized.search(/[*?]/);
+      const baseDir = normalized.slice(0, normalized.lastIndexOf('/', firstGlob) + 1) || '.';
+      const matcher = globToRegExp(path.resolve(normalized).split(path.sep).join('/'));
+
+      const candidates = await walk(path.resolve(baseDir)).catch(() => []);
+      for (const file of candidates) {
+        if (matcher.test(file.split(path.sep).join('/'))) {
+          files.add(file);
+        }
+      }
+      continue;
+    }
+
+    const fullPath = path.resolve(input);
+    const stat = await fs.stat(fullPath).catch(() => null);
+    if (!stat) {
+      throw new Error(`Input not found: ${input}`);
+    }
+
+    if (stat.isDirectory()) {
+      for (const file of await walk(fullPath)) {
+        if (file.endsWith('.js')) files.add(file);
+      }
+    } else {
+      files.add(fullPath);
+    }
+  }
+
+  return [...files].filter(file => !file.endsWith(suffix)).sort();
+}
+
+/**
+ * Deepest directory containing all the input files
+ */
+function getInputRoot(files) {
+  let root = path.dirname(files[0]);
+  for (const file of files) {
+    while (path.relative(root, file).startsWith('..') && path.dirname(root) !== root) {
+      root = path.dirname(root);
+    }
+  }
+  return root;
+}
+
+/**
+ * Get the output path for an input file
+ * With --out-dir, the file's directory relative to inputRoot is kept, so
+ * samples/a/x.js and samples/b/x.js don't overwrite each other
+ */
+function getOutputPath(inputPath, options, inputRoot) {
+  const ext = path.extname(inputPath);
+  const base = path.basename(inputPath, ext) + options.suffix;
+  const dir = options.outDir
+    ? path.join(path.resolve(options.outDir), path.relative(inputRoot, path.dirname(inputPath)))
+    : path.dirname(inputPath);
+  return path.join(dir, base);
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} args - Arguments after "run"
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!options.project || options.inputs.length === 0) {
+    console.error('A project (--project) and at least one input are required.');
+    console.error(USAGE);
+    return 2;
+  }
+
+  // Loaded lazily so --help doesn't pay for loading every builtin
+  const chainExecutor = require('./transforms/chain');
+
+  try {
+    const project = await loadProject(options.project);
+    const recipe = getVariantRecipe(project, options.variant);
+    checkRecipe(recipe);
+    const files = await expandInputs(options.inputs, options.suffix);
+
+    if (files.length === 0) {
+      console.error('No input files matched.');
+      return 2;
+    }
+
+    const inputRoot = getInputRoot(files);
+
+    const variantLabel = options.variant ? ` (variant "${options.variant}")` : '';
+    console.log(`Project "${project.name}"${variantLabel}: ${recipe.length} recipe items, ${files.length} file(s)`);
+
+    let failed = 0;
+    for (const file of files) {
+      const startTime = Date.now();
+      const relative = path.relative(process.cwd(), file);
+
+      try {
+        const code = await fs.readFile(file, 'utf-8');
+
+        const maxNesting = chainExecutor.getNestingDepth(code);
+        if (maxNesting > 500) {
+          throw new Error(`Code has very deep nesting (${maxNesting} levels). This may cause stack overflow.`);
+        }
+
+        const result = await chainExecutor.runNestedChain(code, recipe, { sourceMaps: options.sourceMap });
+
+        if (!options.quiet) {
+          for (const r of result.results) {
+            for (const entry of r.logs || []) {
+              console.log(`  [${r.name || r.transform}] ${entry.args.join(' ')}`);
+            }
+          }
+        }
+
+        if (!result.success) {
+          const failedItem = result.results[result.failedAt];
+          throw new Error(`Failed at "${failedItem?.name || failedItem?.transform}": ${result.error}`);
+        }
+
+        const outputPath = getOutputPath(file, options, inputRoot);
+        if (options.outDir) {
+          await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        }
+        if (options.sourceMap && result.sourceMap) {
+          await writeSourceMap(result, file, outputPath);
+        } else {
+          await fs.writeFile(outputPath, result.finalCode, 'utf-8');
+        }
+
+        if (!options.quiet) {
+          console.log(`  ✓ ${relative} → ${path.relative(process.cwd(), outputPath)} (${code.length} → ${result.finalCode.length} chars, ${Date.now() - startTime}ms)`);
+        }
+      } catch (err) {
+        failed++;
+        console.error(`  x ${relative}: ${err.message}`);
+      }
+    }
+
+    console.log(`Done: ${files.length - failed} succeeded, ${failed} failed`);
+    return failed > 0 ? 1 : 0;
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+}
+
+module.exports = {
+  isCliInvocation,
+  parseArgs,
+  loadProject,
+  expandInputs,
+  main
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const cli = require('./cli');
 
 // Routes
 const transformRoutes = require('./routes/transform');
@@ -61,10 +62,20 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: Date.now(), packaged: isPkg });
 });
 
-// Start server
-ensureDataDirs().then(() => {
-  app.listen(PORT, () => {
-    console.log(`
+// Headless mode: `jsdeob-workbench run ...` runs a project recipe without starting the server
+if (cli.isCliInvocation(process.argv)) {
+  global.DATA_BASE_PATH = getBasePath();
+  cli.main(process.argv.slice(3)).then(exitCode => {
+    process.exitCode = exitCode;
+  }).catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+} else {
+  // Start server
+  ensureDataDirs().then(() => {
+    app.listen(PORT, () => {
+      console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
 ║   JS Deobfuscation Workbench                              ║
@@ -72,11 +83,12 @@ ensureDataDirs().then(() => {
 ║   Server running at http://localhost:${PORT}                ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
-    `);
+      `);
+    });
+  }).catch(err => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
   });
-}).catch(err => {
-  console.error('Failed to start server:', err);
-  process.exit(1);
-});
+}
 
 module.exports = app;
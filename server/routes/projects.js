@@ -8,6 +8,83 @@ const { v4: uuidv4 } = require('uuid');
 const getBasePath = () => global.DATA_BASE_PATH || path.join(__dirname, '../..');
 const getProjectsDir = () => path.join(getBasePath(), 'data/projects');
 
+/**
+ * Keep only the fields a saved step snapshot needs
+ * @param {Object|null} steps - { baseCode, items: [{ index, name, code, stats, logs }] }
+ * @returns {Object|null} Normalized snapshot, or null to store none
+ */
+const normalizeSteps = (steps) => {
+  if (!steps || !Array.isArray(steps.items)) return null;
+  return {
+    baseCode: typeof steps.baseCode === 'string' ? steps.baseCode : '',
+    items: steps.items
+      .filter(step => step && typeof step.code === 'string')
+      .map(step => ({
+        index: step.index,
+        name: step.name || '',
+        code: step.code,
+        stats: step.stats || {},
+        logs: Array.isArray(step.logs) ? step.logs : []
+      }))
+  };
+};
+
+/**
+ * Keep only well-formed recipe variants
+ * @param {Object[]|null} variants - [{ id, name, recipe }]
+ * @returns {Object[]} Variants with a name and a recipe array
+ */
+const normalizeVariants = (variants) => {
+  if (!Array.isArray(variants)) return [];
+  return variants
+    .filter(variant => variant && variant.name && Array.isArray(variant.recipe))
+    .map((variant, i) => ({
+      id: variant.id || `variant_${i + 1}`,
+      name: String(variant.name),
+      recipe: variant.recipe
+    }));
+};
+
+/**
+ * Keep only well-formed input files
+ * @param {Object[]|null} files - [{ name, code, outputCode, module }]
+ * @returns {Object[]} Files with a name and code; empty for single-input projects
+ */
+const normalizeFiles = (files) => {
+  if (!Array.isArray(files)) return [];
+  return files
+    .filter(file => file && file.name && typeof file.code === 'string')
+    .map(file => ({
+      name: String(file.name),
+      code: file.code,
+      outputCode: typeof file.outputCode === 'string' ? file.outputCode : '',
+      module: file.module || null
+    }));
+};
+
+/**
+ * Keep only a well-formed IOC report
+ * @param {Object|null} iocs - { extractedAt, source, indicators: [{ type, value, locations }], counts }
+ * @returns {Object|null} Normalized report, or null to store none
+ */
+const normalizeIOCs = (iocs) => {
+  if (!iocs || !Array.isArray(iocs.indicators)) return null;
+  const indicators = iocs.indicators
+    .filter(indicator => indicator && indicator.type && typeof indicator.value === 'string')
+    .map(indicator => ({
+      ...indicator,
+      locations: Array.isArray(indicator.locations) ? indicator.locations : []
+    }));
+  const counts = {};
+  for (const indicator of indicators) counts[indicator.type] = (counts[indicator.type] || 0) + 1;
+  return {
+    extractedAt: iocs.extractedAt || new Date().toISOString(),
+    source: iocs.source === 'input' ? 'input' : 'output',
+    indicators,
+    counts
+  };
+};
+
 // Get all projects
 router.get('/', async (req, res) => {
   try {
@@ -25,7 +102,10 @@ router.get('/', async (req, res) => {
           description: project.description,
           createdAt: project.createdAt,
           updatedAt: project.updatedAt,
-          recipeCount: project.recipe?.length || 0
+          recipeCount: project.recipe?.length || 0,
+          stepCount: project.steps?.items?.length || 0,
+          variantCount: project.variants?.length || 0,
+          fileCount: project.files?.length || 0
         });
       }
     }
@@ -58,7 +138,7 @@ router.get('/:id', async (req, res) => {
 // Create new project
 router.post('/', async (req, res) => {
   try {
-    const { name, description, inputCode, outputCode, recipe, history } = req.body;
+    const { name, description, inputCode, outputCode, files, activeFile, recipe, history, steps, variants, activeVariant, iocs } = req.body;
     
     if (!name) {
       return res.status(400).json({ success: false, error: 'Name is required' });
@@ -71,8 +151,14 @@ router.post('/', async (req, res) => {
       description: description || '',
       inputCode: inputCode || '',
       outputCode: outputCode || '',
+      files: normalizeFiles(files),
+      activeFile: activeFile || null,
       recipe: recipe || [],
       history: history || [],
+      steps: normalizeSteps(steps),
+      variants: normalizeVariants(variants),
+      activeVariant: activeVariant || null,
+      iocs: normalizeIOCs(iocs),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -97,7 +183,7 @@ router.put('/:id', async (req, res) => {
     const existingContent = await fs.readFile(projectPath, 'utf-8');
     const existing = JSON.parse(existingContent);
     
-    const { name, description, inputCode, outputCode, recipe, history } = req.body;
+    const { name, description, inputCode, outputCode, files, activeFile, recipe, history, steps, variants, activeVariant, iocs } = req.body;
     
     const updated = {
       ...existing,
@@ -105,8 +191,16 @@ router.put('/:id', async (req, res) => {
       description: description !== undefined ? description : existing.description,
       inputCode: inputCode !== undefined ? inputCode : existing.inputCode,
       outputCode: outputCode !== undefined ? outputCode : existing.outputCode,
+      files: files !== undefined ? normalizeFiles(files) : (existing.files || []),
+      activeFile: activeFile !== undefined ? activeFile : (existing.activeFile || null),
       recipe: recipe !== undefined ? recipe : existing.recipe,
       history: history !== undefined ? history : existing.history,
+      // null clears saved steps; omitted keeps them
+      steps: steps !== undefined ? normalizeSteps(steps) : (existing.steps || null),
+      variants: variants !== undefined ? normalizeVariants(variants) : (existing.variants || []),
+      activeVariant: activeVariant !== undefined ? activeVariant : (existing.activeVariant || null),
+      // null clears the IOC report; omitted keeps it
+      iocs: iocs !== undefined ? normalizeIOCs(iocs) : (existing.iocs || null),
       updatedAt: new Date().toISOString()
     };
     
@@ -175,20 +269,43 @@ router.get('/:id/export', async (req, res) => {
     const content = await fs.readFile(projectPath, 'utf-8');
     const project = JSON.parse(content);
     
-    // Remove internal IDs for clean export
-    const exportData = {
-      name: project.name,
-      description: project.description,
-      inputCode: project.inputCode,
-      recipe: project.recipe.map(item => ({
+    // Remove internal IDs for clean export; loops keep their mode and children
+    const exportItem = item => {
+      const exported = {
         id: item.id,
         type: item.type,
         name: item.name,
         code: item.code,
         config: item.config,
-        enabled: item.enabled
-      }))
+        enabled: item.enabled,
+        iterations: item.iterations
+      };
+      if (item.type === 'loop') {
+        exported.untilStable = item.untilStable === true;
+        exported.children = (item.children || []).map(exportItem);
+      }
+      return exported;
     };
+    const exportData = {
+      name: project.name,
+      description: project.description,
+      inputCode: project.inputCode,
+      recipe: project.recipe.map(exportItem)
+    };
+    if (project.files?.length > 0) {
+      exportData.files = project.files.map(file => ({ name: file.name, code: file.code, module: file.module }));
+      exportData.activeFile = project.activeFile || null;
+    }
+    if (project.variants?.length > 0) {
+      exportData.variants = project.variants.map(variant => ({
+        name: variant.name,
+        recipe: variant.recipe.map(exportItem)
+      }));
+      exportData.activeVariant = project.variants.find(v => v.id === project.activeVariant)?.name || null;
+    }
+    if (project.iocs) {
+      exportData.iocs = project.iocs;
+    }
     
     res.json({ success: true, project: exportData });
   } catch (error) {
@@ -210,14 +327,21 @@ router.post('/import', async (req, res) => {
     }
     
     const id = uuidv4();
+    // Exports name the active variant rather than carrying ids
+    const variants = normalizeVariants(project.variants);
     const newProject = {
       id,
       name: project.name,
       description: project.description || '',
       inputCode: project.inputCode || '',
       outputCode: '',
+      files: normalizeFiles(project.files).map(file => ({ ...file, outputCode: '' })),
+      activeFile: project.activeFile || null,
       recipe: project.recipe || [],
       history: [],
+      variants,
+      activeVariant: variants.find(v => v.name === project.activeVariant)?.id || null,
+      iocs: normalizeIOCs(project.iocs),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -9,8 +9,38 @@ const t = require('@babel/types');
 // Import built-in transforms
 const builtInTransforms = require('../transforms');
 
-// Direct transform runner
-const directRunner = require('../transforms/runner');
+// Sandboxed user transform runner
+const transformRunner = require('../transforms/runner');
+
+// Shared recipe chain executor (also used by the CLI)
+const chainExecutor = require('../transforms/chain');
+
+// Runs chains off the main thread with timeouts and cancellation
+const supervisor = require('../transforms/supervisor');
+
+// Compares the runtime behaviour of a chain's input and output
+const verifier = require('../transforms/verify');
+
+// Recognizes known obfuscators and proposes recipes for them
+const { fingerprint } = require('../transforms/fingerprint');
+
+// Splits webpack, Browserify and Rollup bundles into modules
+const { unpackBundle } = require('../transforms/bundle');
+
+// Joins, runs and splits multi-file inputs
+const multiFile = require('../transforms/multiFile');
+
+// Scopes and bindings for the Scope panel
+const { analyzeScopes, analyzeFileScopes } = require('../transforms/scopeAnalysis');
+
+// Function-level call graph and value tracing
+const callGraph = require('../transforms/callGraph');
+
+// Indicators of compromise (URLs, IPs, wallets, sensitive API calls)
+const { extractIOCs, extractFileIOCs } = require('../transforms/iocs');
+
+// In-flight /run-chain requests by client-supplied runId
+const activeRuns = new Map();
 
 // Parse code to AST
 router.post('/parse', async (req, res) => {
@@ -27,7 +57,7 @@ router.post('/parse', async (req, res) => {
     if (error.message && error.message.includes('stack')) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Stack overflow during parsing. The code is too deeply nested. For JSFuck-style code, try evaluating it in browser console first: copy the code, paste in console, and use the result.'
+        error: 'Stack overflow during parsing. The code is too deeply nested. For JSFuck, JJencode or AAencode, run the DecodeEncodedScript transform first.'
       });
     }
     res.status(400).json({ success: false, error: error.message });
@@ -64,8 +94,8 @@ router.post('/run', async (req, res) => {
       }
       result = await transformFn(code, config);
     } else if (transform.type === 'user' || transform.type === 'inline' || transform.type === 'script' || transform.type === 'example' || transform.type === 'plugin' || transform.type === 'folder') {
-      // Run user/inline/script/example/plugin transform directly (no sandbox overhead)
-      result = await directRunner.runTransform(code, transform.code, config);
+      // Run user/inline/script/example/plugin transform in the sandbox
+      result = await transformRunner.runTransform(code, transform.code, config);
     } else {
       throw new Error(`Unknown transform type: ${transform.type}`);
     }
@@ -87,189 +117,145 @@ router.post('/run', async (req, res) => {
 // Run a recipe chain - OPTIMIZED: parse once, pass AST, generate once
 router.post('/run-chain', async (req, res) => {
   try {
-    const { code, recipe, stepMode = false } = req.body;
-    const results = [];
-    
-    console.log('[run-chain] Starting with', recipe.length, 'transforms, code length:', code.length);
-    
-    // Check for extremely nested code that might cause stack overflow
-    let maxNesting = 0;
-    let currentNesting = 0;
-    for (let i = 0; i < Math.min(code.length, 100000); i++) {
-      const c = code[i];
-      if (c === '[' || c === '(' || c === '{') {
-        currentNesting++;
-        if (currentNesting > maxNesting) maxNesting = currentNesting;
-      } else if (c === ']' || c === ')' || c === '}') {
-        currentNesting--;
-      }
-    }
+    const { code, files, recipe, stepMode = false, runId, stepTimeoutMs, chainTimeoutMs, sourceMaps = false, captureSteps = false } = req.body;
+    
+    // Several input files run as one recipe; step mode stays on single code
+    const inputFiles = !stepMode && Array.isArray(files) ? multiFile.normalizeFiles(files) : [];
+    const multi = inputFiles.length > 1;
+    const sources = multi ? inputFiles.map(file => file.code) : [code];
+    
+    console.log('[run-chain] Starting with', recipe.length, 'transforms, code length:', sources.reduce((sum, source) => sum + source.length, 0), multi ? `(${inputFiles.length} files)` : '');
+    
+    // Check for extremely nested code that might cause stack overflow, unless
+    // a code-level builtin (e.g. DecodeEncodedScript) gets it before any parse
+    const firstItem = recipe.find(item => item.enabled !== false);
+    const decodesFirst = firstItem?.type === 'builtin' && builtInTransforms[firstItem.id]?.operatesOnCode;
+    const nesting = sources.map(source => decodesFirst ? 0 : chainExecutor.getNestingDepth(source));
+    const maxNesting = Math.max(...nesting);
     
     if (maxNesting > 500) {
+      const deepest = nesting.indexOf(maxNesting);
+      const [likely] = fingerprint(sources[deepest]).detections;
+      const guess = likely ? `It looks like ${likely.name} (${Math.round(likely.confidence * 100)}% confidence)` : 'The code might be JSFuck or similar';
       return res.status(400).json({ 
         success: false, 
-        error: `Code has very deep nesting (${maxNesting} levels). This may cause stack overflow. The code might be JSFuck or similar - try eval() in browser console first.`
+        error: `${multi ? `${inputFiles[deepest].name} has` : 'Code has'} very deep nesting (${maxNesting} levels). This may cause stack overflow. ${guess} - add DecodeEncodedScript as the first step of the recipe.`
       });
     }
     
-    // Parse once at the beginning
-    let currentAST = parser.parse(code, {
-      sourceType: 'unambiguous',
-      plugins: ['jsx', 'typescript', 'decorators-legacy']
+    const log = (...args) => console.log('[run-chain]', ...args);
+    
+    // Cancelled through /cancel-chain or by the client dropping the request
+    const controller = new AbortController();
+    if (runId) activeRuns.set(runId, controller);
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
     });
-    let currentCode = code;
-    let needsReparse = false;
     
-    for (let i = 0; i < recipe.length; i++) {
-      const transform = recipe[i];
-      
-      console.log(`[run-chain] Transform ${i + 1}/${recipe.length}: ${transform.id} (${transform.type})`);
-      
-      if (!transform.enabled) {
-        results.push({ index: i, transform: transform.id, skipped: true });
-        continue;
-      }
-      
-      const startTime = Date.now();
-      
-      try {
-        let result;
-        let resultCode;
-        
-        if (transform.type === 'builtin') {
-          const transformFn = builtInTransforms[transform.id];
-          if (!transformFn) {
-            throw new Error(`Unknown built-in transform: ${transform.id}`);
-          }
-          
-          if (needsReparse) {
-            currentAST = parser.parse(currentCode, {
-              sourceType: 'unambiguous',
-              plugins: ['jsx', 'typescript', 'decorators-legacy']
-            });
-            needsReparse = false;
-          }
-          
-          result = await transformFn(currentAST, transform.config || {}, { inputIsAST: true, returnAST: true });
-          
-          if (result.ast) {
-            currentAST = result.ast;
-            resultCode = null;
-          } else {
-            currentCode = result.code;
-            needsReparse = true;
-            resultCode = result.code;
-          }
-        } else if (transform.type === 'user' || transform.type === 'inline' || transform.type === 'example' || transform.type === 'script' || transform.type === 'plugin' || transform.type === 'folder') {
-          const isLast = i === recipe.length - 1;
-          
-          // Run transform directly (no sandbox overhead)
-          result = await directRunner.runTransform(
-            needsReparse ? currentCode : currentAST,
-            transform.code,
-            transform.config || {},
-            { inputIsAST: !needsReparse, returnAST: !isLast }
-          );
-          
-          if (result.ast && !isLast) {
-            currentAST = result.ast;
-            needsReparse = false;
-            resultCode = null;
-          } else {
-            currentCode = result.code;
-            needsReparse = true;
-            resultCode = result.code;
-          }
-        }
-        
-        const duration = Date.now() - startTime;
-        const isLast = i === recipe.length - 1 || stepMode;
-        
-        if (isLast && !resultCode && !needsReparse) {
-          resultCode = generate(currentAST, { comments: true, compact: false }).code;
-          currentCode = resultCode;
-        }
-        
-        // Calculate code size for chart - generate temporarily if needed
-        let codeSize = 0;
-        if (resultCode) {
-          codeSize = resultCode.length;
-        } else if (!needsReparse && currentAST) {
-          // Generate temporarily just to measure size
-          try {
-            const tempCode = generate(currentAST, { comments: true, compact: false }).code;
-            codeSize = tempCode.length;
-          } catch (e) {
-            codeSize = 0;
-          }
-        } else if (currentCode) {
-          codeSize = currentCode.length;
-        }
-        
-        results.push({
-          index: i,
-          transform: transform.id,
-          success: true,
-          code: resultCode || '[AST]',
-          codeSize: codeSize,
-          stats: result.stats || {},
-          logs: result.logs || [],
-          duration
-        });
-        
-        if (stepMode) {
-          if (!resultCode && !needsReparse) {
-            currentCode = generate(currentAST, { comments: true, compact: false }).code;
-          }
-          return res.json({
-            success: true,
-            stepIndex: i,
-            results,
-            currentCode,
-            complete: i === recipe.length - 1
-          });
-        }
-      } catch (err) {
-        if (!needsReparse && currentAST) {
-          try {
-            currentCode = generate(currentAST, { comments: true, compact: false }).code;
-          } catch (e) {}
-        }
-        
-        results.push({
-          index: i,
-          transform: transform.id,
-          success: false,
-          error: err.message
-        });
-        
-        return res.json({
-          success: false,
-          failedAt: i,
-          results,
-          currentCode,
-          error: err.message
-        });
-      }
+    // Step mode walks a flat recipe one transform at a time; full runs accept
+    // the nested chain structure (loop items with children, iteration counts)
+    const options = {
+      stepMode,
+      stepTimeoutMs: parseInt(stepTimeoutMs, 10) || undefined,
+      chainTimeoutMs: parseInt(chainTimeoutMs, 10) || undefined,
+      // Full runs can map the final code back to the input they were given
+      // (not across files: the map would point into the joined code)
+      sourceMaps: !stepMode && !multi && sourceMaps === true,
+      // Per-item code lets the client diff and save every step
+      captureSteps: !stepMode && !multi && captureSteps === true,
+      signal: controller.signal,
+      log
+    };
+    
+    let result;
+    try {
+      result = multi
+        ? await multiFile.runFiles(inputFiles, source => supervisor.runSupervised(source, recipe, options))
+        : await supervisor.runSupervised(code, recipe, options);
+    } finally {
+      if (runId) activeRuns.delete(runId);
     }
     
-    // Final generation
-    if (!needsReparse && currentAST) {
-      currentCode = generate(currentAST, { comments: true, compact: false }).code;
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an in-flight run-chain request
+router.post('/cancel-chain', (req, res) => {
+  const { runId } = req.body;
+  const controller = activeRuns.get(runId);
+  
+  if (!controller) {
+    return res.status(404).json({ success: false, error: 'No running chain with that id' });
+  }
+  
+  controller.abort();
+  res.json({ success: true });
+});
+
+// Check that the output of a chain behaves like its input
+router.post('/verify', async (req, res) => {
+  try {
+    const { input, output, steps = [], timeoutMs } = req.body;
+    
+    if (typeof input !== 'string' || typeof output !== 'string') {
+      return res.status(400).json({ success: false, error: 'input and output code are required' });
     }
     
-    console.log('[run-chain] Complete! Final code length:', currentCode.length);
+    const report = await verifier.verifyEquivalence(input, output, Array.isArray(steps) ? steps : [], {
+      timeoutMs: parseInt(timeoutMs, 10) || undefined
+    });
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Detect known obfuscators and suggest a recipe
+router.post('/fingerprint', (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (typeof code !== 'string') {
+      return res.status(400).json({ success: false, error: 'code is required' });
+    }
     
+    const { detections, recipe, notes } = fingerprint(code);
     res.json({
       success: true,
-      results,
-      finalCode: currentCode
+      detections,
+      // Only steps this server can run
+      recipe: recipe.filter(step => step.type !== 'builtin' || builtInTransforms[step.id]),
+      notes
     });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
+// Split a bundle into one virtual file per module
+router.post('/unpack-bundle', (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (typeof code !== 'string') {
+      return res.status(400).json({ success: false, error: 'code is required' });
+    }
+    
+    const bundle = unpackBundle(code);
+    if (!bundle) {
+      return res.status(400).json({ success: false, error: 'No webpack, Browserify or Rollup bundle runtime found' });
+    }
+    
+    res.json({ success: true, bundle });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Format/prettify code
 router.post('/format', async (req, res) => {
   try {
@@ -289,64 +275,14 @@ router.post('/format', async (req, res) => {
   }
 });
 
-// Get scope analysis
+// Get scope analysis (files: scripts resolve each other's globals)
 router.post('/analyze-scope', async (req, res) => {
   try {
-    const { code } = req.body;
-    const ast = parser.parse(code, {
-      sourceType: 'unambiguous',
-      plugins: ['jsx', 'typescript']
-    });
+    const { code, files } = req.body;
     
-    const scopes = [];
-    const seenScopes = new Set();
-    
-    // Helper to extract bindings from a scope
-    const extractBindings = (scope) => {
-      const bindings = {};
-      for (const [name, binding] of Object.entries(scope.bindings)) {
-        bindings[name] = {
-          kind: binding.kind,
-          references: binding.referencePaths.map(ref => ({
-            line: ref.node.loc?.start.line,
-            column: ref.node.loc?.start.column
-          })),
-          constant: binding.constant,
-          loc: binding.identifier.loc
-        };
-      }
-      return bindings;
-    };
-    
-    traverse(ast, {
-      // Capture Program scope first
-      Program(path) {
-        const scope = path.scope;
-        if (!seenScopes.has(scope)) {
-          seenScopes.add(scope);
-          scopes.push({
-            type: 'Program',
-            bindings: extractBindings(scope),
-            loc: path.node.loc
-          });
-        }
-      },
-      // Capture all other scopes
-      Scope(path) {
-        // Skip Program (already handled)
-        if (path.isProgram()) return;
-        
-        const scope = path.scope;
-        if (seenScopes.has(scope)) return;
-        seenScopes.add(scope);
-        
-        scopes.push({
-          type: path.type,
-          bindings: extractBindings(scope),
-          loc: path.node.loc
-        });
-      }
-    });
+    const scopes = Array.isArray(files) && files.length > 0
+      ? analyzeFileScopes(files)
+      : analyzeScopes(code);
     
     res.json({ success: true, scopes });
   } catch (error) {
@@ -354,6 +290,55 @@ router.post('/analyze-scope', async (req, res) => {
   }
 });
 
+// Build a call graph (files: one graph over all input files)
+router.post('/call-graph', (req, res) => {
+  try {
+    const { code, files } = req.body;
+    
+    const graph = Array.isArray(files) && files.length > 0
+      ? callGraph.buildFileCallGraph(files)
+      : callGraph.buildCallGraph(code);
+    
+    res.json({ success: true, ...graph });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Trace where the value at a position flows
+router.post('/value-flow', (req, res) => {
+  try {
+    const { code, files, file, line, column } = req.body;
+    
+    if (!Number.isInteger(line) || !Number.isInteger(column)) {
+      return res.status(400).json({ success: false, error: 'line and column are required' });
+    }
+    
+    const flow = Array.isArray(files) && files.length > 0 && file
+      ? callGraph.traceFileValueFlow(files, file, line, column)
+      : callGraph.traceValueFlow(code, line, column);
+    
+    res.json({ success: true, ...flow });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Extract indicators of compromise from code
+router.post('/iocs', (req, res) => {
+  try {
+    const { code, files } = req.body;
+    
+    const report = Array.isArray(files) && files.length > 0
+      ? extractFileIOCs(files)
+      : extractIOCs(code);
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // List available built-in transforms
 router.get('/builtins', (req, res) => {
   const transforms = Object.keys(builtInTransforms)
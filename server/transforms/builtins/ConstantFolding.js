@@ -3,7 +3,7 @@
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
 const generate = require('@babel/generator').default;
-const { createASTTransform } = require('../helpers');
+const { createASTTransform, runsAfterInitializer, readsInitializedBindings } = require('../helpers');
 
 module.exports = createASTTransform(
   {
@@ -19,7 +19,8 @@ module.exports = createASTTransform(
       foldTemplateLiterals: { type: 'boolean', default: true, description: 'Fold template literals to strings' },
       maxStringLength: { type: 'number', default: 10000, description: 'Max string length to inline' },
       maxArrayLength: { type: 'number', default: 100, description: 'Max array length to evaluate' },
-      maxPasses: { type: 'number', default: 5, description: 'Max folding passes (for nested expressions)' }
+      maxPasses: { type: 'number', default: 5, description: 'Max folding passes (for nested expressions)' },
+      propagateConstants: { type: 'boolean', default: false, description: 'Substitute variables and never-mutated object/array literals that provably hold one value' }
     }
   },
   async (ast, config = {}) => {
@@ -69,6 +70,14 @@ module.exports = createASTTransform(
      *   Ternary expressions:
      *     true ? "yes" : "no" → "yes"
      * 
+     *   Constant propagation (propagateConstants):
+     *     var a = 5;          var a = 5;
+     *     var b = a * 2;   →  var b = 10;
+     *     foo(b);             foo(10);
+     * 
+     *     var o = { k: 0x1c3 }, arr = [1, 2];
+     *     f(o.k + arr[1]);    →  f(453);
+     * 
      * ═══════════════════════════════════════════════════════════════════════════════
      * WILL NOT FOLD:
      * ═══════════════════════════════════════════════════════════════════════════════
@@ -77,6 +86,15 @@ module.exports = createASTTransform(
      *   - Function calls with side effects
      *   - Strings longer than maxStringLength
      *   - Arrays larger than maxArrayLength
+     *   - Variables that are reassigned, not declared directly in their
+     *     scope's body (e.g. inside an if), or read where the initializer may
+     *     not have run yet - including from a hoisted function called earlier
+     *   - Variables in a scope with a direct eval or a with statement (also in
+     *     a nested function), which may write them unseen
+     *   - Objects/arrays that are written to (also by destructuring), called
+     *     through (push, methods), read for anything but their own elements
+     *     or properties (var s = arr.sort) or used other than by reading a
+     *     property
      * 
      * ═══════════════════════════════════════════════════════════════════════════════
      * CONFIG OPTIONS:
@@ -87,6 +105,8 @@ module.exports = createASTTransform(
      *   - foldArrays: true          → Fold array methods
      *   - foldTemplateLiterals: true→ Fold template strings
      *   - maxPasses: 5              → Passes for nested expressions
+     *   - propagateConstants: false → Substitute constant variables/literals
+     *                                 (declarations are left for RemoveUnusedCode)
      * ═══════════════════════════════════════════════════════════════════════════════
      */
     const opts = {
@@ -98,7 +118,8 @@ module.exports = createASTTransform(
       foldTemplateLiterals: config.foldTemplateLiterals !== false,
       maxStringLength: config.maxStringLength || 10000,
       maxArrayLength: config.maxArrayLength || 100,
-      maxPasses: config.maxPasses || 5
+      maxPasses: config.maxPasses || 5,
+      propagateConstants: config.propagateConstants === true
     };
 
     const stats = {
@@ -112,6 +133,7 @@ module.exports = createASTTransform(
       callsFolded: 0,
       membersFolded: 0,
       conditionalsFolded: 0,
+      constantsPropagated: 0,
       totalFolded: 0,
       passes: 0
     };
@@ -261,7 +283,8 @@ module.exports = createASTTransform(
           try {
             const result = path.evaluate();
             
-            if (result.confident && canConvertToNode(result.value)) {
+            // path.evaluate() takes a var's value by source position only
+            if (result.confident && canConvertToNode(result.value) && readsInitializedBindings(path)) {
               const newNode = valueToNode(result.value);
               
               if (newNode && !nodesEqual(path.node, newNode)) {
@@ -319,6 +342,143 @@ module.exports = createASTTransform(
       return folded;
     }
 
+    // Longest string copied into every read of a variable
+    const MAX_PROPAGATED_STRING = 64;
+
+    /**
+     * Object or array literal a binding holds, if every use only reads from it
+     */
+    function readOnlyLiteral(binding) {
+      const init = binding.path.node.init;
+      if (t.isObjectExpression(init)) {
+        if (init.properties.some(prop => !t.isObjectProperty(prop) || prop.computed)) return null;
+      } else if (!t.isArrayExpression(init) || init.elements.some(el => !el || t.isSpreadElement(el))) {
+        return null;
+      }
+
+      // Anything else (arr.sort, o.constructor) hands out a method that may
+      // mutate the literal
+      const ownKeys = t.isArrayExpression(init)
+        ? new Set(['length', ...init.elements.map((el, i) => String(i))])
+        : new Set(init.properties.map(prop => t.isIdentifier(prop.key) ? prop.key.name : String(prop.key.value)));
+
+      for (const ref of binding.referencePaths) {
+        const member = ref.parentPath;
+        if (!member.isMemberExpression() || member.node.object !== ref.node) return null;
+        const key = memberKey(member);
+        if (key === null ? !member.node.computed : !ownKeys.has(key)) return null;
+        const use = member.parentPath;
+        if ((use.isAssignmentExpression() && use.node.left === member.node) ||
+            use.isUpdateExpression() ||
+            use.isUnaryExpression({ operator: 'delete' }) ||
+            (use.isCallExpression() && use.node.callee === member.node) ||
+            ((use.isForInStatement() || use.isForOfStatement()) && use.node.left === member.node) ||
+            // Destructuring targets: [o.k] = v, ({ x: o.k } = v), [o.k = 1] = v, [...o.k] = v
+            use.isArrayPattern() || use.isRestElement() ||
+            (use.isAssignmentPattern() && use.node.left === member.node) ||
+            (use.isObjectProperty() && use.parentPath.isObjectPattern() && use.node.value === member.node)) {
+          return null;
+        }
+      }
+      return init;
+    }
+
+    /**
+     * Primitive value a node evaluates to, if it is worth copying
+     */
+    function propagatableValue(path) {
+      const result = path.evaluate();
+      if (!result.confident || !readsInitializedBindings(path)) return null;
+      const value = result.value;
+      if (typeof value === 'string' && value.length > MAX_PROPAGATED_STRING) return null;
+      if (value !== null && typeof value === 'object') return null;
+      return canConvertToNode(value) ? { value } : null;
+    }
+
+    /**
+     * Property key a member expression reads, or null when it can't be known
+     */
+    function memberKey(memberPath) {
+      if (!memberPath.node.computed && t.isIdentifier(memberPath.node.property)) {
+        return memberPath.node.property.name;
+      }
+      const property = memberPath.get('property').evaluate();
+      return property.confident ? String(property.value) : null;
+    }
+
+    /**
+     * Value of the element or property of a read-only literal a member
+     * expression reads
+     */
+    function literalMember(literalPath, memberPath) {
+      const key = memberKey(memberPath);
+      if (key === null) return null;
+
+      if (literalPath.isArrayExpression()) {
+        const { length } = literalPath.node.elements;
+        if (key === 'length') return { value: length };
+        return /^\d+$/.test(key) && Number(key) < length ? propagatableValue(literalPath.get(`elements.${key}`)) : null;
+      }
+      // Last property with the key wins
+      const properties = literalPath.get('properties');
+      for (let i = properties.length - 1; i >= 0; i--) {
+        const prop = properties[i].node;
+        const name = t.isIdentifier(prop.key) ? prop.key.name : String(prop.key.value);
+        if (name === key) return propagatableValue(properties[i].get('value'));
+      }
+      return null;
+    }
+
+    /**
+     * Perform one pass of constant propagation: replace reads of constant
+     * variables and of read-only object/array literals with their values
+     */
+    function propagatePass() {
+      let propagated = 0;
+
+      traverse(ast, {
+        Program(path) {
+          path.scope.crawl(); // Folding may have removed reads and writes
+        }
+      });
+
+      traverse(ast, {
+        VariableDeclarator(path) {
+          const { id, init } = path.node;
+          if (!t.isIdentifier(id) || !init) return;
+          const binding = path.scope.getBinding(id.name);
+          if (!binding || binding.path !== path || !binding.constant) return;
+
+          const literal = readOnlyLiteral(binding);
+          const value = literal ? null : propagatableValue(path.get('init'));
+          if (!literal && !value) return;
+
+          for (const ref of binding.referencePaths) {
+            if (ref.removed || !runsAfterInitializer(ref, binding)) continue;
+
+            let target = ref;
+            let found = value;
+            if (literal) {
+              target = ref.parentPath;
+              found = literalMember(path.get('init'), target);
+            } else if (ref.parentPath.isExportSpecifier()) {
+              continue;
+            }
+            if (!found) continue;
+            const newNode = valueToNode(found.value);
+
+            if (target.parentPath.isObjectProperty({ shorthand: true })) target.parentPath.node.shorthand = false;
+            target.replaceWith(newNode);
+            propagated++;
+            stats.constantsPropagated++;
+            stats.totalFolded++;
+          }
+        }
+      });
+
+      return propagated;
+    }
+
     /**
      * Check if two nodes are essentially equal
      */
@@ -348,7 +508,7 @@ module.exports = createASTTransform(
     let totalFolded = 0;
     for (let pass = 0; pass < opts.maxPasses; pass++) {
       stats.passes++;
-      const folded = foldPass();
+      const folded = (opts.propagateConstants ? propagatePass() : 0) + foldPass();
       totalFolded += folded;
       
       if (folded === 0) break; // No more to fold
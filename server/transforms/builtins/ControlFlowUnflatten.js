@@ -0,0 +1,465 @@
+/**
+ * Control Flow Unflatten Transform
+ *
+ * Rebuilds the linear statement sequence from switch-based dispatchers.
+ *
+ * Example:
+ *   var order = "2|0|1".split("|"), i = 0;
+ *   while (true) {
+ *     switch (order[i++]) {
+ *       case "0": b(); continue;
+ *       case "1": c(); continue;
+ *       case "2": a(); continue;
+ *     }
+ *     break;
+ *   }
+ *
+ * Becomes:
+ *   a();
+ *   b();
+ *   c();
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { createASTTransform } = require('../helpers');
+
+module.exports = createASTTransform(
+  {
+    name: 'ControlFlowUnflatten',
+    description: 'Rebuilds linear code from while/switch dispatchers driven by an order string or a state variable',
+    category: 'Deobfuscation',
+    config: {
+      orderDispatchers: { type: 'boolean', default: true, description: 'Unflatten "3|1|0|2".split("|") order dispatchers' },
+      stateMachines: { type: 'boolean', default: true, description: 'Unflatten state machines where each case assigns the next state' },
+      removeStateVariables: { type: 'boolean', default: true, description: 'Remove the order/counter/state declarations afterwards' },
+      maxSteps: { type: 'number', default: 10000, description: 'Maximum dispatch steps to follow per dispatcher' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Control Flow Unflattening Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * ORDER DISPATCHERS (javascript-obfuscator controlFlowFlattening):
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   var _0x1a = "3|1|0|2".split("|"), _0x2b = 0;      // also obj["key"].split("|")
+     *   while (!![]) {                                     // or while (true), for (;;)
+     *     switch (_0x1a[_0x2b++]) {
+     *       case "0": ...; continue;
+     *       case "3": ...; return x;                       // terminal case
+     *     }
+     *     break;
+     *   }
+     *
+     *   → the case bodies in order 3, 1, 0, 2 without their trailing continue
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * STATE MACHINES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   var state = 0;
+     *   while (true) {                                     // or while (state !== 9)
+     *     switch (state) {
+     *       case 0: a(); state = 2; break;
+     *       case 2: b(); state = 1; continue;
+     *       case 1: c(); return;
+     *     }
+     *   }
+     *
+     *   → a(); b(); c(); return;
+     *
+     *   With a break after the switch, a case ending in break leaves the loop:
+     *   its transition is where the inlined code stops.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WILL PRESERVE (✗):
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Conditional transitions (state = x ? 1 : 2) and cycles - real branches/loops
+     *   - Cases that fall through, use default, or break/continue from the middle
+     *   - Order/state variables used anywhere besides the dispatcher (a state
+     *     variable may only be read by the switch and the loop test)
+     *   - Order dispatchers with neither a break after the switch nor a
+     *     return/throw in the last case - once the order runs out they spin forever
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - orderDispatchers: true      → Unflatten order string dispatchers
+     *   - stateMachines: true         → Unflatten state variable dispatchers
+     *   - removeStateVariables: true  → Remove order/counter/state declarations
+     *   - maxSteps: 10000             → Safety limit on dispatch steps
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      orderDispatchers: config.orderDispatchers !== false,
+      stateMachines: config.stateMachines !== false,
+      removeStateVariables: config.removeStateVariables !== false,
+      maxSteps: config.maxSteps || 10000
+    };
+
+    const stats = {
+      orderDispatchersUnflattened: 0,
+      stateMachinesUnflattened: 0,
+      casesInlined: 0,
+      variablesRemoved: 0,
+      dispatchersPreserved: 0
+    };
+
+    // Helper: Get the property key of a member expression as a string
+    function getPropertyName(node) {
+      if (!node.computed && t.isIdentifier(node.property)) return node.property.name;
+      if (t.isStringLiteral(node.property)) return node.property.value;
+      return null;
+    }
+
+    // Helper: Resolve a string - literal, constant expression or obj["key"] of a constant object literal
+    function resolveString(path) {
+      const result = path.evaluate();
+      if (result.confident && typeof result.value === 'string') return result.value;
+
+      if (!path.isMemberExpression() || !t.isIdentifier(path.node.object)) return null;
+      const key = getPropertyName(path.node);
+      const binding = path.scope.getBinding(path.node.object.name);
+      if (key === null || !binding || !binding.constant || !binding.path.isVariableDeclarator()) return null;
+
+      const init = binding.path.node.init;
+      if (!t.isObjectExpression(init)) return null;
+
+      // The object must not be written to
+      const written = binding.referencePaths.some(ref =>
+        ref.parentPath.isMemberExpression() &&
+        ref.parentPath.parentPath.isAssignmentExpression({ left: ref.parent })
+      );
+      if (written) return null;
+
+      const prop = init.properties.find(p =>
+        t.isObjectProperty(p) && !p.computed &&
+        (t.isIdentifier(p.key, { name: key }) || t.isStringLiteral(p.key, { value: key }))
+      );
+      return prop && t.isStringLiteral(prop.value) ? prop.value.value : null;
+    }
+
+    // Helper: Resolve "a|b|c".split("|") to its parts
+    function resolveOrder(path) {
+      if (!path || !path.isCallExpression()) return null;
+      const callee = path.get('callee');
+      if (!callee.isMemberExpression() || getPropertyName(callee.node) !== 'split') return null;
+      if (path.node.arguments.length !== 1 || !t.isStringLiteral(path.node.arguments[0])) return null;
+
+      const source = resolveString(callee.get('object'));
+      return source === null ? null : source.split(path.node.arguments[0].value);
+    }
+
+    // Helper: Always-true loop test (while (true), while (!![]), for (;;))
+    function isAlwaysTrue(testPath) {
+      if (!testPath.node) return true;
+      const result = testPath.evaluate();
+      return result.confident && !!result.value;
+    }
+
+    // Helper: Get the dispatcher switch of a loop - body is the switch, optionally followed by break
+    // (see exitsAfterSwitch)
+    function getDispatchSwitch(loopPath) {
+      const body = loopPath.get('body');
+      if (body.isSwitchStatement()) return body;
+      if (!body.isBlockStatement()) return null;
+
+      const statements = body.get('body');
+      if (statements.length === 0 || !statements[0].isSwitchStatement()) return null;
+      if (statements.length === 1) return statements[0];
+      if (statements.length === 2 && statements[1].isBreakStatement() && !statements[1].node.label) {
+        return statements[0];
+      }
+      return null;
+    }
+
+    // Helper: Is the switch followed by a break - a case that only breaks
+    // the switch then leaves the loop instead of dispatching again
+    function exitsAfterSwitch(loopPath) {
+      const body = loopPath.node.body;
+      return t.isBlockStatement(body) && body.body.length === 2;
+    }
+
+    // Helper: Does a statement list break/continue the dispatcher itself
+    // (unlabeled and not inside a nested loop, switch or function)
+    function hasDispatcherJump(statements) {
+      let found = false;
+      traverse(t.file(t.program(statements.map(s => t.cloneNode(s, true)))), {
+        noScope: true,
+        'BreakStatement|ContinueStatement'(path) {
+          if (path.node.label) return;
+          const target = path.findParent(p =>
+            p.isFunction() || p.isLoop() || (path.isBreakStatement() && p.isSwitchStatement())
+          );
+          if (!target || target.isFunction()) {
+            found = true;
+            path.stop();
+          }
+        }
+      });
+      return found;
+    }
+
+    // Helper: Statement that ends execution of the dispatcher
+    function isTerminal(node) {
+      return t.isReturnStatement(node) || t.isThrowStatement(node);
+    }
+
+    // Helper: Map case test values to their SwitchCase nodes; null on default or duplicate tests
+    function indexCases(switchNode) {
+      const cases = new Map();
+      for (const switchCase of switchNode.cases) {
+        if (!switchCase.test) return null;
+        const test = switchCase.test;
+        let value;
+        if (t.isStringLiteral(test) || t.isNumericLiteral(test)) {
+          value = test.value;
+        } else if (t.isUnaryExpression(test, { operator: '-' }) && t.isNumericLiteral(test.argument)) {
+          value = -test.argument.value;
+        } else {
+          return null;
+        }
+        if (cases.has(value)) return null;
+        cases.set(value, switchCase);
+      }
+      return cases;
+    }
+
+    // Helper: Assignments to a binding, ignoring its own declarator
+    // (Babel counts a var declared inside a loop as reassigned)
+    function getViolations(binding) {
+      return binding.constantViolations.filter(p => p !== binding.path);
+    }
+
+    // Helper: Are all references/assignments of a binding inside the given path
+    function isConfinedTo(binding, path) {
+      const inside = p => p === path || !!p.findParent(parent => parent === path);
+      return binding.referencePaths.every(inside) && getViolations(binding).every(inside);
+    }
+
+    // Helper: Declarator init that can be dropped without losing side effects
+    function isRemovableInit(declarator) {
+      const init = declarator.get('init');
+      if (!init.node) return true;
+      return init.isLiteral() || init.isUnaryExpression() || resolveOrder(init) !== null;
+    }
+
+    /**
+     * "3|1|0|2".split("|") dispatcher
+     * Returns { statements, bindings } or null
+     */
+    function unflattenOrder(loopPath, switchPath) {
+      const discriminant = switchPath.get('discriminant');
+      if (!discriminant.isMemberExpression() || !discriminant.node.computed) return null;
+
+      const object = discriminant.get('object');
+      const property = discriminant.get('property');
+      if (!object.isIdentifier()) return null;
+      if (!property.isUpdateExpression({ operator: '++', prefix: false }) || !t.isIdentifier(property.node.argument)) {
+        return null;
+      }
+
+      const orderBinding = loopPath.scope.getBinding(object.node.name);
+      const counterBinding = loopPath.scope.getBinding(property.node.argument.name);
+      if (!orderBinding || !counterBinding || orderBinding === counterBinding) return null;
+      if (getViolations(orderBinding).length > 0 || !orderBinding.path.isVariableDeclarator()) return null;
+      if (!counterBinding.path.isVariableDeclarator()) return null;
+      if (!isConfinedTo(orderBinding, discriminant)) return null;
+      if (!isConfinedTo(counterBinding, discriminant)) return null;
+
+      const order = resolveOrder(orderBinding.path.get('init'));
+      if (!order) return null;
+
+      const start = counterBinding.path.get('init').evaluate();
+      if (!start.confident || typeof start.value !== 'number') return null;
+
+      const cases = indexCases(switchPath.node);
+      if (!cases) return null;
+
+      const statements = [];
+      let terminated = false;
+      for (let i = start.value; i < order.length; i++) {
+        // Case tests may be strings or numbers
+        const switchCase = cases.get(order[i]) || cases.get(Number(order[i]));
+        if (!switchCase) return null;
+
+        const body = switchCase.consequent.length === 1 && t.isBlockStatement(switchCase.consequent[0])
+          ? switchCase.consequent[0].body
+          : switchCase.consequent;
+        const last = body[body.length - 1];
+
+        if (last && t.isContinueStatement(last) && !last.label) {
+          const content = body.slice(0, -1);
+          if (hasDispatcherJump(content)) return null;
+          statements.push(...content);
+        } else if (last && isTerminal(last)) {
+          if (i !== order.length - 1 || hasDispatcherJump(body)) return null;
+          statements.push(...body);
+          terminated = true;
+        } else {
+          return null;
+        }
+      }
+
+      // Past the end of the order no case matches, so only a break after the
+      // switch leaves the loop
+      if (!terminated && !exitsAfterSwitch(loopPath)) return null;
+
+      return { statements, bindings: [orderBinding, counterBinding], cases: order.length - start.value };
+    }
+
+    /**
+     * Numeric/string state variable dispatcher
+     * Returns { statements, bindings } or null
+     */
+    function unflattenStateMachine(loopPath, switchPath) {
+      const discriminant = switchPath.get('discriminant');
+      if (!discriminant.isIdentifier()) return null;
+
+      const stateName = discriminant.node.name;
+      const binding = loopPath.scope.getBinding(stateName);
+      if (!binding || !binding.path.isVariableDeclarator()) return null;
+      if (!isConfinedTo(binding, loopPath)) return null;
+
+      // The declaration goes away with the dispatcher, so the switch and the
+      // loop test must be the only reads
+      const test = loopPath.get('test');
+      const readsState = ref => ref === discriminant || (!!test.node && (ref === test || !!ref.findParent(p => p === test)));
+      if (!binding.referencePaths.every(readsState)) return null;
+
+      const initial = binding.path.get('init').evaluate();
+      if (!initial.confident || (typeof initial.value !== 'number' && typeof initial.value !== 'string')) return null;
+
+      // Loop test: always true, or state !== END
+      let endState;
+      if (!isAlwaysTrue(test)) {
+        const node = test.node;
+        if (!t.isBinaryExpression(node) || !['!==', '!='].includes(node.operator)) return null;
+        const other = t.isIdentifier(node.left, { name: stateName }) ? test.get('right')
+          : t.isIdentifier(node.right, { name: stateName }) ? test.get('left') : null;
+        const end = other && other.evaluate();
+        if (!end || !end.confident) return null;
+        endState = end.value;
+      }
+
+      const cases = indexCases(switchPath.node);
+      if (!cases) return null;
+
+      // Every assignment to the state must be a transition: `state = x; break|continue;`
+      // at the end of a case. Maps SwitchCase node -> assigned value path
+      const transitions = new Map();
+      for (const violation of getViolations(binding)) {
+        if (!violation.isAssignmentExpression({ operator: '=' })) return null;
+        const stmt = violation.parentPath;
+        const switchCase = stmt.parentPath;
+        if (!stmt.isExpressionStatement() || !switchCase.isSwitchCase() || switchCase.parentPath !== switchPath) {
+          return null;
+        }
+        const body = switchCase.node.consequent;
+        const last = body[body.length - 1];
+        if (body[body.length - 2] !== stmt.node || last.label ||
+            (!t.isBreakStatement(last) && !t.isContinueStatement(last))) {
+          return null;
+        }
+        transitions.set(switchCase.node, violation.get('right'));
+      }
+
+      const statements = [];
+      const visited = new Set();
+      let state = initial.value;
+      for (let steps = 0; ; steps++) {
+        if (endState !== undefined && state === endState) break;
+        if (visited.has(state) || steps > opts.maxSteps) return null; // A real loop
+        visited.add(state);
+
+        const switchCase = cases.get(state);
+        if (!switchCase) return null;
+
+        const body = switchCase.consequent;
+        const last = body[body.length - 1];
+
+        if (last && isTerminal(last)) {
+          if (hasDispatcherJump(body)) return null;
+          statements.push(...body);
+          break;
+        }
+
+        const transition = transitions.get(switchCase);
+        if (!transition) return null;
+
+        const next = transition.evaluate();
+        if (!next.confident) return null; // Conditional transition - a real branch
+
+        const content = body.slice(0, -2);
+        if (hasDispatcherJump(content)) return null;
+        statements.push(...content);
+
+        // switch (s) {...} break; - a break transition ends the loop
+        if (t.isBreakStatement(body[body.length - 1]) && exitsAfterSwitch(loopPath)) break;
+        state = next.value;
+      }
+
+      return { statements, bindings: [binding], cases: visited.size };
+    }
+
+    // Helper: Remove the declarations of dispatcher variables
+    function removeBindings(bindings) {
+      for (const binding of bindings) {
+        const declarator = binding.path;
+        if (declarator.removed || !isRemovableInit(declarator)) continue;
+        declarator.remove();
+        stats.variablesRemoved++;
+      }
+    }
+
+    function visitLoop(loopPath) {
+      // Needs a statement list to expand into (nested dispatchers sit directly in a case)
+      if (!loopPath.parentPath.isBlockStatement() && !loopPath.parentPath.isProgram() && !loopPath.parentPath.isSwitchCase()) {
+        return;
+      }
+      if (loopPath.isForStatement() && (loopPath.node.init || loopPath.node.update)) return;
+
+      const switchPath = getDispatchSwitch(loopPath);
+      if (!switchPath) return;
+
+      let result = null;
+      let kind = null;
+      if (opts.orderDispatchers && isAlwaysTrue(loopPath.get('test')) && switchPath.get('discriminant').isMemberExpression()) {
+        result = unflattenOrder(loopPath, switchPath);
+        kind = 'orderDispatchersUnflattened';
+      } else if (opts.stateMachines && switchPath.get('discriminant').isIdentifier()) {
+        result = unflattenStateMachine(loopPath, switchPath);
+        kind = 'stateMachinesUnflattened';
+      }
+
+      if (!result) {
+        if (kind) stats.dispatchersPreserved++;
+        return;
+      }
+
+      loopPath.replaceWithMultiple(result.statements.map(s => t.cloneNode(s, true)));
+      stats[kind]++;
+      stats.casesInlined += result.cases;
+
+      if (opts.removeStateVariables) {
+        removeBindings(result.bindings);
+      }
+    }
+
+    // Innermost dispatchers first, so nested flattening unwinds in one pass
+    traverse(ast, {
+      WhileStatement: { exit: visitLoop },
+      ForStatement: { exit: visitLoop }
+    });
+
+    return {
+      stats: {
+        changes: stats.orderDispatchersUnflattened + stats.stateMachinesUnflattened,
+        ...stats
+      }
+    };
+  }
+);
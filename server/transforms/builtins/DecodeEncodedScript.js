@@ -0,0 +1,156 @@
+/**
+ * Decode Encoded Script Transform
+ *
+ * Recovers the program hidden in JSFuck, JJencode and AAencode scripts. These
+ * encoders build the Function constructor out of type coercions and call it
+ * with the decoded source; the script is run in the sandbox with that
+ * constructor hooked, so the final Function(...) argument is captured
+ * instead of executed.
+ *
+ * Runs on the source text: these scripts nest too deeply for Babel, so put
+ * this first in a recipe.
+ *
+ * Example (JJencode):
+ *   $=~[];$={___:++$,$$$$:(![]+"")[$],__$:++$,$_$_:(![]+"")[$],_$_:++$,$_$$:({}+"")[$],$$_$:($[$]+"")[$],_$$:++$,$$$_:(!""+"")[$],$__:++$,$_$:++$,$$__:({}+"")[$],$$_:++$,$$$:++$,$___:++$,$__$:++$};$.$_=($.$_=$+"")[$.$_$]+($._$=$.$_[$.__$])+($.$$=($.$+"")[$.__$])+((!$)+"")[$._$$]+($.__=$.$_[$.$$_])+($.$=(!""+"")[$.__$])+($._=(!""+"")[$._$_])+$.$_[$.$_$]+$.__+$._$+$.$;$.$$=$.$+(!""+"")[$._$$]+$.__+$._+$.$+$.$$;$.$=($.___)[$.$_][$.$_];$.$($.$($.$$+"\""+$.$_$_+(![]+"")[$._$_]+$.$$$_+"\\"+$.__$+$.$$_+$._$_+$.__+"(\\\"\\"+$.__$+$.$_$+$.___+$.$$$_+(![]+"")[$._$_]+(![]+"")[$._$_]+$._$+"\\\")"+"\"")())();
+ *
+ * Becomes:
+ *   alert("hello")
+ */
+
+const { createCodeTransform } = require('../helpers');
+const { DETECTORS, SUGGEST_THRESHOLD } = require('../fingerprint');
+const sandbox = require('../sandbox');
+
+const FORMATS = ['jsfuck', 'jjencode', 'aaencode'];
+
+module.exports = createCodeTransform(
+  {
+    name: 'DecodeEncodedScript',
+    description: 'Decodes JSFuck, JJencode and AAencode by capturing the code they pass to Function in the sandbox (runs before parsing)',
+    category: 'Deobfuscation',
+    config: {
+      jsfuck: { type: 'boolean', default: true, description: 'Decode JSFuck ([]()!+ only)' },
+      jjencode: { type: 'boolean', default: true, description: 'Decode JJencode ($=~[];$={___:++$, ...})' },
+      aaencode: { type: 'boolean', default: true, description: 'Decode AAencode (ﾟωﾟﾉ emoticons)' },
+      maxLayers: { type: 'number', default: 5, description: 'Max layers to peel when the payload is encoded again' },
+      timeoutMs: { type: 'number', default: 10000, description: 'Sandbox time budget for each layer' }
+    }
+  },
+  async (code, config = {}) => {
+    /**
+     * Decode Encoded Script Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   1. Recognizes the encoding from its structure (the fingerprint
+     *      detectors): JSFuck's []()!+ alphabet, JJencode's $=~[] symbol table,
+     *      AAencode's ﾟДﾟ emoticon variables.
+     *   2. Runs the script in the sandbox with Function, fn.constructor and eval
+     *      hooked. Helper functions the encoders build for themselves still
+     *      run, but only in their known shapes: returning a string literal
+     *      (Function('return"\141..."')), a global (Function("return escape"))
+     *      or a regexp. The first body of any other shape is the payload.
+     *   3. Replaces the script with the payload and repeats while the payload
+     *      is itself encoded.
+     *
+     *     []["flat"]["constructor"]("return eval")()("alert(1)")  → alert(1)
+     *     [][...][...](...)  (no execution wrapper)                → "the string";
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Nothing is parsed with Babel, so nesting depth doesn't matter; V8
+     *     evaluates the script inside an isolated worker with a time limit.
+     *   - The payload itself is never executed: only helper bodies that return
+     *     a literal or a global run, and those can't do anything else.
+     *   - Code that isn't recognized as one of the encodings is left as it is.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - jsfuck: true      → Decode JSFuck
+     *   - jjencode: true    → Decode JJencode
+     *   - aaencode: true    → Decode AAencode
+     *   - maxLayers: 5      → Max layers to peel
+     *   - timeoutMs: 10000  → Sandbox time budget for each layer
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      formats: FORMATS.filter(format => config[format] !== false),
+      maxLayers: config.maxLayers || 5,
+      timeoutMs: config.timeoutMs || 10000
+    };
+
+    const stats = {
+      layersDecoded: 0,
+      jsfuck: 0,
+      jjencode: 0,
+      aaencode: 0,
+      failed: 0
+    };
+
+    const detectors = DETECTORS.filter(d => opts.formats.includes(d.id));
+
+    // Helper: Encoding the code is most confidently recognized as, if any
+    function detectFormat(source) {
+      let best = null;
+      for (const detector of detectors) {
+        const { confidence } = detector.detect(source, source);
+        if (confidence >= SUGGEST_THRESHOLD && (!best || confidence > best.confidence)) {
+          best = { id: detector.id, confidence };
+        }
+      }
+      return best && best.id;
+    }
+
+    // Helper: Source for a captured payload
+    function payloadSource(payload) {
+      if (payload.via === 'Function' && payload.params.length > 0) {
+        return `(function (${payload.params.join(', ')}) {\n${payload.code}\n});`;
+      }
+      return payload.code;
+    }
+
+    let current = code;
+
+    for (let layer = 0; layer < opts.maxLayers; layer++) {
+      const format = detectFormat(current);
+      if (!format) break;
+
+      let result;
+      try {
+        result = await sandbox.unwrapInSandbox(current, { timeoutMs: opts.timeoutMs });
+      } catch (error) {
+        stats.failed++;
+        break;
+      }
+
+      let decoded = null;
+      if (result.payloads.length > 0) {
+        decoded = payloadSource(result.payloads[0]);
+      } else if (result.value !== null) {
+        decoded = `${JSON.stringify(result.value)};`;
+      }
+
+      if (decoded === null || decoded === current) {
+        stats.failed++;
+        break;
+      }
+
+      current = decoded;
+      stats.layersDecoded++;
+      stats[format]++;
+    }
+
+    return {
+      code: current,
+      stats: {
+        changes: stats.layersDecoded,
+        ...stats
+      }
+    };
+  }
+);
@@ -0,0 +1,398 @@
+/**
+ * Eval Unpack Transform
+ *
+ * Splices code hidden in strings back into the program: eval("..."),
+ * new Function("...")(), setTimeout("...") and Dean Edwards p.a.c.k.e.r
+ * layers. Unpacked code is scanned again, so nested layers peel off in one run.
+ *
+ * Example:
+ *   eval("var a = 1; console.log(a);");
+ *   new Function("return " + "42")();
+ *   eval(function (p, a, c, k, e, d) { ... }('0("1")', 2, 2, 'alert|hi'.split('|'), 0, {}));
+ *
+ * Becomes:
+ *   var a = 1;
+ *   console.log(a);
+ *   (function () { return 42; })();
+ *   alert("hi");
+ */
+
+const traverse = require('@babel/traverse').default;
+const parser = require('@babel/parser');
+const t = require('@babel/types');
+const { createASTTransform, PARSE_OPTIONS } = require('../helpers');
+
+// Objects through which globals are reached (window.eval, globalThis.Function)
+const GLOBAL_OBJECTS = ['window', 'self', 'globalThis', 'global'];
+
+const TIMER_FUNCTIONS = ['setTimeout', 'setInterval'];
+
+module.exports = createASTTransform(
+  {
+    name: 'EvalUnpack',
+    description: 'Unpacks eval("..."), new Function("..."), setTimeout("...") and p.a.c.k.e.r layers into real code',
+    category: 'Deobfuscation',
+    config: {
+      evalCalls: { type: 'boolean', default: true, description: 'Splice eval("...") code in place' },
+      functionConstructor: { type: 'boolean', default: true, description: 'Turn Function("a", "body") into function (a) { body }' },
+      timerStrings: { type: 'boolean', default: true, description: 'Turn setTimeout("code", ms) into setTimeout(function () { code }, ms)' },
+      packer: { type: 'boolean', default: true, description: 'Decode Dean Edwards eval(function (p, a, c, k, e, d) {...}) packers' },
+      maxLayers: { type: 'number', default: 10, description: 'Max passes for code that unpacks to more packed code' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Eval Unpack Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   When the string argument resolves to a constant (literals, concatenation,
+     *   constant variables, "...".split(), atob("...")), the code is parsed and:
+     *
+     *     eval("a(); b();");            → a(); b();
+     *     var x = eval("1 + 2");        → var x = 1 + 2;
+     *     new Function("a", "return a") → function (a) { return a; }
+     *     setTimeout("tick()", 100)     → setTimeout(function () { tick(); }, 100)
+     *     eval(function (p, a, c, k, e, d) {...}(...))  → the unpacked program
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Only unshadowed eval / Function / setTimeout / setInterval are touched.
+     *   - Indirect eval (window.eval, (0, eval)) runs in global scope, so it is
+     *     only spliced at the top level of the program.
+     *   - Function and timer code also runs in global scope; it is only unpacked
+     *     when none of its free identifiers are shadowed at the call site.
+     *   - let/const/class declared by eval'd code stay in their own block, and
+     *     declarations that would clash with the enclosing scope (or leak out of
+     *     a strict-mode eval) are left alone.
+     *   - Strings that don't parse are left as they are.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - evalCalls: true           → Splice eval("...") code in place
+     *   - functionConstructor: true → Unpack Function("...") into a function expression
+     *   - timerStrings: true        → Unpack string setTimeout / setInterval handlers
+     *   - packer: true              → Decode p.a.c.k.e.r layers
+     *   - maxLayers: 10             → Max passes for nested layers
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      evalCalls: config.evalCalls !== false,
+      functionConstructor: config.functionConstructor !== false,
+      timerStrings: config.timerStrings !== false,
+      packer: config.packer !== false,
+      maxLayers: config.maxLayers || 10
+    };
+
+    const stats = {
+      evalsUnpacked: 0,
+      functionsUnpacked: 0,
+      timersUnpacked: 0,
+      packersDecoded: 0,
+      layers: 0,
+      unresolved: 0,
+      skipped: 0,
+      parseErrors: 0
+    };
+
+    const isModule = ast.program.sourceType === 'module';
+
+    // Calls already counted as unresolved/skipped, so later passes don't count them again
+    const reported = new WeakSet();
+
+    function report(node, stat) {
+      if (reported.has(node)) return;
+      reported.add(node);
+      stats[stat]++;
+    }
+
+    // Helper: Name of a global function callee - eval, window.eval, (0, eval)
+    // Returns { name, direct } or null
+    function getGlobalCallee(path) {
+      const callee = path.get('callee');
+      if (callee.isIdentifier() && !path.scope.getBinding(callee.node.name)) {
+        return { name: callee.node.name, direct: true };
+      }
+      if (callee.isMemberExpression() && t.isIdentifier(callee.node.object) &&
+        GLOBAL_OBJECTS.includes(callee.node.object.name) && !path.scope.getBinding(callee.node.object.name)) {
+        const property = callee.node.property;
+        const name = !callee.node.computed && t.isIdentifier(property) ? property.name
+          : t.isStringLiteral(property) ? property.value : null;
+        return name ? { name, direct: false } : null;
+      }
+      if (callee.isSequenceExpression()) {
+        const last = callee.node.expressions[callee.node.expressions.length - 1];
+        const rest = callee.get('expressions').slice(0, -1);
+        if (t.isIdentifier(last) && !path.scope.getBinding(last.name) && rest.every(p => p.isPure())) {
+          return { name: last.name, direct: false };
+        }
+      }
+      return null;
+    }
+
+    // Helper: Resolve an argument to a constant string (null when unknown)
+    function resolveString(path) {
+      // atob("...") - base64 layers are as common as plain strings
+      if (path.isCallExpression() && t.isIdentifier(path.node.callee, { name: 'atob' }) &&
+        !path.scope.getBinding('atob') && path.node.arguments.length === 1) {
+        const encoded = resolveString(path.get('arguments.0'));
+        return encoded === null ? null : Buffer.from(encoded, 'base64').toString('latin1');
+      }
+
+      const result = path.evaluate();
+      return result.confident && typeof result.value === 'string' ? result.value : null;
+    }
+
+    /**
+     * Decode a Dean Edwards packer call:
+     *   function (p, a, c, k, e, d) { ... }('0("1")', 62, 2, 'alert|hi'.split('|'), 0, {})
+     * Words in p are base-a indices into k. Returns the unpacked code or null.
+     */
+    function decodePacker(path) {
+      if (!path.isCallExpression() || !t.isFunctionExpression(path.node.callee)) return null;
+      if (path.node.callee.params.length !== 6 || path.node.arguments.length < 4) return null;
+
+      let replaces = false;
+      path.get('callee').traverse({
+        MemberExpression(member) {
+          const property = member.node.property;
+          if (t.isIdentifier(property, { name: 'replace' }) || t.isStringLiteral(property, { value: 'replace' })) {
+            replaces = true;
+            member.stop();
+          }
+        }
+      });
+      if (!replaces) return null;
+
+      const values = path.get('arguments').slice(0, 4).map(arg => arg.evaluate());
+      if (!values.every(v => v.confident)) return null;
+      const [p, a, c, k] = values.map(v => v.value);
+      if (typeof p !== 'string' || !Number.isInteger(a) || a < 2 || !Number.isInteger(c) || c < 0) return null;
+      if (!Array.isArray(k) || !k.every(word => typeof word === 'string')) return null;
+
+      // Same encoding as the packer's e(): base a, digits 0-9a-z then String.fromCharCode(n + 29)
+      const encode = (n) => (n < a ? '' : encode(Math.floor(n / a))) +
+        ((n = n % a) > 35 ? String.fromCharCode(n + 29) : n.toString(36));
+
+      const dictionary = new Map();
+      for (let i = c; i--;) {
+        dictionary.set(encode(i), k[i] || encode(i));
+      }
+      return p.replace(/\b\w+\b/g, word => dictionary.has(word) ? dictionary.get(word) : word);
+    }
+
+    // Helper: Parse unpacked code; null (and counted) when it isn't valid JS
+    function parseInner(code, node) {
+      try {
+        return parser.parse(code, { ...PARSE_OPTIONS, sourceType: 'script' });
+      } catch (e) {
+        report(node, 'parseErrors');
+        return null;
+      }
+    }
+
+    // Helper: Copy of parsed nodes without positions from the inner string
+    function detach(nodes) {
+      return nodes.map(node => t.cloneNode(node, true, true));
+    }
+
+    // Helper: Identifiers the parsed code reads from the global scope
+    function getFreeNames(file) {
+      let names = [];
+      traverse(file, {
+        Program(path) {
+          names = Object.keys(path.scope.globals);
+          path.stop();
+        }
+      });
+      return names;
+    }
+
+    // Helper: Would code running in global scope see something else at this call site?
+    function isShadowed(path, names) {
+      return names.some(name => {
+        const binding = path.scope.getBinding(name);
+        return binding && (isModule || !binding.scope.path.isProgram());
+      });
+    }
+
+    // Helper: Top-level declarations of parsed code
+    function getDeclarations(body) {
+      const vars = [];
+      let lexical = false;
+      for (const stmt of body) {
+        if (t.isVariableDeclaration(stmt) && stmt.kind !== 'var') {
+          lexical = true;
+        } else if (t.isClassDeclaration(stmt)) {
+          lexical = true;
+        } else if (t.isVariableDeclaration(stmt) || t.isFunctionDeclaration(stmt)) {
+          vars.push(...Object.keys(t.getBindingIdentifiers(stmt)));
+        }
+      }
+      return { vars, lexical };
+    }
+
+    /**
+     * eval("code") - splice statements, or the expression when the value is used
+     */
+    function unpackEval(path, callee) {
+      const argument = path.get('arguments.0');
+      const unpacked = opts.packer ? decodePacker(argument) : null;
+      const code = unpacked !== null ? unpacked : resolveString(argument);
+      if (code === null) return report(path.node, 'unresolved');
+
+      const file = parseInner(code, path.node);
+      if (!file) return;
+      const { body, directives } = file.program;
+
+      const statementPath = path.parentPath;
+
+      // A lone string literal parses as a directive - its value is the string
+      if (body.length === 0 && directives.length === 1 && !statementPath.isExpressionStatement()) {
+        path.replaceWith(t.stringLiteral(directives[0].value.value));
+        stats.evalsUnpacked++;
+        return true;
+      }
+
+      // "use strict" gives eval its own scope
+      if (directives.length > 0) return report(path.node, 'skipped');
+
+      if (statementPath.isExpressionStatement()) {
+        if (!callee.direct && !statementPath.parentPath.isProgram()) return report(path.node, 'skipped');
+
+        const { vars, lexical } = getDeclarations(body);
+        if (vars.length > 0 && path.isInStrictMode()) return report(path.node, 'skipped');
+        const clashes = vars.some(name => {
+          const binding = path.scope.getBinding(name);
+          return binding && ['let', 'const', 'module'].includes(binding.kind);
+        });
+        if (clashes) return report(path.node, 'skipped');
+
+        const statements = detach(body);
+        if (lexical || !Array.isArray(statementPath.container)) {
+          statementPath.replaceWith(t.blockStatement(statements));
+        } else if (statements.length === 0) {
+          statementPath.remove();
+        } else {
+          statementPath.replaceWithMultiple(statements);
+        }
+      } else {
+        // Value is used: only a single expression can stand in for the call
+        if (body.length > 1 || (body.length === 1 && !t.isExpressionStatement(body[0]))) {
+          return report(path.node, 'skipped');
+        }
+        if (!callee.direct && isShadowed(path, getFreeNames(file))) return report(path.node, 'skipped');
+
+        path.replaceWith(body.length === 0
+          ? t.unaryExpression('void', t.numericLiteral(0))
+          : detach([body[0].expression])[0]);
+      }
+
+      stats.evalsUnpacked++;
+      if (unpacked !== null) stats.packersDecoded++;
+      return true;
+    }
+
+    /**
+     * Function("a", "b", "body") / new Function(...) → function (a, b) { body }
+     */
+    function unpackFunction(path) {
+      const args = path.get('arguments');
+      if (args.some(arg => arg.isSpreadElement())) return report(path.node, 'unresolved');
+
+      const strings = args.map(resolveString);
+      if (strings.some(s => s === null)) return report(path.node, 'unresolved');
+
+      // Same source text the Function constructor builds
+      const params = strings.slice(0, -1).join(',');
+      const body = strings.length > 0 ? strings[strings.length - 1] : '';
+      const file = parseInner(`(function anonymous(${params}\n) {\n${body}\n})`, path.node);
+      if (!file) return;
+
+      if (file.program.body.length !== 1 || !t.isExpressionStatement(file.program.body[0])) {
+        return report(path.node, 'parseErrors');
+      }
+      if (isShadowed(path, getFreeNames(file))) return report(path.node, 'skipped');
+
+      const fn = detach([file.program.body[0].expression])[0];
+      // The constructed function doesn't see its own name
+      fn.id = null;
+      path.replaceWith(fn);
+      stats.functionsUnpacked++;
+      return true;
+    }
+
+    /**
+     * setTimeout("code", ms) → setTimeout(function () { code }, ms)
+     */
+    function unpackTimer(path) {
+      const handler = path.get('arguments.0');
+      const code = resolveString(handler);
+      if (code === null) return report(path.node, 'unresolved');
+
+      const file = parseInner(code, path.node);
+      if (!file) return;
+      const { body, directives } = file.program;
+
+      // Declarations would become locals of the callback instead of globals
+      if (directives.length > 0 || getDeclarations(body).vars.length > 0) return report(path.node, 'skipped');
+      if (isShadowed(path, getFreeNames(file))) return report(path.node, 'skipped');
+
+      handler.replaceWith(t.functionExpression(null, [], t.blockStatement(detach(body))));
+      stats.timersUnpacked++;
+      return true;
+    }
+
+    /**
+     * One pass over the program. Returns the number of layers unpacked.
+     */
+    function unpackPass() {
+      const candidates = [];
+
+      traverse(ast, {
+        'CallExpression|NewExpression'(path) {
+          if (path.node.arguments.length === 0) return;
+          const callee = getGlobalCallee(path);
+          if (!callee) return;
+
+          if (callee.name === 'eval' && opts.evalCalls && path.isCallExpression()) {
+            candidates.push(() => unpackEval(path, callee));
+          } else if (callee.name === 'Function' && opts.functionConstructor) {
+            candidates.push(() => unpackFunction(path));
+          } else if (TIMER_FUNCTIONS.includes(callee.name) && opts.timerStrings && path.isCallExpression() &&
+            !t.isFunction(path.node.arguments[0])) {
+            candidates.push(() => unpackTimer(path));
+          }
+        }
+      });
+
+      // Innermost first, so outer rewrites don't detach pending calls
+      let unpacked = 0;
+      for (const unpack of candidates.reverse()) {
+        if (unpack() === true) unpacked++;
+      }
+      return unpacked;
+    }
+
+    for (let layer = 0; layer < opts.maxLayers; layer++) {
+      const unpacked = unpackPass();
+      if (unpacked === 0) break;
+      stats.layers++;
+
+      // Spliced code brings its own bindings
+      traverse(ast, {
+        Program(path) {
+          path.scope.crawl();
+        }
+      });
+    }
+
+    const changes = stats.evalsUnpacked + stats.functionsUnpacked + stats.timersUnpacked;
+    return { stats: { changes, ...stats } };
+  }
+);
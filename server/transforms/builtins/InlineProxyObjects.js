@@ -0,0 +1,465 @@
+/**
+ * Inline Proxy Objects Transform
+ *
+ * Inlines obfuscator "dictionary" objects whose members are trivial proxy
+ * functions and literal values, substituting the call-site arguments into
+ * the function body.
+ *
+ * Example:
+ *   var _0xabc = { 'xYz': function (a, b) { return a + b; }, 'QrS': 'log' };
+ *   console[_0xabc.QrS](_0xabc['xYz'](x, 1));
+ *
+ * Becomes:
+ *   console['log'](x + 1);
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { createASTTransform } = require('../helpers');
+
+module.exports = createASTTransform(
+  {
+    name: 'InlineProxyObjects',
+    description: 'Inlines dictionary objects of proxy functions and literals (obj.xYz(a, b) → a + b)',
+    category: 'Deobfuscation',
+    config: {
+      inlineProxyFunctions: { type: 'boolean', default: true, description: 'Also inline standalone proxy functions (function f(a, b) { return a + b; })' },
+      removeObjects: { type: 'boolean', default: true, description: 'Remove objects and functions once every use is inlined' },
+      maxPasses: { type: 'number', default: 10, description: 'Max passes (inlined bodies may reference other dictionaries)' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Proxy Object Inlining Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   Dictionary objects (literal or built up by assignments right after an
+     *   empty declaration):
+     *     var d = { 'abc': function (a, b) { return a !== b; }, 'def': 'split' };
+     *     var d = {}; d['abc'] = function (a, b) { return a(b); }; d['def'] = 0x1f;
+     *
+     *   Call sites and reads:
+     *     d['abc'](x, y)      → x !== y
+     *     d.abc(fn, arg)      → fn(arg)
+     *     s[d.def]('|')       → s['split']('|')
+     *
+     *   Standalone proxy functions (inlineProxyFunctions):
+     *     function p(a, b) { return a * b; }   p(x, 2)  → x * 2
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Proxy functions must be a single return of an expression over their
+     *     parameters (no this, arguments or nested functions). Other identifiers
+     *     must resolve to the same binding at the call site.
+     *   - Arguments with side effects are never duplicated, dropped, reordered or
+     *     moved behind a short-circuit (a && b, a ? b : c).
+     *   - The object must only ever be read as obj.key / obj['key']; if it escapes
+     *     or is modified elsewhere it is left alone.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - inlineProxyFunctions: true → Also inline standalone proxy functions
+     *   - removeObjects: true        → Remove objects/functions once fully inlined
+     *   - maxPasses: 10              → Passes for proxies that call other proxies
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      inlineProxyFunctions: config.inlineProxyFunctions !== false,
+      removeObjects: config.removeObjects !== false,
+      maxPasses: config.maxPasses || 10
+    };
+
+    const stats = {
+      proxyObjectsFound: 0,
+      proxyFunctionsFound: 0,
+      callsInlined: 0,
+      valuesInlined: 0,
+      objectsRemoved: 0,
+      passes: 0
+    };
+
+    // Helper: Property name of obj.key / obj['key'] (null when dynamic)
+    function getMemberKey(node) {
+      if (!node.computed && t.isIdentifier(node.property)) return node.property.name;
+      if (t.isStringLiteral(node.property)) return node.property.value;
+      return null;
+    }
+
+    // Helper: Key of an object literal property
+    function getPropertyKey(prop) {
+      if (!t.isObjectProperty(prop)) return null;
+      if (!prop.computed && t.isIdentifier(prop.key)) return prop.key.name;
+      if (t.isStringLiteral(prop.key)) return prop.key.value;
+      return null;
+    }
+
+    // Helper: Literal member value
+    function isLiteralValue(node) {
+      return t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node) || t.isNullLiteral(node);
+    }
+
+    // Helper: Expression that can be evaluated any number of times, in any order
+    function isPure(node) {
+      if (t.isLiteral(node) && !t.isTemplateLiteral(node)) return true;
+      if (t.isIdentifier(node) || t.isThisExpression(node)) return true;
+      if (t.isUnaryExpression(node) && node.operator !== 'delete') return isPure(node.argument);
+      return false;
+    }
+
+    // Helper: Is the path still part of the tree? Reads recorded before an
+    // enclosing call was inlined or removed point into a detached subtree
+    function isAttached(path) {
+      for (let p = path; p.parentPath; p = p.parentPath) {
+        if (p.removed || p.parentPath.node !== p.parent) return false;
+        const container = Array.isArray(p.container) ? p.container : p.parent;
+        if (container[p.key] !== p.node) return false;
+      }
+      return true;
+    }
+
+    // Helper: Assignments to a binding, ignoring its own declarator
+    // (Babel counts a var declared inside a loop as reassigned)
+    function getViolations(binding) {
+      return binding.constantViolations.filter(p => p !== binding.path);
+    }
+
+    /**
+     * Analyze a proxy function: a single return of an expression over its params
+     * Returns { params, expr, paramRefs, uses, order, conditional, free } or null
+     */
+    function analyzeFunction(fnPath) {
+      const { node } = fnPath;
+      if (node.async || node.generator) return null;
+      if (!node.params.every(p => t.isIdentifier(p))) return null;
+
+      let exprPath;
+      if (t.isBlockStatement(node.body)) {
+        if (node.body.body.length !== 1 || !t.isReturnStatement(node.body.body[0]) || !node.body.body[0].argument) {
+          return null;
+        }
+        exprPath = fnPath.get('body.body.0.argument');
+      } else {
+        exprPath = fnPath.get('body');
+      }
+
+      const params = node.params.map(p => p.name);
+      const paramRefs = new Map(); // Identifier node -> param index
+      const uses = params.map(() => 0);
+      const order = [];
+      const conditional = new Set();
+      const free = [];
+      let valid = true;
+
+      const visitIdentifier = (path) => {
+        const index = params.indexOf(path.node.name);
+        const binding = path.scope.getBinding(path.node.name);
+        if (index >= 0 && binding && binding.kind === 'param' && binding.scope === fnPath.scope) {
+          paramRefs.set(path.node, index);
+          uses[index]++;
+          if (!order.includes(index)) order.push(index);
+
+          // Only evaluated on some paths: right side of &&/||/??, branches of ?:
+          const guarded = path.find(p => {
+            if (p === exprPath.parentPath) return true;
+            const parent = p.parentPath;
+            return (parent.isLogicalExpression() && p.key === 'right') ||
+              (parent.isConditionalExpression() && p.key !== 'test');
+          });
+          if (guarded && guarded !== exprPath.parentPath) conditional.add(index);
+        } else if (path.node.name === 'arguments') {
+          valid = false;
+        } else {
+          free.push({ name: path.node.name, binding });
+        }
+      };
+
+      if (exprPath.isIdentifier()) {
+        visitIdentifier(exprPath);
+      } else {
+        exprPath.traverse({
+          Function() { valid = false; },
+          ThisExpression() { valid = false; },
+          Super() { valid = false; },
+          'AssignmentExpression|UpdateExpression'() { valid = false; },
+          ReferencedIdentifier: visitIdentifier
+        });
+      }
+
+      if (!valid) return null;
+      return { params, expr: exprPath.node, paramRefs, uses, order, conditional, free, scope: fnPath.scope };
+    }
+
+    // Helper: Copy an expression, replacing parameter references with arguments
+    function substitute(node, paramRefs, args) {
+      if (paramRefs.has(node)) {
+        return t.cloneNode(args[paramRefs.get(node)], true);
+      }
+      const copy = t.cloneNode(node, false);
+      for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const child = node[key];
+        if (Array.isArray(child)) {
+          copy[key] = child.map(c => (c ? substitute(c, paramRefs, args) : c));
+        } else if (child && typeof child === 'object') {
+          copy[key] = substitute(child, paramRefs, args);
+        }
+      }
+      return copy;
+    }
+
+    /**
+     * Build the inlined expression for a call to a proxy function
+     * Returns null when inlining would change evaluation
+     */
+    function inlineCall(callPath, fn) {
+      const args = callPath.node.arguments;
+      if (args.some(arg => t.isSpreadElement(arg) || t.isArgumentPlaceholder(arg))) return null;
+
+      // Identifiers other than params must mean the same thing at the call site
+      for (const { name, binding } of fn.free) {
+        if (callPath.scope.getBinding(name) !== binding) return null;
+      }
+
+      // Extra arguments would be dropped
+      if (args.slice(fn.params.length).some(arg => !isPure(arg))) return null;
+
+      const values = fn.params.map((_, i) => args[i] || t.unaryExpression('void', t.numericLiteral(0)));
+      const impure = [];
+      for (let i = 0; i < values.length; i++) {
+        if (isPure(values[i])) continue;
+        if (fn.uses[i] !== 1 || fn.conditional.has(i)) return null;
+        impure.push(i);
+      }
+
+      // Side-effecting arguments must still run in their original order
+      const impureOrder = fn.order.filter(i => impure.includes(i));
+      if (impureOrder.some((index, i) => i > 0 && index < impureOrder[i - 1])) return null;
+
+      return substitute(fn.expr, fn.paramRefs, values);
+    }
+
+    /**
+     * Find dictionary objects: var d = { ... } or var d = {}; d['k'] = v; ...
+     */
+    function findProxyObjects() {
+      const objects = [];
+
+      traverse(ast, {
+        VariableDeclarator(path) {
+          const { id, init } = path.node;
+          if (!t.isIdentifier(id) || !t.isObjectExpression(init)) return;
+
+          const binding = path.scope.getBinding(id.name);
+          if (!binding || binding.path !== path || getViolations(binding).length > 0) return;
+
+          const members = new Map();
+          const setupStatements = [];
+
+          for (let i = 0; i < init.properties.length; i++) {
+            const prop = init.properties[i];
+            const key = getPropertyKey(prop);
+            if (key === null || members.has(key)) return;
+            const member = toMember(path.get(`init.properties.${i}.value`));
+            if (!member) return;
+            members.set(key, member);
+          }
+
+          // Empty object filled in by the statements right after its declaration
+          const declaration = path.parentPath;
+          if (init.properties.length === 0 && declaration.node.declarations.length === 1 && declaration.inList) {
+            for (let next = declaration.getSibling(declaration.key + 1); next.node; next = next.getSibling(next.key + 1)) {
+              const expr = next.node.expression;
+              if (!next.isExpressionStatement() || !t.isAssignmentExpression(expr, { operator: '=' }) ||
+                  !t.isMemberExpression(expr.left) || !t.isIdentifier(expr.left.object, { name: id.name })) {
+                break;
+              }
+              const key = getMemberKey(expr.left);
+              const member = key !== null && !members.has(key) && toMember(next.get('expression.right'));
+              if (!member) break;
+              members.set(key, member);
+              setupStatements.push(next);
+            }
+          }
+
+          if (members.size === 0) return;
+
+          // Every other use must be a plain read: d.key / d['key']
+          const setupNodes = new Set(setupStatements.map(s => s.node));
+          const reads = [];
+          for (const ref of binding.referencePaths) {
+            const parent = ref.parentPath;
+            if (parent.isMemberExpression() && parent.node.object === ref.node &&
+                parent.parentPath.isAssignmentExpression({ left: parent.node }) &&
+                setupNodes.has(parent.parentPath.parent)) {
+              continue;
+            }
+            if (!parent.isMemberExpression() || parent.node.object !== ref.node) return;
+            const key = getMemberKey(parent.node);
+            if (key === null || !members.has(key)) return;
+            if (parent.parentPath.isAssignmentExpression({ left: parent.node }) ||
+                parent.parentPath.isUpdateExpression() ||
+                parent.parentPath.isUnaryExpression({ operator: 'delete' })) {
+              return;
+            }
+            reads.push({ path: parent, key });
+          }
+
+          objects.push({ name: id.name, path, members, setupStatements, reads });
+        }
+      });
+
+      return objects;
+    }
+
+    // Helper: Describe a dictionary member value, or null if it isn't a proxy
+    function toMember(valuePath) {
+      if (isLiteralValue(valuePath.node)) {
+        return { kind: 'literal', node: valuePath.node };
+      }
+      if (valuePath.isFunctionExpression() || valuePath.isArrowFunctionExpression()) {
+        const fn = analyzeFunction(valuePath);
+        return fn ? { kind: 'function', fn } : null;
+      }
+      return null;
+    }
+
+    /**
+     * Inline the reads of one dictionary object
+     * Returns the number of replacements
+     */
+    function inlineObject(object) {
+      let inlined = 0;
+      let remaining = 0;
+
+      const ownNodes = new Set([object.path.node, ...object.setupStatements.map(s => s.node)]);
+
+      for (const { path, key } of object.reads) {
+        // Detached reads live on in copies; reads inside the object itself would be
+        // copied into call sites - either way the object has to stay for now
+        if (!isAttached(path) || path.findParent(p => ownNodes.has(p.node))) {
+          remaining++;
+          continue;
+        }
+        const member = object.members.get(key);
+
+        if (member.kind === 'literal') {
+          if (path.parentPath.isCallExpression({ callee: path.node })) {
+            remaining++;
+            continue;
+          }
+          path.replaceWith(t.cloneNode(member.node));
+          stats.valuesInlined++;
+          inlined++;
+          continue;
+        }
+
+        const callPath = path.parentPath;
+        const replacement = callPath.isCallExpression({ callee: path.node }) && inlineCall(callPath, member.fn);
+        if (!replacement) {
+          remaining++;
+          continue;
+        }
+        callPath.replaceWith(replacement);
+        stats.callsInlined++;
+        inlined++;
+      }
+
+      if (opts.removeObjects && remaining === 0 && !object.path.removed) {
+        for (const stmt of object.setupStatements) {
+          if (!stmt.removed) stmt.remove();
+        }
+        object.path.remove();
+        stats.objectsRemoved++;
+      }
+
+      return inlined;
+    }
+
+    /**
+     * Inline standalone proxy functions: function p(a, b) { return a + b; }
+     * Returns the number of replacements
+     */
+    function inlineProxyFunctions(firstPass) {
+      let inlined = 0;
+
+      traverse(ast, {
+        FunctionDeclaration(path) {
+          const { id } = path.node;
+          if (!id) return;
+
+          const binding = path.parentPath.scope.getBinding(id.name);
+          if (!binding || binding.path !== path || getViolations(binding).length > 0) return;
+          if (binding.referencePaths.length === 0) return;
+
+          // Only ever called directly
+          if (!binding.referencePaths.every(ref => ref.parentPath.isCallExpression({ callee: ref.node }))) return;
+
+          const fn = analyzeFunction(path);
+          if (!fn) return;
+          if (firstPass) stats.proxyFunctionsFound++;
+
+          let remaining = 0;
+          for (const ref of binding.referencePaths) {
+            // Recursive proxies are not proxies
+            if (!isAttached(ref) || ref.findParent(p => p === path)) {
+              remaining++;
+              continue;
+            }
+            const replacement = inlineCall(ref.parentPath, fn);
+            if (!replacement) {
+              remaining++;
+              continue;
+            }
+            ref.parentPath.replaceWith(replacement);
+            stats.callsInlined++;
+            inlined++;
+          }
+
+          if (opts.removeObjects && remaining === 0) {
+            path.remove();
+            stats.objectsRemoved++;
+          }
+        }
+      });
+
+      return inlined;
+    }
+
+    // Run passes until nothing changes - inlined bodies may call other proxies
+    for (let pass = 0; pass < opts.maxPasses; pass++) {
+      stats.passes++;
+
+      // Rebuild scope bindings after the previous pass
+      traverse(ast, {
+        Program(path) {
+          path.scope.crawl();
+        }
+      });
+
+      let inlined = 0;
+      const objects = findProxyObjects();
+      if (pass === 0) stats.proxyObjectsFound = objects.length;
+      for (const object of objects) {
+        inlined += inlineObject(object);
+      }
+
+      if (opts.inlineProxyFunctions) {
+        inlined += inlineProxyFunctions(pass === 0);
+      }
+
+      if (inlined === 0) break;
+    }
+
+    return {
+      stats: {
+        changes: stats.callsInlined + stats.valuesInlined + stats.objectsRemoved,
+        ...stats
+      }
+    };
+  }
+);
@@ -2,7 +2,7 @@
 
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
-const { createASTTransform } = require('../helpers');
+const { createASTTransform, runsAfterInitializer, readsInitializedBindings } = require('../helpers');
 
 module.exports = createASTTransform(
   {
@@ -14,14 +14,18 @@ module.exports = createASTTransform(
       removeDeadIf: { type: 'boolean', default: true, description: 'Remove if blocks when condition is always false' },
       foldTernary: { type: 'boolean', default: true, description: 'Also fold ternary expressions (a ? b : c)' },
       foldLogical: { type: 'boolean', default: true, description: 'Also fold logical expressions (a && b, a || b)' },
-      unwrapBlocks: { type: 'boolean', default: true, description: 'Unwrap single-statement blocks' }
+      unwrapBlocks: { type: 'boolean', default: true, description: 'Unwrap single-statement blocks' },
+      resolveBindings: { type: 'boolean', default: true, description: 'Look through never-reassigned variables and read-only object literals' },
+      foldSelfComparison: { type: 'boolean', default: false, description: 'Fold comparisons of a reference with itself (x === x) - wrong for NaN checks' },
+      foldInvariants: { type: 'boolean', default: false, description: 'Fold well-known integer invariants such as x*(x+1)%2 === 0 - wrong for non-integer operands' }
     }
   },
   async (ast, config = {}) => {
     /**
      * Opaque Predicate Removal Transform
      * Evaluates if/else conditions and removes dead branches
-     * Only folds conditions that can be fully evaluated (no variables)
+     * Conditions are decided by path.evaluate(), and failing that by looking
+     * through constant bindings, self-comparisons and integer invariants
      * 
      * ═══════════════════════════════════════════════════════════════════════════════
      * WHAT IT REMOVES:
@@ -53,16 +57,49 @@ module.exports = createASTTransform(
      *     var z = false || getDefault();   →  var z = getDefault();
      *     var w = null ?? "fallback";      →  var w = "fallback";
      * 
+     *   Conditions built from bindings (resolveBindings):
+     *     const _0x12ab = { QwErT: "abc", zXcVb: "abd" };
+     *     if (_0x12ab["QwErT"] === _0x12ab.zXcVb) { dead(); } else { live(); }
+     *                                      →  live();
+     * 
+     *   Self-comparison (foldSelfComparison, off by default):
+     *     if (_0x12ab.QwErT !== _0x12ab.QwErT) { dead(); }  →  (removed)
+     * 
+     *   Integer invariants (foldInvariants, off by default):
+     *     if (x * (x + 1) % 2 === 0) { live(); }  →  live();   // consecutive product is even
+     *     if ((x * x * x - x) % 3 !== 0) { dead(); }  →  (removed)  // x³ - x divisible by 3
+     *     if (x * x < 0) { dead(); }               →  (removed)
+     * 
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * 
+     *   - Variables are only looked through when never reassigned and their
+     *     initializer runs before the condition (a var read before its
+     *     declaration is undefined - including from a hoisted function called
+     *     earlier)
+     *   - Objects are only looked through when every use reads a property
+     *     (no writes, deletes, or passing the object anywhere) and none of
+     *     their methods use `this`
+     *   - Conditions with calls are never decided, so dropping one can't drop
+     *     a side effect
+     *   - Self-comparison assumes the value is not NaN and has no getter, so
+     *     v !== v NaN checks would go; it is off by default (resolveBindings
+     *     already decides lookup-table self-comparisons)
+     *   - Invariants assume an integer operand, which is how obfuscators use
+     *     them; the operand is usually a parameter or unknown value, and for
+     *     NaN, undefined or a non-numeric string (v * v >= 0 is false) the
+     *     fold is wrong, so they are off by default
+     * 
      * ═══════════════════════════════════════════════════════════════════════════════
      * WILL NOT REMOVE:
      * ═══════════════════════════════════════════════════════════════════════════════
      *                                      
-     *   - Conditions containing variables (can't evaluate confidently)
+     *   - Conditions on variables that are reassigned, or parameters
      *   - Conditions with function calls (side effects)
-     *   - Any expression where path.evaluate() returns confident: false
      * 
      *   Example (kept as-is):
-     *     if (x > 5) { ... }         // x is a variable
+     *     if (x > 5) { ... }         // x is a parameter or reassigned
      *     if (getValue()) { ... }    // function call
      * 
      * ═══════════════════════════════════════════════════════════════════════════════
@@ -72,6 +109,9 @@ module.exports = createASTTransform(
     *   - foldTernary: true         → Fold ternary expressions
     *   - foldLogical: true         → Fold && || ?? expressions
     *   - unwrapBlocks: true        → Unwrap single-statement blocks
+    *   - resolveBindings: true     → Look through constant variables and objects
+    *   - foldSelfComparison: false → Fold x === x, x !== x
+    *   - foldInvariants: false     → Fold integer invariants
     * ═══════════════════════════════════════════════════════════════════════════════
     */
     const opts = {
@@ -79,7 +119,10 @@ module.exports = createASTTransform(
       removeDeadIf: config.removeDeadIf !== false,
       foldTernary: config.foldTernary !== false,
       foldLogical: config.foldLogical !== false,
-      unwrapBlocks: config.unwrapBlocks !== false
+      unwrapBlocks: config.unwrapBlocks !== false,
+      resolveBindings: config.resolveBindings !== false,
+      foldSelfComparison: config.foldSelfComparison === true,
+      foldInvariants: config.foldInvariants === true
     };
 
     const stats = {
@@ -87,9 +130,298 @@ module.exports = createASTTransform(
       elseBlocksRemoved: 0,
       ternariesFolded: 0,
       logicalFolded: 0,
+      predicatesResolved: 0,
       totalRemoved: 0
     };
 
+    // Bindings looked through before giving up on a condition
+    const MAX_RESOLVE_DEPTH = 10;
+    const NOT_CONFIDENT = { confident: false };
+
+    const BINARY_OPERATORS = {
+      '+': (a, b) => a + b,
+      '-': (a, b) => a - b,
+      '*': (a, b) => a * b,
+      '/': (a, b) => a / b,
+      '%': (a, b) => a % b,
+      '**': (a, b) => a ** b,
+      '==': (a, b) => a == b,
+      '!=': (a, b) => a != b,
+      '===': (a, b) => a === b,
+      '!==': (a, b) => a !== b,
+      '<': (a, b) => a < b,
+      '<=': (a, b) => a <= b,
+      '>': (a, b) => a > b,
+      '>=': (a, b) => a >= b,
+      '&': (a, b) => a & b,
+      '|': (a, b) => a | b,
+      '^': (a, b) => a ^ b,
+      '<<': (a, b) => a << b,
+      '>>': (a, b) => a >> b,
+      '>>>': (a, b) => a >>> b
+    };
+
+    const UNARY_OPERATORS = {
+      '!': a => !a,
+      '-': a => -a,
+      '+': a => +a,
+      '~': a => ~a,
+      'typeof': a => typeof a,
+      'void': () => undefined
+    };
+
+    /**
+     * Helper: Variable that holds its initializer wherever the identifier `node` reads it
+     */
+    function constantBinding(scope, name, node) {
+      const binding = scope.getBinding(name);
+      if (!binding || !binding.constant || !binding.path.isVariableDeclarator()) return null;
+      if (!binding.path.node.init || !t.isIdentifier(binding.path.node.id)) return null;
+      // A var read before its declaration runs is still undefined
+      const refPath = binding.referencePaths.find(ref => ref.node === node);
+      if (!refPath || !runsAfterInitializer(refPath, binding)) return null;
+      return binding;
+    }
+
+    /**
+     * Helper: Object literal a binding holds, if it is only ever read from
+     */
+    function readOnlyObject(binding) {
+      const init = binding.path.node.init;
+      if (!t.isObjectExpression(init)) return null;
+      if (init.properties.some(prop => !t.isObjectProperty(prop) && !t.isObjectMethod(prop))) return null;
+
+      for (const ref of binding.referencePaths) {
+        const member = ref.parentPath;
+        if (!member.isMemberExpression() || member.node.object !== ref.node) return null;
+        const use = member.parentPath;
+        if ((use.isAssignmentExpression() && use.node.left === member.node) ||
+            use.isUpdateExpression() ||
+            use.isUnaryExpression({ operator: 'delete' }) ||
+            ((use.isForInStatement() || use.isForOfStatement()) && use.node.left === member.node) ||
+            // Destructuring targets: [o.k] = v, ({ x: o.k } = v), [o.k = 1] = v, [...o.k] = v
+            use.isArrayPattern() || use.isRestElement() ||
+            (use.isAssignmentPattern() && use.node.left === member.node) ||
+            (use.isObjectProperty() && use.parentPath.isObjectPattern() && use.node.value === member.node)) {
+          return null;
+        }
+      }
+
+      // Methods that touch `this` could change the properties
+      let usesThis = false;
+      t.traverseFast(init, node => {
+        if (t.isThisExpression(node)) usesThis = true;
+      });
+      return usesThis ? null : init;
+    }
+
+    /**
+     * Helper: Value node of a non-computed or literal key (last one wins)
+     */
+    function propertyValue(object, key) {
+      for (let i = object.properties.length - 1; i >= 0; i--) {
+        const prop = object.properties[i];
+        let name = null;
+        if (!prop.computed && t.isIdentifier(prop.key)) name = prop.key.name;
+        else if (t.isStringLiteral(prop.key) || t.isNumericLiteral(prop.key)) name = String(prop.key.value);
+        else if (prop.computed) return null; // Could shadow the key we are after
+        if (name === key) return t.isObjectProperty(prop) ? prop.value : null;
+      }
+      return null;
+    }
+
+    /**
+     * Helper: Side-effect-free reference (x, x.y, x["y"]) that reads the same
+     * thing each time it appears
+     */
+    function isPureReference(node) {
+      if (t.isIdentifier(node)) return true;
+      if (t.isMemberExpression(node)) {
+        const literalKey = !node.computed || t.isStringLiteral(node.property) || t.isNumericLiteral(node.property);
+        return literalKey && isPureReference(node.object);
+      }
+      return false;
+    }
+
+    /**
+     * Helper: x*x, x**2 or Math.pow(x, 2) → x
+     */
+    function squaredOperand(node) {
+      if (t.isBinaryExpression(node, { operator: '*' }) && isPureReference(node.left) && t.isNodesEquivalent(node.left, node.right)) return node.left;
+      if (t.isBinaryExpression(node, { operator: '**' }) && isPureReference(node.left) && t.isNumericLiteral(node.right, { value: 2 })) return node.left;
+      if (t.isCallExpression(node) && t.isMemberExpression(node.callee) && t.isIdentifier(node.callee.object, { name: 'Math' }) &&
+          t.isIdentifier(node.callee.property, { name: 'pow' }) && node.arguments.length === 2 &&
+          isPureReference(node.arguments[0]) && t.isNumericLiteral(node.arguments[1], { value: 2 })) {
+        return node.arguments[0];
+      }
+      return null;
+    }
+
+    /**
+     * Helper: x*(x+1), x*(x-1), x*x+x, x*x-x - always even for an integer x
+     */
+    function isConsecutiveProduct(node) {
+      const neighbour = (x, other) =>
+        t.isBinaryExpression(other) && (other.operator === '+' || other.operator === '-') && t.isNumericLiteral(other.right, { value: 1 }) && t.isNodesEquivalent(other.left, x) ||
+        t.isBinaryExpression(other, { operator: '+' }) && t.isNumericLiteral(other.left, { value: 1 }) && t.isNodesEquivalent(other.right, x);
+
+      if (t.isBinaryExpression(node, { operator: '*' })) {
+        return (isPureReference(node.left) && neighbour(node.left, node.right)) ||
+               (isPureReference(node.right) && neighbour(node.right, node.left));
+      }
+      if (t.isBinaryExpression(node) && (node.operator === '+' || node.operator === '-')) {
+        const x = squaredOperand(node.left);
+        if (x && t.isNodesEquivalent(x, node.right)) return true;
+        const y = node.operator === '+' && squaredOperand(node.right);
+        return !!y && t.isNodesEquivalent(y, node.left);
+      }
+      return false;
+    }
+
+    /**
+     * Helper: x*x*x - x or x**3 - x - always divisible by 3 for an integer x
+     */
+    function isCubeMinusSelf(node) {
+      if (!t.isBinaryExpression(node, { operator: '-' }) || !isPureReference(node.right)) return false;
+      const x = node.right;
+      const cube = node.left;
+      if (t.isBinaryExpression(cube, { operator: '**' }) && t.isNumericLiteral(cube.right, { value: 3 })) return t.isNodesEquivalent(cube.left, x);
+      return t.isBinaryExpression(cube, { operator: '*' }) &&
+        ((t.isNodesEquivalent(squaredOperand(cube.left), x) && t.isNodesEquivalent(cube.right, x)) ||
+         (t.isNodesEquivalent(squaredOperand(cube.right), x) && t.isNodesEquivalent(cube.left, x)));
+    }
+
+    /**
+     * Helper: Value of a binary expression whose operands are not both known
+     */
+    function evaluateBinaryPattern(node) {
+      const { operator, left, right } = node;
+
+      if (opts.foldSelfComparison && ['===', '==', '!==', '!='].includes(operator) &&
+          isPureReference(left) && t.isNodesEquivalent(left, right)) {
+        return { confident: true, value: operator === '===' || operator === '==' };
+      }
+
+      if (!opts.foldInvariants) return NOT_CONFIDENT;
+
+      if (operator === '%' && t.isNumericLiteral(right, { value: 2 }) && isConsecutiveProduct(left)) {
+        return { confident: true, value: 0 };
+      }
+      if (operator === '%' && t.isNumericLiteral(right, { value: 3 }) && isCubeMinusSelf(left)) {
+        return { confident: true, value: 0 };
+      }
+      // A square is never negative: x*x >= 0, x*x < 0, 0 > x*x ...
+      if (t.isNumericLiteral(right, { value: 0 }) && squaredOperand(left)) {
+        if (operator === '>=') return { confident: true, value: true };
+        if (operator === '<') return { confident: true, value: false };
+      }
+      if (t.isNumericLiteral(left, { value: 0 }) && squaredOperand(right)) {
+        if (operator === '<=') return { confident: true, value: true };
+        if (operator === '>') return { confident: true, value: false };
+      }
+      return NOT_CONFIDENT;
+    }
+
+    /**
+     * Evaluate a condition path.evaluate() gave up on, looking through
+     * constant bindings and recognising self-comparisons and invariants
+     * @returns {Object} { confident, value }
+     */
+    function evaluateNode(node, scope, depth = 0) {
+      if (!node || depth > MAX_RESOLVE_DEPTH) return NOT_CONFIDENT;
+
+      switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+          return { confident: true, value: node.value };
+        case 'NullLiteral':
+          return { confident: true, value: null };
+        case 'TemplateLiteral':
+          return node.expressions.length === 0 ? { confident: true, value: node.quasis[0].value.cooked } : NOT_CONFIDENT;
+        case 'ParenthesizedExpression':
+          return evaluateNode(node.expression, scope, depth);
+
+        case 'Identifier': {
+          if (!scope.getBinding(node.name)) {
+            if (node.name === 'undefined') return { confident: true, value: undefined };
+            if (node.name === 'NaN') return { confident: true, value: NaN };
+            if (node.name === 'Infinity') return { confident: true, value: Infinity };
+            return NOT_CONFIDENT;
+          }
+          if (!opts.resolveBindings) return NOT_CONFIDENT;
+          const binding = constantBinding(scope, node.name, node);
+          return binding ? evaluateNode(binding.path.node.init, binding.path.scope, depth + 1) : NOT_CONFIDENT;
+        }
+
+        case 'MemberExpression': {
+          let key;
+          if (!node.computed && t.isIdentifier(node.property)) {
+            key = node.property.name;
+          } else {
+            const property = evaluateNode(node.property, scope, depth + 1);
+            if (!property.confident) return NOT_CONFIDENT;
+            key = String(property.value);
+          }
+
+          if (opts.resolveBindings && t.isIdentifier(node.object)) {
+            const binding = constantBinding(scope, node.object.name, node.object);
+            const object = binding && readOnlyObject(binding);
+            if (object) {
+              const value = propertyValue(object, key);
+              return value ? evaluateNode(value, binding.path.scope, depth + 1) : NOT_CONFIDENT;
+            }
+          }
+          if (key === 'length') {
+            const object = evaluateNode(node.object, scope, depth + 1);
+            if (object.confident && typeof object.value === 'string') return { confident: true, value: object.value.length };
+          }
+          return NOT_CONFIDENT;
+        }
+
+        case 'UnaryExpression': {
+          const operate = UNARY_OPERATORS[node.operator];
+          if (!operate) return NOT_CONFIDENT;
+          const argument = evaluateNode(node.argument, scope, depth);
+          return argument.confident ? { confident: true, value: operate(argument.value) } : NOT_CONFIDENT;
+        }
+
+        case 'BinaryExpression': {
+          const operate = BINARY_OPERATORS[node.operator];
+          if (!operate) return NOT_CONFIDENT;
+          const left = evaluateNode(node.left, scope, depth);
+          const right = left.confident ? evaluateNode(node.right, scope, depth) : NOT_CONFIDENT;
+          if (left.confident && right.confident) return { confident: true, value: operate(left.value, right.value) };
+          return evaluateBinaryPattern(node);
+        }
+
+        case 'LogicalExpression': {
+          const left = evaluateNode(node.left, scope, depth);
+          if (!left.confident) return NOT_CONFIDENT;
+          const short = node.operator === '&&' ? !left.value
+            : node.operator === '||' ? !!left.value
+            : left.value !== null && left.value !== undefined;
+          return short ? left : evaluateNode(node.right, scope, depth);
+        }
+
+        default:
+          return NOT_CONFIDENT;
+      }
+    }
+
+    /**
+     * Decide a condition: path.evaluate() first, then evaluateNode()
+     */
+    function evaluateCondition(path) {
+      const result = path.evaluate();
+      if (result.confident && readsInitializedBindings(path)) return result;
+      if (!opts.resolveBindings && !opts.foldSelfComparison && !opts.foldInvariants) return NOT_CONFIDENT;
+
+      const resolved = evaluateNode(path.node, path.scope);
+      if (resolved.confident) stats.predicatesResolved++;
+      return resolved;
+    }
+
     /**
      * Get statements from a block or wrap single statement
      */
@@ -129,9 +461,9 @@ module.exports = createASTTransform(
         const test = path.get('test');
         
         // Try to evaluate the condition
-        const result = test.evaluate();
+        const result = evaluateCondition(test);
         
-        // Only proceed if we're confident (no variables involved)
+        // Only proceed if we're confident
         if (!result.confident) return;
         
         const conditionValue = result.value;
@@ -196,7 +528,7 @@ module.exports = createASTTransform(
         if (!opts.foldTernary) return;
         
         const test = path.get('test');
-        const result = test.evaluate();
+        const result = evaluateCondition(test);
         
         if (!result.confident) return;
         
@@ -217,7 +549,7 @@ module.exports = createASTTransform(
         if (!opts.foldLogical) return;
         
         const left = path.get('left');
-        const result = left.evaluate();
+        const result = evaluateCondition(left);
         
         if (!result.confident) return;
         
@@ -1,6 +1,7 @@
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
 const { createASTTransform } = require('../helpers');
+const { isFileMarker } = require('../multiFile');
 
 module.exports = createASTTransform(
   {
@@ -46,6 +47,11 @@ module.exports = createASTTransform(
      * Check if a comment should be preserved
      */
     function shouldPreserve(comment) {
+      // Multi-file runs split their output at these
+      if (isFileMarker(comment)) {
+        return true;
+      }
+      
       // Check JSDoc
       if (opts.preserveJSDoc && comment.type === 'CommentBlock' && comment.value.startsWith('*')) {
         return true;
@@ -0,0 +1,410 @@
+/**
+ * Remove Unreachable Code Transform
+ *
+ * Removes code that control flow can never get to: statements after an
+ * unconditional return/throw/break/continue, switch cases no dispatcher value
+ * selects, and functions no entry point calls - even when the dead functions
+ * call each other, which keeps them away from RemoveUnusedCode.
+ *
+ * Example:
+ *   function a() { return b(); }
+ *   function b() { return a(); }
+ *   function main() {
+ *     var state = 0;
+ *     switch (state) { case 0: run(); break; case 7: a(); break; }
+ *     return;
+ *     cleanup();
+ *   }
+ *   main();
+ *
+ * Becomes:
+ *   function main() {
+ *     var state = 0;
+ *     switch (state) { case 0: run(); break; }
+ *     return;
+ *   }
+ *   main();
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { createASTTransform, isInDynamicScope } = require('../helpers');
+
+module.exports = createASTTransform(
+  {
+    name: 'RemoveUnreachableCode',
+    description: 'Removes statements after return/throw/break/continue, switch cases no dispatcher value reaches, and functions unreachable from any entry point',
+    category: 'Deobfuscation',
+    config: {
+      removeAfterJumps: { type: 'boolean', default: true, description: 'Remove statements after an unconditional return/throw/break/continue' },
+      removeDeadCases: { type: 'boolean', default: true, description: 'Remove switch cases the dispatcher variable or order string never selects' },
+      removeDeadFunctions: { type: 'boolean', default: true, description: 'Remove functions only called from other unreachable functions' },
+      preservePatterns: { type: 'string', default: '', description: 'Regex pattern for function names to keep (e.g., "^on[A-Z]")' },
+      preserveExports: { type: 'boolean', default: true, description: 'Treat exported functions as entry points' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Remove Unreachable Code Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   1. Works out, per statement, whether control can run past its end -
+     *      return/throw/break/continue can't, nor can an if whose branches
+     *      both jump, a while (true) nobody breaks out of, or a try whose
+     *      finally jumps. Statements after one that can't are removed:
+     *        return x; log(x);            → return x;
+     *        case 1: a(); break; b();     → case 1: a(); break;
+     *   2. Collects the values a switch dispatcher can hold - a variable only
+     *      ever assigned literals, or order[i++] over a "2|0|1".split("|")
+     *      order string - and removes the cases none of them select (unless
+     *      the case before falls into them).
+     *   3. Builds a call graph of the function declarations (and variables
+     *      holding a function): code outside them is the entry point, and a
+     *      function is live if an entry point or a live function references
+     *      it. The rest are removed, cycles included.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Function declarations and var names after a jump are hoisted, so
+     *     they are kept (vars lose only their initializer)
+     *   - A reference of any kind from live code (call, alias, typeof, passed
+     *     as a callback) keeps a function; so does being reassigned
+     *   - Dispatcher values are only collected when every assignment to the
+     *     variable is a literal; cases that can't be evaluated are kept, and
+     *     so are all cases when a direct eval or a with statement can reach
+     *     the variable
+     *   - Like RemoveUnusedCode, top-level functions nothing in the file
+     *     calls are removed - list handlers called from outside (HTML, other
+     *     scripts) in preservePatterns
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - removeAfterJumps: true     → Remove statements after return/throw/break/continue
+     *   - removeDeadCases: true      → Remove switch cases no dispatcher value reaches
+     *   - removeDeadFunctions: true  → Remove functions unreachable from entry points
+     *   - preservePatterns: ""       → Regex for function names to keep
+     *   - preserveExports: true      → Treat exports as entry points
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      removeAfterJumps: config.removeAfterJumps !== false,
+      removeDeadCases: config.removeDeadCases !== false,
+      removeDeadFunctions: config.removeDeadFunctions !== false,
+      preservePatterns: config.preservePatterns || '',
+      preserveExports: config.preserveExports !== false
+    };
+
+    const stats = {
+      statementsRemoved: 0,
+      casesRemoved: 0,
+      functionsRemoved: 0
+    };
+
+    let preserveRegex = null;
+    if (opts.preservePatterns) {
+      try {
+        preserveRegex = new RegExp(opts.preservePatterns);
+      } catch (e) {
+        // Invalid regex, ignore
+      }
+    }
+
+    // Helper: Condition that is truthy however often it is tested (true, 1, !0, !![])
+    function isAlwaysTruthy(node) {
+      if (!node) return false;
+      if (t.isBooleanLiteral(node) || t.isNumericLiteral(node) || t.isStringLiteral(node)) return !!node.value;
+      if (t.isArrayExpression(node) || t.isObjectExpression(node)) return true;
+      if (t.isUnaryExpression(node, { operator: '!' })) return isAlwaysFalsy(node.argument);
+      return false;
+    }
+
+    function isAlwaysFalsy(node) {
+      if (t.isBooleanLiteral(node) || t.isNumericLiteral(node) || t.isStringLiteral(node)) return !node.value;
+      if (t.isNullLiteral(node) || t.isIdentifier(node, { name: 'undefined' })) return true;
+      if (t.isUnaryExpression(node, { operator: '!' })) return isAlwaysTruthy(node.argument);
+      return false;
+    }
+
+    // Helper: Whether a break leaves the statement (unlabeled breaks only count
+    // outside nested loops and switches; functions are a boundary)
+    function hasBreakTo(node, label) {
+      let found = false;
+      const visit = (current, nested) => {
+        if (!current || found) return;
+        if (Array.isArray(current)) {
+          current.forEach(child => visit(child, nested));
+          return;
+        }
+        if (typeof current.type !== 'string' || t.isFunction(current) || t.isClass(current)) return;
+        if (t.isBreakStatement(current)) {
+          if (label ? current.label?.name === label : !current.label && !nested) found = true;
+          return;
+        }
+        const inner = nested || t.isLoop(current) || t.isSwitchStatement(current);
+        for (const key of t.VISITOR_KEYS[current.type] || []) visit(current[key], inner);
+      };
+      visit(node, false);
+      return found;
+    }
+
+    // Helper: Whether control can run past the end of a statement
+    function canComplete(node) {
+      switch (node.type) {
+        case 'ReturnStatement':
+        case 'ThrowStatement':
+        case 'BreakStatement':
+        case 'ContinueStatement':
+          return false;
+        case 'BlockStatement':
+          return listCompletes(node.body);
+        case 'IfStatement':
+          return !node.alternate || canComplete(node.consequent) || canComplete(node.alternate);
+        case 'TryStatement':
+          if (node.finalizer && !canComplete(node.finalizer)) return false;
+          return canComplete(node.block) || (!!node.handler && canComplete(node.handler.body));
+        case 'LabeledStatement':
+          return canComplete(node.body) || hasBreakTo(node.body, node.label.name);
+        case 'WhileStatement':
+        case 'DoWhileStatement':
+          return !isAlwaysTruthy(node.test) || hasBreakTo(node.body, null);
+        case 'ForStatement':
+          return (!!node.test && !isAlwaysTruthy(node.test)) || hasBreakTo(node.body, null);
+        case 'SwitchStatement': {
+          if (hasBreakTo(node.cases, null)) return true;
+          // Without a default some values skip every case
+          if (!node.cases.some(c => !c.test)) return true;
+          return listCompletes(node.cases[node.cases.length - 1].consequent);
+        }
+        case 'WithStatement':
+          return canComplete(node.body);
+        default:
+          return true;
+      }
+    }
+
+    function listCompletes(statements) {
+      return statements.every(statement => canComplete(statement));
+    }
+
+    // Helper: Drop what follows the first statement that can't complete
+    function pruneList(paths) {
+      let dead = false;
+      for (const statement of paths) {
+        if (!dead) {
+          dead = !canComplete(statement.node);
+          continue;
+        }
+        // Hoisted: the function is callable, the var name is declared
+        if (statement.isFunctionDeclaration()) continue;
+        if (statement.isVariableDeclaration({ kind: 'var' })) {
+          if (statement.node.declarations.every(d => !d.init)) continue;
+          const names = Object.keys(t.getBindingIdentifiers(statement.node));
+          statement.replaceWith(t.variableDeclaration('var', names.map(name => t.variableDeclarator(t.identifier(name)))));
+          stats.statementsRemoved++;
+          continue;
+        }
+        if (!statement.isEmptyStatement()) stats.statementsRemoved++;
+        statement.remove();
+      }
+    }
+
+    // Helper: Literal values an expression can take, or null when unknown
+    function literalValues(node) {
+      if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return [node.value];
+      if (t.isNullLiteral(node)) return [null];
+      if (t.isIdentifier(node, { name: 'undefined' })) return [undefined];
+      if (t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument)) return [-node.argument.value];
+      if (t.isConditionalExpression(node)) {
+        const consequent = literalValues(node.consequent);
+        const alternate = literalValues(node.alternate);
+        return consequent && alternate ? [...consequent, ...alternate] : null;
+      }
+      return null;
+    }
+
+    // Helper: Elements of an order array ("2|0|1".split("|") or ["2", "0", "1"])
+    function orderValues(node) {
+      if (t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+          t.isStringLiteral(node.callee.object) && t.isIdentifier(node.callee.property, { name: 'split' }) &&
+          node.arguments.length === 1 && t.isStringLiteral(node.arguments[0])) {
+        return node.callee.object.value.split(node.arguments[0].value);
+      }
+      if (t.isArrayExpression(node) && node.elements.every(el => el && literalValues(el)?.length === 1)) {
+        return node.elements.map(el => literalValues(el)[0]);
+      }
+      return null;
+    }
+
+    // Helper: Every value a switch discriminant can hold, or null when unknown
+    function dispatcherValues(path) {
+      const discriminant = path.node.discriminant;
+      const literal = literalValues(discriminant);
+      if (literal) return literal;
+
+      // order[i++] / order[i]
+      if (t.isMemberExpression(discriminant) && discriminant.computed && t.isIdentifier(discriminant.object)) {
+        const binding = path.scope.getBinding(discriminant.object.name);
+        if (!binding || !binding.constant || !binding.path.isVariableDeclarator() || isInDynamicScope(binding)) return null;
+        const values = orderValues(binding.path.node.init);
+        // The index may run past the end
+        return values ? [...values, undefined] : null;
+      }
+
+      // A state variable only ever assigned literals
+      if (t.isIdentifier(discriminant)) {
+        const binding = path.scope.getBinding(discriminant.name);
+        // eval or with may set it to anything
+        if (!binding || !binding.path.isVariableDeclarator() || isInDynamicScope(binding)) return null;
+        const init = binding.path.node.init;
+        const values = init ? literalValues(init) : [undefined];
+        if (!values) return null;
+        for (const violation of binding.constantViolations) {
+          if (!violation.isAssignmentExpression({ operator: '=' }) || !t.isIdentifier(violation.node.left)) return null;
+          const assigned = literalValues(violation.node.right);
+          if (!assigned) return null;
+          values.push(...assigned);
+        }
+        return values;
+      }
+
+      return null;
+    }
+
+    // Helper: Remove cases of a switch that no dispatcher value selects
+    function pruneCases(path) {
+      const values = dispatcherValues(path);
+      if (!values) return;
+
+      let fallsIn = false;
+      for (const casePath of path.get('cases')) {
+        let reachable = fallsIn || !casePath.node.test;
+        if (!reachable) {
+          const test = casePath.get('test').evaluate();
+          reachable = !test.confident || values.some(value => value === test.value);
+        }
+        fallsIn = reachable && listCompletes(casePath.node.consequent);
+        if (!reachable) {
+          casePath.remove();
+          stats.casesRemoved++;
+        }
+      }
+    }
+
+    // Helper: Function declarations and variables holding a function
+    function collectFunctions() {
+      const functions = new Map(); // function node → { name, binding, path }
+
+      const consider = (name, binding, fnNode, removePath) => {
+        if (!binding || binding.constantViolations.length > 0) return;
+        if (preserveRegex && preserveRegex.test(name)) return;
+        const declaration = removePath.isVariableDeclarator() ? removePath.parentPath : removePath;
+        if (opts.preserveExports && (declaration.parentPath?.isExportNamedDeclaration() || declaration.parentPath?.isExportDefaultDeclaration())) return;
+        functions.set(fnNode, { name, binding, path: removePath });
+      };
+
+      traverse(ast, {
+        FunctionDeclaration(path) {
+          if (!path.node.id) return;
+          const name = path.node.id.name;
+          consider(name, path.parentPath.scope.getBinding(name), path.node, path);
+        },
+        VariableDeclarator(path) {
+          const { id, init } = path.node;
+          if (!t.isIdentifier(id) || !(t.isFunctionExpression(init) || t.isArrowFunctionExpression(init))) return;
+          consider(id.name, path.scope.getBinding(id.name), init, path);
+        }
+      });
+
+      // Exported by name elsewhere (export { f })
+      if (opts.preserveExports) {
+        traverse(ast, {
+          ExportSpecifier(path) {
+            for (const [fnNode, fn] of functions) {
+              if (t.isIdentifier(path.node.local, { name: fn.name }) && path.scope.getBinding(fn.name) === fn.binding) functions.delete(fnNode);
+            }
+          }
+        });
+      }
+
+      return functions;
+    }
+
+    // Helper: Remove functions no entry point reaches
+    function pruneFunctions() {
+      traverse(ast, {
+        Program(path) {
+          path.scope.crawl(); // References inside removed statements no longer count
+        }
+      });
+
+      const functions = collectFunctions();
+      const calls = new Map(); // function node → function nodes it references
+      const live = [];
+
+      for (const [fnNode, fn] of functions) {
+        for (const ref of fn.binding.referencePaths) {
+          const owner = ref.findParent(p => functions.has(p.node));
+          if (!owner) {
+            live.push(fnNode);
+          } else if (owner.node !== fnNode) {
+            if (!calls.has(owner.node)) calls.set(owner.node, new Set());
+            calls.get(owner.node).add(fnNode);
+          }
+        }
+      }
+
+      const reached = new Set();
+      while (live.length > 0) {
+        const fnNode = live.pop();
+        if (reached.has(fnNode)) continue;
+        reached.add(fnNode);
+        for (const callee of calls.get(fnNode) || []) live.push(callee);
+      }
+
+      for (const [fnNode, fn] of functions) {
+        if (reached.has(fnNode)) continue;
+        // Nested in a function removed already
+        if (fn.path.findParent(p => p.removed)) continue;
+        const declaration = fn.path.isVariableDeclarator() && fn.path.parent.declarations.length === 1 ? fn.path.parentPath : fn.path;
+        declaration.remove();
+        stats.functionsRemoved++;
+      }
+    }
+
+    if (opts.removeAfterJumps) {
+      traverse(ast, {
+        'Program|BlockStatement'(path) {
+          pruneList(path.get('body'));
+        },
+        SwitchCase(path) {
+          pruneList(path.get('consequent'));
+        }
+      });
+    }
+
+    if (opts.removeDeadCases) {
+      traverse(ast, {
+        SwitchStatement(path) {
+          pruneCases(path);
+        }
+      });
+    }
+
+    if (opts.removeDeadFunctions) {
+      pruneFunctions();
+    }
+
+    return {
+      stats: {
+        changes: stats.statementsRemoved + stats.casesRemoved + stats.functionsRemoved,
+        ...stats
+      }
+    };
+  }
+);
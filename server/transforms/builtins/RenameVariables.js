@@ -0,0 +1,279 @@
+/**
+ * Rename Variables Transform
+ *
+ * Gives obfuscated (_0x1a2b) and single-letter bindings readable names,
+ * inferred from how they are used where possible and from what they hold
+ * otherwise. Renaming goes through Babel scope, so every reference follows.
+ *
+ * Example:
+ *   const _0x3f1a = require('child_process');
+ *   for (var _0x1b = 0; _0x1b < 3; _0x1b++) { try { x(); } catch (_0x9c) {} }
+ *   btn.addEventListener('click', function (e) { e.preventDefault(); });
+ *   var _0x4d = 'hello', _0x5e = function () {};
+ *
+ * Becomes:
+ *   const childProcess = require('child_process');
+ *   for (var i = 0; i < 3; i++) { try { x(); } catch (err) {} }
+ *   btn.addEventListener('click', function (event) { event.preventDefault(); });
+ *   var str1 = 'hello', fn1 = function () {};
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { createASTTransform, isReservedWord } = require('../helpers');
+
+const LOOP_COUNTER_NAMES = ['i', 'j', 'k', 'l', 'm', 'n'];
+
+module.exports = createASTTransform(
+  {
+    name: 'RenameVariables',
+    description: 'Renames _0x-style and single-letter bindings to names inferred from usage (i, fs, err, event, str1, fn2)',
+    category: 'Cleanup',
+    config: {
+      renameHexNames: { type: 'boolean', default: true, description: 'Rename _0x1a2b-style bindings' },
+      renameShortNames: { type: 'boolean', default: true, description: 'Rename single-letter bindings' },
+      inferNames: { type: 'boolean', default: true, description: 'Infer names from usage (loop counters, require, catch, event listeners)' },
+      preservePatterns: { type: 'string', default: '', description: 'Regex pattern for names to preserve (e.g., "^\\$$|^_$")' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Rename Variables Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   Inferred names (inferNames):
+     *     for (let _0x1 = 0; ...; _0x1++)       → i (j, k, ... when nested)
+     *     const _0x2 = require('fs')            → fs
+     *     const _0x3 = require('lodash/fp')     → fp
+     *     const _0x4 = require('x').readFile    → readFile
+     *     catch (_0x5)                          → err
+     *     el.addEventListener('x', (_0x6) => …) → event
+     *
+     *   Everything else gets a counter named after what it holds:
+     *     'text' / `tpl` → str1    42 → num1       true → bool1
+     *     [...]          → arr1    {...} → obj1    /re/ → re1
+     *     functions      → fn1     classes → cls1  parameters → arg1
+     *     anything else  → val1
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - A new name is only used when it is free in the binding's scope, isn't
+     *     bound between the binding and any of its references, and isn't a
+     *     global read anywhere in the program; otherwise a number is appended.
+     *   - Bindings visible to a direct eval() or a with statement are left alone,
+     *     since code there can reach them by name.
+     *   - Exports keep their public name (export { fs as _0x2 }).
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - renameHexNames: true    → Rename _0x1a2b-style bindings
+     *   - renameShortNames: true  → Rename single-letter bindings
+     *   - inferNames: true        → Infer names from usage
+     *   - preservePatterns: ""    → Regex for names to keep
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      renameHexNames: config.renameHexNames !== false,
+      renameShortNames: config.renameShortNames !== false,
+      inferNames: config.inferNames !== false,
+      preservePatterns: config.preservePatterns ? new RegExp(config.preservePatterns) : null
+    };
+
+    const stats = {
+      bindingsRenamed: 0,
+      namesInferred: 0,
+      skippedDynamicScope: 0
+    };
+
+    // Next number for each type prefix (str1, str2, ...)
+    const counters = new Map();
+
+    let programScope = null;
+    const dynamicScopes = [];
+
+    // Helper: Name the transform should replace
+    function shouldRename(name) {
+      if (opts.preservePatterns && opts.preservePatterns.test(name)) return false;
+      if (opts.renameHexNames && /^_0x[0-9a-f]+$/i.test(name)) return true;
+      if (opts.renameShortNames && /^[a-zA-Z_$]$/.test(name)) return true;
+      return false;
+    }
+
+    // Helper: Is the binding's scope (or one inside it) using eval / with?
+    function isInDynamicScope(binding) {
+      return dynamicScopes.some(scope => {
+        for (let s = scope; s; s = s.parent) {
+          if (s === binding.scope) return true;
+        }
+        return false;
+      });
+    }
+
+    // Helper: Can the binding take this name without capturing or being captured?
+    function isNameFree(binding, name) {
+      if (!t.isValidIdentifier(name) || isReservedWord(name)) return false;
+      if (binding.scope.hasBinding(name)) return false;
+      if (programScope.globals[name]) return false;
+      return [...binding.referencePaths, ...binding.constantViolations]
+        .every(ref => !ref.scope.hasBinding(name));
+    }
+
+    // Helper: First free name out of base, base2, base3, ...
+    function pickName(binding, base) {
+      if (isNameFree(binding, base)) return base;
+      for (let n = 2; ; n++) {
+        if (isNameFree(binding, base + n)) return base + n;
+      }
+    }
+
+    // Helper: Next free counter name for a type prefix
+    function pickCounterName(binding, prefix) {
+      let n = counters.get(prefix) || 1;
+      while (!isNameFree(binding, prefix + n)) n++;
+      counters.set(prefix, n + 1);
+      return prefix + n;
+    }
+
+    // Helper: 'child_process' → childProcess, '@scope/some-pkg' → somePkg, './utils.js' → utils
+    function moduleToName(source) {
+      const segment = source.split('/').filter(Boolean).pop() || '';
+      const words = segment.replace(/\.[cm]?[jt]sx?$/, '').split(/[^a-zA-Z0-9$]+/).filter(Boolean);
+      if (words.length === 0) return null;
+      const name = words[0].charAt(0).toLowerCase() + words[0].slice(1) +
+        words.slice(1).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+      return /^[0-9]/.test(name) ? null : name;
+    }
+
+    // Helper: require('x') / require('x').prop - returns the name it suggests
+    function getRequireName(init) {
+      if (t.isMemberExpression(init) && !init.computed && t.isIdentifier(init.property) &&
+        getRequireName(init.object)) {
+        return init.property.name;
+      }
+      if (t.isCallExpression(init) && t.isIdentifier(init.callee, { name: 'require' }) &&
+        init.arguments.length === 1 && t.isStringLiteral(init.arguments[0])) {
+        return moduleToName(init.arguments[0].value);
+      }
+      return null;
+    }
+
+    // Helper: Number of enclosing for loops, to pick i / j / k
+    function getLoopDepth(path) {
+      let depth = 0;
+      for (let p = path.parentPath; p; p = p.parentPath) {
+        if (p.isFunction()) break;
+        if (p.isForStatement()) depth++;
+      }
+      return depth;
+    }
+
+    /**
+     * Name suggested by how the binding is used, or null
+     */
+    function inferName(binding) {
+      const { path, kind } = binding;
+
+      // for (let x = 0; ...; x++) - the loop must also update it
+      if (path.isVariableDeclarator() && path.parentPath.parentPath.isForStatement() &&
+        path.parentPath.key === 'init') {
+        const loop = path.parentPath.parentPath;
+        const updated = binding.constantViolations.some(v => v.find(p => p.node === loop.node.update));
+        if (updated && t.isIdentifier(path.node.id)) {
+          return LOOP_COUNTER_NAMES[Math.min(getLoopDepth(loop), LOOP_COUNTER_NAMES.length - 1)];
+        }
+      }
+
+      if (path.isVariableDeclarator() && t.isIdentifier(path.node.id)) {
+        const name = getRequireName(path.node.init);
+        if (name) return name;
+      }
+
+      if (path.isCatchClause()) return 'err';
+
+      // el.addEventListener('click', function (e) { ... })
+      if (kind === 'param' && path.key === 0 && path.listKey === 'params') {
+        const fn = path.parentPath;
+        const call = fn.parentPath;
+        if (call.isCallExpression() && fn.listKey === 'arguments' && fn.key === 1 &&
+          t.isMemberExpression(call.node.callee) &&
+          t.isIdentifier(call.node.callee.property, { name: 'addEventListener' })) {
+          return 'event';
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Prefix for the counter name, from what the binding holds
+     */
+    function getTypePrefix(binding) {
+      const { path, kind } = binding;
+      if (kind === 'param') return 'arg';
+      if (path.isFunctionDeclaration() || path.isFunctionExpression()) return 'fn';
+      if (path.isClassDeclaration() || path.isClassExpression()) return 'cls';
+      if (!path.isVariableDeclarator() || !t.isIdentifier(path.node.id)) return 'val';
+
+      const init = path.node.init;
+      if (t.isStringLiteral(init) || t.isTemplateLiteral(init)) return 'str';
+      if (t.isNumericLiteral(init)) return 'num';
+      if (t.isBooleanLiteral(init)) return 'bool';
+      if (t.isArrayExpression(init)) return 'arr';
+      if (t.isObjectExpression(init)) return 'obj';
+      if (t.isRegExpLiteral(init)) return 're';
+      if (t.isFunction(init)) return 'fn';
+      if (t.isClass(init)) return 'cls';
+      return 'val';
+    }
+
+    // Collect scopes whose bindings can be reached by name at runtime
+    traverse(ast, {
+      Program(path) {
+        path.scope.crawl();
+        programScope = path.scope;
+      },
+      CallExpression(path) {
+        if (t.isIdentifier(path.node.callee, { name: 'eval' }) && !path.scope.getBinding('eval')) {
+          dynamicScopes.push(path.scope);
+        }
+      },
+      WithStatement(path) {
+        dynamicScopes.push(path.scope);
+      }
+    });
+
+    // Outer scopes first, so outer loop counters claim i before inner ones
+    traverse(ast, {
+      Scope(path) {
+        for (const [name, binding] of Object.entries(path.scope.bindings)) {
+          // Scope is also visited for the function's inner block - handle each binding once
+          if (binding.scope !== path.scope || !shouldRename(name)) continue;
+
+          if (isInDynamicScope(binding)) {
+            stats.skippedDynamicScope++;
+            continue;
+          }
+
+          const inferred = opts.inferNames ? inferName(binding) : null;
+          if (inferred === name) continue;
+
+          const newName = inferred
+            ? pickName(binding, inferred)
+            : pickCounterName(binding, getTypePrefix(binding));
+
+          path.scope.rename(name, newName);
+          stats.bindingsRenamed++;
+          if (inferred) stats.namesInferred++;
+        }
+      }
+    });
+
+    return { stats: { changes: stats.bindingsRenamed, ...stats } };
+  }
+);
@@ -0,0 +1,282 @@
+/**
+ * Split Sequences Transform
+ *
+ * Turns the comma chains and short-circuit statements minifiers and
+ * obfuscators produce back into one statement per action, keeping the order
+ * everything is evaluated in.
+ *
+ * Example:
+ *   function f(a) {
+ *     var x = (init(), 0);
+ *     a && run(), log(x);
+ *     a ? yes() : no();
+ *     return done(), x;
+ *   }
+ *
+ * Becomes:
+ *   function f(a) {
+ *     init();
+ *     var x = 0;
+ *     if (a) {
+ *       run();
+ *     }
+ *     log(x);
+ *     if (a) {
+ *       yes();
+ *     } else {
+ *       no();
+ *     }
+ *     done();
+ *     return x;
+ *   }
+ */
+
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { createASTTransform } = require('../helpers');
+
+module.exports = createASTTransform(
+  {
+    name: 'SplitSequences',
+    description: 'Splits comma chains into statements and rewrites a && b() / a ? b() : c() statements as if/else',
+    category: 'Simplification',
+    config: {
+      splitStatements: { type: 'boolean', default: true, description: 'Split a(), b(), c(); into separate statements' },
+      splitReturns: { type: 'boolean', default: true, description: 'Split return a(), b; and throw a(), b; into a(); return b;' },
+      splitIfTests: { type: 'boolean', default: true, description: 'Split if (a(), b) into a(); if (b)' },
+      splitForInit: { type: 'boolean', default: true, description: 'Move all but the last for-initializer expression before the loop' },
+      splitDeclarations: { type: 'boolean', default: true, description: 'Split var x = (a(), b) into a(); var x = b;' },
+      logicalToIf: { type: 'boolean', default: true, description: 'Rewrite a && b(); / a || b(); statements as if statements' },
+      ternaryToIf: { type: 'boolean', default: true, description: 'Rewrite a ? b() : c(); statements as if/else' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * Split Sequences Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   Comma chains (only the last value is used, the rest run first):
+     *     a(), b(), c();               → a(); b(); c();
+     *     return a(), b;               → a(); return b;
+     *     throw a(), err;              → a(); throw err;
+     *     if (a(), b) {...}            → a(); if (b) {...}
+     *     for (a(), i = 0; ...)        → a(); for (i = 0; ...)
+     *     var x = (a(), b), y = 1;     → a(); var x = b, y = 1;
+     *
+     *   Short-circuit and conditional statements:
+     *     a && b();                    → if (a) { b(); }
+     *     a || b();                    → if (!a) { b(); }
+     *     a ?? b();                    → if (a == null) { b(); }
+     *     !0 ? a() : b();              → if (!0) { a(); } else { b(); }
+     *     a ? b() : c ? d() : e();     → if (a) {...} else if (c) {...} else {...}
+     *
+     *   Rewritten statements are visited again, so a && (b(), c()) ends up as
+     *   if (a) { b(); c(); }.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Expressions only move in front of the statement that evaluated them
+     *     first, so the evaluation order is unchanged
+     *   - In var x = f(), y = (a(), b) the declaration is split at y, so f()
+     *     still runs before a(); for-loop declarations are only split at the
+     *     first declarator
+     *   - Statements in a position that takes one statement (if (c) a(), b();)
+     *     are wrapped in a block
+     *   - Comments move to the first (leading) and last (trailing) statement,
+     *     so multi-file markers survive
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - splitStatements: true    → a(), b(); → a(); b();
+     *   - splitReturns: true       → return a(), b; → a(); return b;
+     *   - splitIfTests: true       → if (a(), b) → a(); if (b)
+     *   - splitForInit: true       → for (a(), i = 0;;) → a(); for (i = 0;;)
+     *   - splitDeclarations: true  → var x = (a(), b); → a(); var x = b;
+     *   - logicalToIf: true        → a && b(); → if (a) { b(); }
+     *   - ternaryToIf: true        → a ? b() : c(); → if/else
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      splitStatements: config.splitStatements !== false,
+      splitReturns: config.splitReturns !== false,
+      splitIfTests: config.splitIfTests !== false,
+      splitForInit: config.splitForInit !== false,
+      splitDeclarations: config.splitDeclarations !== false,
+      logicalToIf: config.logicalToIf !== false,
+      ternaryToIf: config.ternaryToIf !== false
+    };
+
+    const stats = {
+      sequencesSplit: 0,
+      logicalsToIf: 0,
+      ternariesToIf: 0
+    };
+
+    // Helper: Unwrap parentheses Babel kept (createParenthesizedExpressions)
+    function unwrap(node) {
+      return t.isParenthesizedExpression(node) ? unwrap(node.expression) : node;
+    }
+
+    // Helper: Expressions of a comma chain, or null for anything else
+    function sequenceOf(node) {
+      const inner = unwrap(node);
+      return t.isSequenceExpression(inner) ? inner.expressions : null;
+    }
+
+    // Helper: Replace a statement with several, keeping its comments
+    function replaceWithStatements(path, statements) {
+      const { node } = path;
+      t.inheritLeadingComments(statements[0], node);
+      t.inheritTrailingComments(statements[statements.length - 1], node);
+      node.leadingComments = node.trailingComments = null;
+
+      if (Array.isArray(path.container)) {
+        path.replaceWithMultiple(statements);
+      } else {
+        // if (c) a(), b();  - the slot takes a single statement
+        path.replaceWith(t.blockStatement(statements));
+      }
+    }
+
+    // Helper: Statement block for an expression (b() → { b(); })
+    function blockOf(expression) {
+      return t.blockStatement([t.expressionStatement(expression)]);
+    }
+
+    // Helper: Negate a test without stacking ! on !
+    function negate(node) {
+      const inner = unwrap(node);
+      return t.isUnaryExpression(inner, { operator: '!' }) ? inner.argument : t.unaryExpression('!', inner);
+    }
+
+    // Helper: a ? b() : c ? d() : e() → if/else-if chain
+    function conditionalToIf(node) {
+      const alternate = unwrap(node.alternate);
+      return t.ifStatement(
+        node.test,
+        blockOf(node.consequent),
+        t.isConditionalExpression(alternate) ? conditionalToIf(alternate) : blockOf(alternate)
+      );
+    }
+
+    // Helper: The expressions before the last one, as statements
+    function leadingStatements(expressions) {
+      return expressions.slice(0, -1).map(expression => t.expressionStatement(expression));
+    }
+
+    traverse(ast, {
+      ExpressionStatement(path) {
+        const expression = unwrap(path.node.expression);
+
+        if (opts.splitStatements && t.isSequenceExpression(expression)) {
+          replaceWithStatements(path, expression.expressions.map(e => t.expressionStatement(e)));
+          stats.sequencesSplit++;
+          return;
+        }
+
+        if (opts.logicalToIf && t.isLogicalExpression(expression)) {
+          const test = expression.operator === '&&' ? expression.left
+            : expression.operator === '||' ? negate(expression.left)
+            : t.binaryExpression('==', expression.left, t.nullLiteral());
+          replaceWithStatements(path, [t.ifStatement(test, blockOf(expression.right))]);
+          stats.logicalsToIf++;
+          return;
+        }
+
+        if (opts.ternaryToIf && t.isConditionalExpression(expression)) {
+          replaceWithStatements(path, [conditionalToIf(expression)]);
+          stats.ternariesToIf++;
+        }
+      },
+
+      'ReturnStatement|ThrowStatement'(path) {
+        if (!opts.splitReturns) return;
+        const expressions = sequenceOf(path.node.argument);
+        if (!expressions) return;
+
+        const last = path.isReturnStatement()
+          ? t.returnStatement(expressions[expressions.length - 1])
+          : t.throwStatement(expressions[expressions.length - 1]);
+        replaceWithStatements(path, [...leadingStatements(expressions), last]);
+        stats.sequencesSplit++;
+      },
+
+      IfStatement(path) {
+        if (!opts.splitIfTests) return;
+        const expressions = sequenceOf(path.node.test);
+        if (!expressions) return;
+
+        // else if (a(), b) becomes else { a(); if (b) ... } - it only runs
+        // when the outer test fails
+        path.node.test = expressions[expressions.length - 1];
+        replaceWithStatements(path, [...leadingStatements(expressions), path.node]);
+        stats.sequencesSplit++;
+      },
+
+      ForStatement(path) {
+        if (!opts.splitForInit) return;
+        // A block between label and loop would break continue label
+        if (path.parentPath.isLabeledStatement()) return;
+        const { init } = path.node;
+
+        const expressions = sequenceOf(init);
+        if (expressions) {
+          path.node.init = expressions[expressions.length - 1];
+          replaceWithStatements(path, [...leadingStatements(expressions), path.node]);
+          stats.sequencesSplit++;
+          return;
+        }
+
+        // for (var i = (a(), 0), n = 5;;) - only the first initializer runs
+        // before everything else in the loop head
+        const first = t.isVariableDeclaration(init) && init.declarations[0];
+        const firstInit = first && sequenceOf(first.init);
+        if (opts.splitDeclarations && firstInit) {
+          first.init = firstInit[firstInit.length - 1];
+          replaceWithStatements(path, [...leadingStatements(firstInit), path.node]);
+          stats.sequencesSplit++;
+        }
+      },
+
+      VariableDeclaration(path) {
+        if (!opts.splitDeclarations) return;
+        // Loop heads are handled by ForStatement; export var can't be split
+        if (!path.parentPath.isBlockStatement() && !path.parentPath.isProgram() && !path.parentPath.isSwitchCase()) return;
+
+        const { kind, declarations } = path.node;
+        if (!declarations.some(d => sequenceOf(d.init))) return;
+
+        // Split the declaration before each declarator whose initializer is
+        // a chain, with the chain's leading expressions in between
+        const statements = [];
+        let current = [];
+        for (const declarator of declarations) {
+          const expressions = sequenceOf(declarator.init);
+          if (expressions) {
+            if (current.length > 0) statements.push(t.variableDeclaration(kind, current));
+            statements.push(...leadingStatements(expressions));
+            declarator.init = expressions[expressions.length - 1];
+            current = [];
+            stats.sequencesSplit++;
+          }
+          current.push(declarator);
+        }
+        statements.push(t.variableDeclaration(kind, current));
+        replaceWithStatements(path, statements);
+      }
+    });
+
+    return {
+      stats: {
+        changes: stats.sequencesSplit + stats.logicalsToIf + stats.ternariesToIf,
+        ...stats
+      }
+    };
+  }
+);
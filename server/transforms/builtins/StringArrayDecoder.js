@@ -0,0 +1,411 @@
+/**
+ * String Array Decoder Transform
+ *
+ * Resolves javascript-obfuscator (obfuscator.io) string arrays: a function or
+ * variable holding the strings, a rotation IIFE that shifts the array until a
+ * checksum matches, and a decoder function (index offset, optional base64/RC4)
+ * called as _0x1a2b(0x1f3, 'key').
+ *
+ * Example:
+ *   function _0x4f2a() { const a = ['log', 'Hello']; _0x4f2a = function () { return a; }; return _0x4f2a(); }
+ *   (function (arr, checksum) { ... arr.push(arr.shift()) ... })(_0x4f2a, 0x3a2b1);
+ *   function _0x1c3d(i, k) { ... }
+ *   console[_0x1c3d(0x1e0)](_0x1c3d(0x1e1));
+ *
+ * Becomes:
+ *   console["log"]("Hello");
+ */
+
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+const { createASTTransform } = require('../helpers');
+const sandbox = require('../sandbox');
+
+module.exports = createASTTransform(
+  {
+    name: 'StringArrayDecoder',
+    description: 'Resolves obfuscator.io string array decoder calls by evaluating the array, rotation and decoder in the sandbox',
+    category: 'Deobfuscation',
+    config: {
+      removeHelpers: { type: 'boolean', default: true, description: 'Remove the array, rotation IIFE, decoder and wrappers once every call is resolved' },
+      minArraySize: { type: 'number', default: 1, description: 'Minimum number of strings in the array' },
+      timeoutMs: { type: 'number', default: 10000, description: 'Sandbox time budget for evaluating the helpers' }
+    }
+  },
+  async (ast, config = {}) => {
+    /**
+     * String Array Decoder Transform
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * WHAT IT DOES:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   1. Finds string arrays: a zero-argument function that returns an array of
+     *      string literals (current obfuscator.io), or a var holding one (older
+     *      versions).
+     *   2. Classifies every other statement that touches the array:
+     *        - rotation IIFE:  (function (arr, n) { ... })(_0x4f2a, 0x3a2b1)
+     *        - decoder:        function _0x1c3d(index, key) { ... }
+     *      Any other use means it is not a string array helper and it is skipped.
+     *   3. Follows the decoder through aliases (const _0x5a6b = _0x1c3d) and
+     *      wrapper functions (function w(a, b) { return _0x1c3d(a - 0x12, b); }).
+     *   4. Evaluates the array, rotation and decoder in the sandbox and calls the
+     *      decoder for every call site whose arguments are constant.
+     *   5. Replaces each call with the resolved literal and, once every call is
+     *      gone, removes the helpers, wrappers and aliases.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * SAFETY:
+     * ═══════════════════════════════════════════════════════════════════════════════
+     *
+     *   - Helpers may only reference each other and globals; anything depending
+     *     on program state is left alone.
+     *   - The helpers run in an isolated sandbox with a time limit, so anti-tamper
+     *     code that loops forever only costs the timeout. Helpers that fail to
+     *     evaluate leave their calls as they are (evaluationsFailed, and a
+     *     warning in the step's log).
+     *   - Calls inside the helpers themselves are never rewritten.
+     *
+     * ═══════════════════════════════════════════════════════════════════════════════
+     * CONFIG OPTIONS:
+     *   - removeHelpers: true  → Remove helper code once every call is resolved
+     *   - minArraySize: 1      → Minimum number of strings in the array
+     *   - timeoutMs: 10000     → Sandbox time budget for evaluating the helpers
+     * ═══════════════════════════════════════════════════════════════════════════════
+     */
+
+    const opts = {
+      removeHelpers: config.removeHelpers !== false,
+      minArraySize: config.minArraySize || 1,
+      timeoutMs: config.timeoutMs || 10000
+    };
+
+    const stats = {
+      stringArraysFound: 0,
+      decodersFound: 0,
+      wrappersFound: 0,
+      aliasesFound: 0,
+      callsResolved: 0,
+      callsFailed: 0,
+      evaluationsFailed: 0,
+      helpersRemoved: 0
+    };
+    const logs = [];
+
+    // Helper: Array literal made only of strings
+    function isStringArray(node) {
+      return t.isArrayExpression(node) &&
+        node.elements.length >= opts.minArraySize &&
+        node.elements.every(el => t.isStringLiteral(el));
+    }
+
+    // Helper: Statement directly inside a Program or block body
+    function isListStatement(path) {
+      return path.parentPath.isProgram() || path.parentPath.isBlockStatement();
+    }
+
+    // Helper: Function declared by a statement - function f() {} or var f = function () {}
+    function getDeclaredFunction(stmt) {
+      if (stmt.isFunctionDeclaration() && stmt.node.id) {
+        return { name: stmt.node.id.name, params: stmt.node.params };
+      }
+      if (stmt.isVariableDeclaration() && stmt.node.declarations.length === 1) {
+        const decl = stmt.node.declarations[0];
+        if (t.isIdentifier(decl.id) && t.isFunctionExpression(decl.init)) {
+          return { name: decl.id.name, params: decl.init.params };
+        }
+      }
+      return null;
+    }
+
+    // Helper: (function (arr, n) { ... })(array, 0x1234), also behind ! or in a sequence
+    function isRotationStatement(stmt, arrayName) {
+      if (!stmt.isExpressionStatement()) return false;
+      let expr = stmt.node.expression;
+      if (t.isUnaryExpression(expr)) expr = expr.argument;
+      const calls = t.isSequenceExpression(expr) ? expr.expressions : [expr];
+      return calls.some(call =>
+        t.isCallExpression(call) &&
+        (t.isFunctionExpression(call.callee) || t.isArrowFunctionExpression(call.callee)) &&
+        call.arguments.some(arg => t.isIdentifier(arg, { name: arrayName }))
+      );
+    }
+
+    // Helper: Is the path inside one of the given nodes
+    function isInside(path, nodes) {
+      return !!path.findParent(p => nodes.has(p.node));
+    }
+
+    // Helper: Wrapper argument built only from parameters and literals
+    function isWrapperArg(node, params) {
+      if (t.isIdentifier(node)) return params.has(node.name);
+      if (t.isNumericLiteral(node) || t.isStringLiteral(node)) return true;
+      if (t.isUnaryExpression(node)) return isWrapperArg(node.argument, params);
+      if (t.isBinaryExpression(node)) {
+        return isWrapperArg(node.left, params) && isWrapperArg(node.right, params);
+      }
+      return false;
+    }
+
+    // Helper: Call that is the whole body of a wrapper function
+    //   function w(a, b) { return decoder(a - 0x12, b); }
+    //   var w = function (a, b) { return decoder(a - 0x12, b); };
+    function getWrapper(callPath) {
+      const returnPath = callPath.parentPath;
+      if (!returnPath.isReturnStatement()) return null;
+      const bodyPath = returnPath.parentPath;
+      if (!bodyPath.isBlockStatement() || bodyPath.node.body.length !== 1) return null;
+
+      const fnPath = bodyPath.parentPath;
+      if (!fnPath.isFunctionDeclaration() && !fnPath.isFunctionExpression()) return null;
+      if (!fnPath.node.params.every(p => t.isIdentifier(p))) return null;
+
+      const params = new Set(fnPath.node.params.map(p => p.name));
+      if (!callPath.node.arguments.every(arg => isWrapperArg(arg, params))) return null;
+
+      let binding = null;
+      let removable = null;
+      if (fnPath.isFunctionDeclaration() && fnPath.node.id) {
+        binding = fnPath.parentPath.scope.getBinding(fnPath.node.id.name);
+        removable = fnPath;
+      } else if (fnPath.parentPath.isVariableDeclarator() && t.isIdentifier(fnPath.parent.id)) {
+        binding = fnPath.parentPath.scope.getBinding(fnPath.parent.id.name);
+        removable = fnPath.parentPath;
+      }
+      if (!binding || !binding.constant) return null;
+
+      return { node: fnPath.node, binding, removable };
+    }
+
+    // Helper: Sandbox copy of a wrapper, calling its target by sandbox name
+    function buildWrapperSource(fnNode, name, calleeName) {
+      const call = fnNode.body.body[0].argument;
+      const fn = t.functionDeclaration(
+        t.identifier(name),
+        fnNode.params.map(p => t.cloneNode(p)),
+        t.blockStatement([
+          t.returnStatement(t.callExpression(t.identifier(calleeName), call.arguments.map(a => t.cloneNode(a))))
+        ])
+      );
+      return generate(fn).code;
+    }
+
+    // Helper: Primitive that survives the JSON round-trip to the sandbox
+    function isTransferable(value) {
+      return typeof value === 'string' || value === null || typeof value === 'boolean' ||
+        (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    /**
+     * Work out the helpers around a string array candidate
+     * Returns null when the array is used by anything but its helpers
+     */
+    function analyzeCandidate(candidate) {
+      const { name, statement } = candidate;
+      const container = statement.parentPath;
+      const binding = container.scope.getBinding(name);
+      if (!binding) return null;
+
+      const topStatement = (path) => path.findParent(p => p.parentPath === container);
+
+      // The array function reassigns itself; nothing else may
+      if (!binding.constantViolations.every(p => topStatement(p) === statement)) {
+        return null;
+      }
+
+      const rotations = new Set();
+      const decoders = new Map();
+      for (const ref of binding.referencePaths) {
+        const stmt = topStatement(ref);
+        if (!stmt) return null;
+        if (stmt === statement) continue;
+
+        if (isRotationStatement(stmt, name)) {
+          rotations.add(stmt);
+          continue;
+        }
+
+        const fn = getDeclaredFunction(stmt);
+        if (fn && fn.params.length > 0) {
+          const decoderBinding = container.scope.getBinding(fn.name);
+          if (!decoderBinding) return null;
+          decoders.set(stmt, { name: fn.name, binding: decoderBinding, statement: stmt });
+          continue;
+        }
+
+        // Used by regular code - not an obfuscator string array
+        return null;
+      }
+
+      if (decoders.size === 0) return null;
+
+      const helperStatements = [statement, ...rotations, ...decoders.keys()];
+      const helperNodes = new Set(helperStatements.map(p => p.node));
+
+      // Helpers must be self-contained: no bindings from the rest of the program
+      let selfContained = true;
+      for (const stmt of helperStatements) {
+        stmt.traverse({
+          ReferencedIdentifier(path) {
+            const refBinding = path.scope.getBinding(path.node.name);
+            if (refBinding && !isInside(refBinding.path, helperNodes) && !helperNodes.has(refBinding.path.node)) {
+              selfContained = false;
+              path.stop();
+            }
+          }
+        });
+        if (!selfContained) return null;
+      }
+
+      return { helperStatements, helperNodes, rotations: [...rotations], decoders: [...decoders.values()] };
+    }
+
+    /**
+     * Collect decoder call sites, following aliases and wrappers
+     */
+    function collectCallSites(helpers) {
+      const sites = [];
+      const wrapperSources = [];
+      const removable = [];
+      let unresolved = false;
+
+      const queue = helpers.decoders.map(d => ({ binding: d.binding, sandboxName: d.name }));
+      while (queue.length > 0) {
+        const { binding, sandboxName } = queue.shift();
+
+        for (const ref of binding.referencePaths) {
+          if (isInside(ref, helpers.helperNodes)) continue;
+          const parent = ref.parentPath;
+
+          // const _0x5a6b = _0x1c3d;
+          if (parent.isVariableDeclarator() && parent.node.init === ref.node && t.isIdentifier(parent.node.id)) {
+            const aliasBinding = parent.scope.getBinding(parent.node.id.name);
+            if (aliasBinding && aliasBinding.constant) {
+              stats.aliasesFound++;
+              removable.push(parent);
+              queue.push({ binding: aliasBinding, sandboxName });
+              continue;
+            }
+          }
+
+          if (parent.isCallExpression() && parent.node.callee === ref.node) {
+            const wrapper = getWrapper(parent);
+            if (wrapper) {
+              const wrapperName = `__jsdeob_wrapper${wrapperSources.length}`;
+              stats.wrappersFound++;
+              wrapperSources.push(buildWrapperSource(wrapper.node, wrapperName, sandboxName));
+              removable.push(wrapper.removable);
+              queue.push({ binding: wrapper.binding, sandboxName: wrapperName });
+              continue;
+            }
+
+            const args = parent.get('arguments').map(arg => arg.evaluate());
+            if (args.every(arg => arg.confident && isTransferable(arg.value))) {
+              sites.push({ path: parent, callee: sandboxName, args: args.map(arg => arg.value) });
+            } else {
+              stats.callsFailed++;
+              unresolved = true;
+            }
+            continue;
+          }
+
+          // Passed around or used in some other way
+          unresolved = true;
+        }
+      }
+
+      return { sites, wrapperSources, removable, unresolved };
+    }
+
+    // First pass: Find string array candidates
+    const candidates = [];
+    traverse(ast, {
+      FunctionDeclaration(path) {
+        const { id, params, body } = path.node;
+        if (!id || params.length > 0 || !isListStatement(path)) return;
+        const holdsArray = body.body.some(stmt =>
+          t.isVariableDeclaration(stmt) && stmt.declarations.some(d => isStringArray(d.init))
+        );
+        if (holdsArray) {
+          candidates.push({ name: id.name, statement: path });
+        }
+      },
+      VariableDeclaration(path) {
+        const { declarations } = path.node;
+        if (declarations.length !== 1 || !isListStatement(path)) return;
+        if (t.isIdentifier(declarations[0].id) && isStringArray(declarations[0].init)) {
+          candidates.push({ name: declarations[0].id.name, statement: path });
+        }
+      }
+    });
+
+    // Second pass: Evaluate each string array and resolve its calls
+    for (const candidate of candidates) {
+      if (candidate.statement.removed) continue;
+
+      const helpers = analyzeCandidate(candidate);
+      if (!helpers) continue;
+
+      stats.stringArraysFound++;
+      stats.decodersFound += helpers.decoders.length;
+
+      const { sites, wrapperSources, removable, unresolved } = collectCallSites(helpers);
+      if (sites.length === 0) continue;
+
+      // Helpers in source order, then the wrapper copies. Compact output, since
+      // self-defending code checks its own toString() for reformatting
+      const setupCode = helpers.helperStatements
+        .slice()
+        .sort((a, b) => a.node.start - b.node.start)
+        .map(stmt => generate(stmt.node, { compact: true }).code)
+        .concat(wrapperSources)
+        .join('\n');
+
+      let results;
+      try {
+        results = await sandbox.evaluateInSandbox(
+          setupCode,
+          sites.map(site => ({ callee: site.callee, args: site.args })),
+          { timeoutMs: opts.timeoutMs }
+        );
+      } catch (err) {
+        // Skip this array; the rest of the program (and chain) still runs
+        stats.evaluationsFailed++;
+        stats.callsFailed += sites.length;
+        logs.push({ type: 'warn', args: [`String array helpers for ${candidate.name} failed to evaluate: ${err.message}`] });
+        continue;
+      }
+
+      let allResolved = !unresolved;
+      sites.forEach((site, i) => {
+        const result = results[i];
+        if (result && !result.error && isTransferable(result.value)) {
+          site.path.replaceWith(t.valueToNode(result.value));
+          stats.callsResolved++;
+        } else {
+          stats.callsFailed++;
+          allResolved = false;
+        }
+      });
+
+      // Third step: Remove helpers once nothing calls them
+      if (opts.removeHelpers && allResolved) {
+        for (const path of [...removable, ...helpers.helperStatements]) {
+          if (!path.removed) {
+            path.remove();
+            stats.helpersRemoved++;
+          }
+        }
+      }
+    }
+
+    return {
+      stats: {
+        changes: stats.callsResolved + stats.helpersRemoved,
+        ...stats
+      },
+      logs
+    };
+  }
+);
@@ -0,0 +1,457 @@
+/**
+ * Bundle Unpacking - Splits webpack, Browserify and Rollup bundles into modules
+ *
+ * Bundlers wrap each module in a factory function and ship a small runtime
+ * that calls them by id. The runtime is recognized by its require function -
+ * a function of one id that calls modules[id] - which leads to the module
+ * map, whatever the minifier named things. Each factory becomes a virtual
+ * file with its id and dependency edges; webpack's numeric require calls are
+ * rewritten to imports of those files.
+ *
+ * Rollup scope-hoists its modules, so an IIFE bundle has no boundaries left
+ * to split: it comes back as one module whose parameters are its externals.
+ */
+
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+const { PARSE_OPTIONS } = require('./helpers');
+
+// Parameter names of module factories, by bundler
+const FACTORY_PARAMS = {
+  webpack: ['module', 'exports', '__webpack_require__'],
+  browserify: ['require', 'module', 'exports']
+};
+
+/**
+ * Unwrap parentheses and sequence-free wrappers around an expression
+ */
+function unwrap(node) {
+  while (node && (t.isParenthesizedExpression(node) || (t.isUnaryExpression(node) && node.operator === '!'))) {
+    node = node.expression || node.argument;
+  }
+  return node;
+}
+
+/**
+ * Module factory: a function taking at most the three runtime arguments
+ */
+function isFactory(node) {
+  return (t.isFunctionExpression(node) || t.isArrowFunctionExpression(node)) && node.params.length <= 3;
+}
+
+/**
+ * Read a module map (object or array of factories) into [{ id, factory }]
+ * Returns null unless every entry is a factory
+ */
+function readModuleMap(node) {
+  node = unwrap(node);
+  const modules = [];
+
+  if (t.isArrayExpression(node)) {
+    node.elements.forEach((element, index) => {
+      if (element) modules.push({ id: index, factory: element });
+    });
+  } else if (t.isObjectExpression(node)) {
+    for (const prop of node.properties) {
+      if (!t.isObjectProperty(prop) && !t.isObjectMethod(prop)) return null;
+      const key = prop.key;
+      let id;
+      if (t.isNumericLiteral(key)) id = key.value;
+      else if (t.isStringLiteral(key)) id = key.value;
+      else if (t.isIdentifier(key) && !prop.computed) id = key.name;
+      else return null;
+      // Object method shorthand: { 12(e, t, n) {...} }
+      modules.push({ id, factory: t.isObjectMethod(prop) ? t.functionExpression(null, prop.params, prop.body) : prop.value });
+    }
+  } else {
+    return null;
+  }
+
+  if (modules.length === 0 || !modules.every(m => isFactory(m.factory))) return null;
+  return modules;
+}
+
+/**
+ * Literal module id (number or string), or undefined
+ */
+function literalId(node) {
+  node = unwrap(node);
+  if (t.isNumericLiteral(node) || t.isStringLiteral(node)) return node.value;
+  // Entry calls: __webpack_require__(__webpack_require__.s = 5)
+  if (t.isAssignmentExpression(node)) return literalId(node.right);
+  return undefined;
+}
+
+/**
+ * Find the expression a modules identifier refers to: the argument of the
+ * IIFE it is a parameter of, or the initializer of its variable
+ */
+function resolveModuleMap(path, name) {
+  const binding = path.scope.getBinding(name);
+  if (!binding) return null;
+
+  if (binding.kind === 'param') {
+    const fn = binding.path.parentPath;
+    const index = fn.node.params.indexOf(binding.path.node);
+    const call = fn.parentPath;
+    if (index >= 0 && call.isCallExpression() && call.node.callee === fn.node) {
+      return call.node.arguments[index] || null;
+    }
+    return null;
+  }
+
+  if (binding.path.isVariableDeclarator()) {
+    return binding.path.node.init;
+  }
+  return null;
+}
+
+/**
+ * Find a webpack runtime: a function f(id) calling modules[id](...) or
+ * modules[id].call(...)
+ * @returns {Object|null} { format, modules, entry }
+ */
+function findWebpackRuntime(ast) {
+  let found = null;
+
+  traverse(ast, {
+    Function(path) {
+      if (found) return path.stop();
+      const { node } = path;
+      if (node.params.length !== 1 || !t.isIdentifier(node.params[0])) return;
+      const idName = node.params[0].name;
+
+      let mapName = null;
+      path.traverse({
+        Function(inner) {
+          inner.skip();
+        },
+        CallExpression(callPath) {
+          let callee = callPath.node.callee;
+          if (t.isMemberExpression(callee) && !callee.computed && t.isIdentifier(callee.property, { name: 'call' })) {
+            callee = callee.object;
+          }
+          if (t.isMemberExpression(callee) && callee.computed &&
+            t.isIdentifier(callee.object) && t.isIdentifier(callee.property, { name: idName })) {
+            mapName = callee.object.name;
+            callPath.stop();
+          }
+        }
+      });
+      if (!mapName) return;
+
+      const mapNode = resolveModuleMap(path, mapName);
+      const modules = mapNode && readModuleMap(mapNode);
+      if (!modules) return;
+
+      // The require function's name, for finding entry calls
+      let requireName = node.id ? node.id.name : null;
+      if (!requireName && path.parentPath.isVariableDeclarator() && t.isIdentifier(path.parent.id)) {
+        requireName = path.parent.id.name;
+      }
+
+      found = { modules, requireName };
+      path.stop();
+    }
+  });
+
+  if (!found) return null;
+
+  // Entry modules: calls to the require function outside the module factories
+  const entry = [];
+  const factories = new Set(found.modules.map(m => m.factory));
+  if (found.requireName) {
+    traverse(ast, {
+      Function(path) {
+        if (factories.has(path.node)) path.skip();
+      },
+      CallExpression(path) {
+        if (!t.isIdentifier(path.node.callee, { name: found.requireName }) || path.node.arguments.length !== 1) return;
+        const id = literalId(path.node.arguments[0]);
+        if (id !== undefined && !entry.includes(id)) entry.push(id);
+      }
+    });
+  }
+
+  return { format: 'webpack', modules: found.modules, entry };
+}
+
+/**
+ * Find webpack JSONP chunks: (self.webpackChunk = ... || []).push([[ids], modules])
+ */
+function findWebpackChunks(ast) {
+  const modules = [];
+  const chunkIds = [];
+
+  traverse(ast, {
+    CallExpression(path) {
+      const { callee, arguments: args } = path.node;
+      if (!t.isMemberExpression(callee) || !t.isIdentifier(callee.property, { name: 'push' }) || args.length !== 1) return;
+      const payload = unwrap(args[0]);
+      if (!t.isArrayExpression(payload) || payload.elements.length < 2 || !t.isArrayExpression(payload.elements[0])) return;
+      if (!/webpackJsonp|webpackChunk/.test(generate(callee.object).code)) return;
+
+      const chunkModules = readModuleMap(payload.elements[1]);
+      if (!chunkModules) return;
+      for (const element of payload.elements[0].elements) {
+        const id = literalId(element);
+        if (id !== undefined) chunkIds.push(id);
+      }
+      modules.push(...chunkModules);
+      path.skip();
+    }
+  });
+
+  return modules.length > 0 ? { format: 'webpack-jsonp', modules, entry: [], chunkIds } : null;
+}
+
+/**
+ * Find a Browserify bundle: prelude({ id: [factory, { name: id }] }, cache, [entries])
+ */
+function findBrowserify(ast) {
+  let found = null;
+
+  traverse(ast, {
+    CallExpression(path) {
+      const args = path.node.arguments;
+      if (args.length !== 3 || !t.isObjectExpression(args[0]) || !t.isArrayExpression(args[2])) return;
+
+      const modules = [];
+      for (const prop of args[0].properties) {
+        const value = t.isObjectProperty(prop) && unwrap(prop.value);
+        const id = value && literalId(prop.key);
+        if (!t.isArrayExpression(value) || value.elements.length !== 2 ||
+          !isFactory(value.elements[0]) || !t.isObjectExpression(value.elements[1]) || id === undefined) return;
+
+        const requiredAs = {};
+        for (const dep of value.elements[1].properties) {
+          const name = t.isObjectProperty(dep) && literalId(dep.key);
+          const target = t.isObjectProperty(dep) && literalId(dep.value);
+          if (name !== undefined && target !== undefined) requiredAs[name] = target;
+        }
+        modules.push({ id, factory: value.elements[0], requiredAs });
+      }
+      if (modules.length === 0) return;
+
+      const entry = args[2].elements.map(literalId).filter(id => id !== undefined);
+      found = { format: 'browserify', modules, entry };
+      path.stop();
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Find a Rollup IIFE bundle: a top-level 'use strict' IIFE whose parameters
+ * are its exports object and externals
+ */
+function findRollup(ast) {
+  for (const statement of ast.program.body) {
+    let call = null;
+    if (t.isExpressionStatement(statement)) {
+      call = unwrap(statement.expression);
+    } else if (t.isVariableDeclaration(statement) && statement.declarations.length === 1) {
+      call = unwrap(statement.declarations[0].init);
+    }
+    if (t.isAssignmentExpression(call)) call = unwrap(call.right);
+    if (!t.isCallExpression(call)) continue;
+
+    const fn = unwrap(call.callee);
+    if (!t.isFunctionExpression(fn) && !t.isArrowFunctionExpression(fn)) continue;
+    if (!t.isBlockStatement(fn.body) || !fn.body.directives.some(d => d.value.value === 'use strict')) continue;
+
+    return {
+      format: 'rollup',
+      modules: [{ id: 'main', factory: fn, externals: fn.params.map((param, i) => ({ param, arg: call.arguments[i] })) }],
+      entry: ['main']
+    };
+  }
+  return null;
+}
+
+/**
+ * Virtual file name for a module id
+ */
+function fileNameFor(id) {
+  if (typeof id === 'string' && /[./]/.test(id)) {
+    const name = id.replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+    return /\.[cm]?[jt]sx?$/.test(name) ? name : `${name}.js`;
+  }
+  return `module_${id}.js`;
+}
+
+/**
+ * Import specifier for one virtual file from another
+ */
+function relativeSpecifier(fromFile, toFile) {
+  const relative = path.posix.relative(path.posix.dirname(fromFile), toFile);
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Collect every identifier name used in a node
+ */
+function collectNames(node) {
+  const names = new Set();
+  t.traverseFast(node, child => {
+    if (t.isIdentifier(child)) names.add(child.name);
+  });
+  return names;
+}
+
+/**
+ * Build a module's source from its factory
+ * Parameters get the bundler's names when nothing in the module already
+ * uses them; webpack require calls with a known id become imports
+ */
+function buildModuleCode(module, format, fileNames) {
+  const factory = t.cloneNode(module.factory, true);
+  const canonical = FACTORY_PARAMS[format === 'browserify' ? 'browserify' : 'webpack'];
+  const body = t.isBlockStatement(factory.body)
+    ? factory.body
+    : t.blockStatement([t.expressionStatement(factory.body)]);
+
+  // Rollup: externals become imports, anything else (the exports object) a
+  // plain declaration; the closing `return exports` has nowhere to go
+  const prologue = [];
+  let statements = body.body;
+  if (format === 'rollup') {
+    const declarations = [];
+    for (const { param, arg } of module.externals) {
+      if (!t.isIdentifier(param)) continue;
+      if (arg && (t.isIdentifier(arg) || t.isMemberExpression(arg))) {
+        prologue.push(t.importDeclaration([t.importNamespaceSpecifier(t.identifier(param.name))], t.stringLiteral(generate(arg).code)));
+      } else {
+        declarations.push(t.variableDeclaration('var', [t.variableDeclarator(t.identifier(param.name), arg || null)]));
+      }
+    }
+    prologue.push(...declarations);
+
+    const last = statements[statements.length - 1];
+    if (t.isReturnStatement(last) && t.isIdentifier(last.argument) &&
+      module.externals.some(({ param }) => t.isIdentifier(param, { name: last.argument.name }))) {
+      statements = statements.slice(0, -1);
+    }
+  }
+
+  const file = t.file(t.program([...prologue, ...statements], body.directives));
+  const dependencies = [];
+  const addDependency = (id) => {
+    if (id !== undefined && !dependencies.includes(id)) dependencies.push(id);
+  };
+
+  let requireName = null;
+
+  // Parameters aren't declared in the module's program, so their references
+  // are the identifiers with that name that don't resolve to a local binding
+  const renames = {};
+  if (format !== 'rollup') {
+    const used = collectNames(factory.body);
+    factory.params.forEach((param, i) => {
+      if (t.isIdentifier(param) && param.name !== canonical[i] && !used.has(canonical[i])) {
+        renames[param.name] = canonical[i];
+      }
+    });
+    const paramNames = factory.params.map((param, i) => t.isIdentifier(param) ? (renames[param.name] || param.name) : null);
+    requireName = format === 'browserify' ? paramNames[0] : paramNames[2];
+
+    traverse(file, {
+      Identifier(path) {
+        const newName = renames[path.node.name];
+        if (!newName || path.scope.hasBinding(path.node.name)) return;
+        if (path.parentPath.isMemberExpression({ property: path.node }) && !path.parent.computed) return;
+        if (path.parentPath.isObjectProperty({ key: path.node }) && !path.parent.computed) return;
+        if (path.parentPath.isObjectProperty({ value: path.node })) path.parent.shorthand = false;
+        path.node.name = newName;
+      }
+    });
+  }
+
+  if (format === 'browserify') {
+    for (const target of Object.values(module.requiredAs || {})) addDependency(target);
+  } else if (format === 'rollup') {
+    for (const { param, arg } of module.externals) {
+      if (t.isIdentifier(param) && arg && (t.isIdentifier(arg) || t.isMemberExpression(arg))) addDependency(generate(arg).code);
+    }
+  } else if (requireName) {
+    const imports = [];
+    traverse(file, {
+      CallExpression(path) {
+        const { callee, arguments: args } = path.node;
+        if (!t.isIdentifier(callee, { name: requireName }) || args.length !== 1 || path.scope.hasBinding(requireName)) return;
+        const id = literalId(args[0]);
+        if (id === undefined || !fileNames.has(id)) return;
+        addDependency(id);
+
+        // const x = __webpack_require__(12) at the top level, never reassigned
+        const declarator = path.parentPath;
+        const declaration = declarator.parentPath;
+        if (declarator.isVariableDeclarator({ init: path.node }) && t.isIdentifier(declarator.node.id) &&
+          declaration.parentPath.isProgram()) {
+          const name = declarator.node.id.name;
+          const binding = path.scope.getBinding(name);
+          if (binding && binding.constantViolations.length === 0) {
+            // Only ever read as x.prop: the exports namespace; otherwise module.exports itself
+            const asNamespace = binding.referencePaths.every(ref => ref.parentPath.isMemberExpression({ object: ref.node }));
+            const specifier = asNamespace
+              ? t.importNamespaceSpecifier(t.identifier(name))
+              : t.importDefaultSpecifier(t.identifier(name));
+            imports.push(t.importDeclaration([specifier], t.stringLiteral(relativeSpecifier(fileNames.get(module.id), fileNames.get(id)))));
+            declarator.remove();
+            return;
+          }
+        }
+        t.addComment(path.node, 'trailing', ` ${fileNames.get(id)} `, false);
+      }
+    });
+    file.program.body.unshift(...imports);
+  }
+
+  return {
+    code: generate(file, { comments: true, compact: false }).code,
+    dependencies
+  };
+}
+
+/**
+ * Split a bundle into one virtual file per module
+ * @param {string} code - Bundle source
+ * @returns {Object|null} { format, entry, chunkIds, modules: [{ id, fileName, code, dependencies, dependents }] }
+ *   or null when no supported bundle runtime is found
+ */
+function unpackBundle(code) {
+  const ast = parser.parse(code, PARSE_OPTIONS);
+  const bundle = findWebpackRuntime(ast) || findWebpackChunks(ast) || findBrowserify(ast) || findRollup(ast);
+  if (!bundle) return null;
+
+  const fileNames = new Map(bundle.modules.map(m => [m.id, fileNameFor(m.id)]));
+  const modules = bundle.modules.map(module => {
+    const { code: moduleCode, dependencies } = buildModuleCode(module, bundle.format, fileNames);
+    const result = { id: module.id, fileName: fileNames.get(module.id), code: moduleCode, dependencies, dependents: [] };
+    if (module.requiredAs) result.requiredAs = Object.keys(module.requiredAs);
+    return result;
+  });
+
+  const byId = new Map(modules.map(m => [m.id, m]));
+  for (const module of modules) {
+    for (const id of module.dependencies) {
+      const target = byId.get(id);
+      if (target && !target.dependents.includes(module.id)) target.dependents.push(module.id);
+    }
+  }
+
+  return {
+    format: bundle.format,
+    entry: bundle.entry,
+    chunkIds: bundle.chunkIds || [],
+    modules
+  };
+}
+
+module.exports = {
+  unpackBundle
+};
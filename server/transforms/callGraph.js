@@ -0,0 +1,524 @@
+/**
+ * Call Graph and Value Flow
+ *
+ * Builds a function-level view of a program: one node per function
+ * declaration or expression (plus the top level), one edge per caller/callee
+ * pair. Callees are resolved through what obfuscators put in the way - aliases
+ * (var b = a; b()), proxy objects (o.f() where o = { f: a }), .call/.apply/
+ * .bind and (0, fn)() - and calls to browser or Node globals (fetch, atob,
+ * document.write) end in external nodes.
+ *
+ * traceValueFlow follows a value forward from a variable or expression:
+ * through assignments, arguments into parameters, return values back to the
+ * call sites, and through expressions built from it, until it reaches the
+ * calls and properties that use it - e.g. from a decoded URL to fetch().
+ */
+
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { PARSE_OPTIONS } = require('./helpers');
+const { normalizeFiles, groupFiles, joinFiles, locateLine } = require('./multiFile');
+
+// Roots that make a member chain a global (window.fetch → fetch)
+const GLOBAL_ROOTS = new Set(['window', 'self', 'globalThis', 'global']);
+
+// Calls and property writes where a traced value usually ends up
+const SINK_CALLS = new Set([
+  'fetch', 'eval', 'Function', 'setTimeout', 'setInterval', 'importScripts',
+  'open', 'send', 'sendBeacon', 'postMessage', 'write', 'writeln',
+  'insertAdjacentHTML', 'setAttribute', 'assign', 'replace', 'WebSocket',
+  'XMLHttpRequest', 'Image', 'Worker', 'require', 'exec', 'execSync', 'spawn', 'request', 'get', 'post'
+]);
+const SINK_PROPERTIES = new Set(['innerHTML', 'outerHTML', 'src', 'href', 'location', 'action', 'cookie', 'text', 'textContent']);
+
+// Stop tracing after this many steps
+const MAX_FLOW_STEPS = 300;
+
+// Length of the code excerpt shown for each step
+const SNIPPET_LENGTH = 80;
+
+/**
+ * Dotted name of an identifier or member chain, or null when dynamic
+ */
+function memberName(node) {
+  if (t.isIdentifier(node)) return node.name;
+  if (t.isThisExpression(node)) return 'this';
+  if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+    const object = memberName(node.object);
+    if (object === null) return null;
+    if (!node.computed && t.isIdentifier(node.property)) return `${object}.${node.property.name}`;
+    if (t.isStringLiteral(node.property)) return `${object}.${node.property.value}`;
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Static name of a property key
+ */
+function keyName(node, computed) {
+  if (!computed && t.isIdentifier(node)) return node.name;
+  if (t.isStringLiteral(node) || t.isNumericLiteral(node)) return String(node.value);
+  return null;
+}
+
+/**
+ * Display name of a function: its own id, or what it is assigned to
+ */
+function functionName(path) {
+  const { node, parentPath } = path;
+  if (node.id) return node.id.name;
+  if ((path.isObjectMethod() || path.isClassMethod()) && keyName(node.key, node.computed)) return keyName(node.key, node.computed);
+  if (parentPath.isVariableDeclarator() && t.isIdentifier(parentPath.node.id)) return parentPath.node.id.name;
+  if (parentPath.isAssignmentExpression()) return memberName(parentPath.node.left);
+  if (parentPath.isObjectProperty()) return keyName(parentPath.node.key, parentPath.node.computed);
+  return null;
+}
+
+/**
+ * Unwrap (0, fn) and parentheses around a callee
+ */
+function unwrapCallee(path) {
+  while (path.isSequenceExpression() || path.isParenthesizedExpression()) {
+    path = path.isSequenceExpression() ? path.get('expressions').at(-1) : path.get('expression');
+  }
+  return path;
+}
+
+/**
+ * The expression a binding always holds, if it is assigned exactly once
+ */
+function bindingValue(binding) {
+  if (!binding) return null;
+  if (binding.path.isFunctionDeclaration() || binding.path.isClassDeclaration()) return binding.path;
+  if (binding.path.isVariableDeclarator()) {
+    const init = binding.path.get('init');
+    if (init.node && binding.constantViolations.length === 0) return init;
+    if (!init.node && binding.constantViolations.length === 1) {
+      const violation = binding.constantViolations[0];
+      if (violation.isAssignmentExpression({ operator: '=' })) return violation.get('right');
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve an expression to the function it evaluates to
+ * @returns {Object|null} { fn: path, via } - via is direct, alias, property, call, apply, bind or iife
+ */
+function resolveFunction(path, seen = new Set()) {
+  path = unwrapCallee(path);
+  if (!path.node || seen.has(path.node)) return null;
+  seen.add(path.node);
+
+  if (path.isFunction()) return { fn: path, via: 'direct' };
+
+  if (path.isIdentifier()) {
+    const value = bindingValue(path.scope.getBinding(path.node.name));
+    if (!value) return null;
+    if (value.isFunction()) return { fn: value, via: 'direct' };
+    const resolved = resolveFunction(value, seen);
+    return resolved && { fn: resolved.fn, via: resolved.via === 'direct' ? 'alias' : resolved.via };
+  }
+
+  if (path.isMemberExpression()) {
+    const name = keyName(path.node.property, path.node.computed);
+    if (name === 'call' || name === 'apply' || name === 'bind') {
+      const resolved = resolveFunction(path.get('object'), seen);
+      return resolved && { fn: resolved.fn, via: name };
+    }
+    const object = resolveObject(path.get('object'), seen);
+    const prop = object && name !== null && object.get('properties').find(p =>
+      (p.isObjectProperty() || p.isObjectMethod()) && keyName(p.node.key, p.node.computed) === name);
+    if (!prop) return null;
+    if (prop.isObjectMethod()) return { fn: prop, via: 'property' };
+    const resolved = resolveFunction(prop.get('value'), seen);
+    return resolved && { fn: resolved.fn, via: 'property' };
+  }
+
+  // fn.bind(thisArg)(...)
+  if (path.isCallExpression()) {
+    const callee = unwrapCallee(path.get('callee'));
+    if (callee.isMemberExpression() && keyName(callee.node.property, callee.node.computed) === 'bind') {
+      const resolved = resolveFunction(callee.get('object'), seen);
+      return resolved && { fn: resolved.fn, via: 'bind' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an expression to the object literal it holds
+ */
+function resolveObject(path, seen) {
+  path = unwrapCallee(path);
+  if (path.isObjectExpression()) return path;
+  if (path.isIdentifier() && !seen.has(path.node)) {
+    seen.add(path.node);
+    const value = bindingValue(path.scope.getBinding(path.node.name));
+    return value ? resolveObject(value, seen) : null;
+  }
+  return null;
+}
+
+/**
+ * Name of an unresolved callee if it is a global (fetch, document.write)
+ */
+function externalName(path) {
+  path = unwrapCallee(path);
+  let name = memberName(path.node);
+  if (name === null) return null;
+  let root = path.node;
+  while (t.isMemberExpression(root)) root = root.object;
+  if (!t.isIdentifier(root) || path.scope.getBinding(root.name)) return null;
+  const [first, ...rest] = name.split('.');
+  if (GLOBAL_ROOTS.has(first) && rest.length > 0) name = rest.join('.');
+  return name;
+}
+
+function parse(code) {
+  return parser.parse(code, PARSE_OPTIONS);
+}
+
+/**
+ * Collect functions and the calls between them
+ * @returns {Object} { nodes, edges, callSites: Map<fnNode, callPaths[]>, program }
+ */
+function analyzeCalls(ast) {
+  const nodes = [];
+  const ids = new Map();
+  const edgeMap = new Map();
+  const callSites = new Map();
+  let program = null;
+
+  const position = node => ({
+    line: node.loc?.start.line || 0,
+    column: node.loc?.start.column || 0,
+    endLine: node.loc?.end.line || 0
+  });
+
+  const addEdge = (from, to, callPath, via) => {
+    const key = `${from}->${to}`;
+    if (!edgeMap.has(key)) edgeMap.set(key, { from, to, calls: [] });
+    const { line, column } = position(callPath.node);
+    edgeMap.get(key).calls.push({ line, column, via });
+  };
+
+  traverse(ast, {
+    Program(path) {
+      program = path;
+      ids.set(path.node, 'program');
+      nodes.push({ id: 'program', name: '(top level)', kind: 'program', ...position(path.node), params: 0 });
+    },
+    Function(path) {
+      const id = `fn_${nodes.length}`;
+      ids.set(path.node, id);
+      nodes.push({
+        id,
+        name: functionName(path) || '(anonymous)',
+        kind: path.node.type,
+        ...position(path.node),
+        params: path.node.params.length
+      });
+    }
+  });
+
+  traverse(ast, {
+    'CallExpression|NewExpression'(path) {
+      const callerPath = path.getFunctionParent() || program;
+      const from = ids.get(callerPath.node);
+      const callee = path.get('callee');
+      // fn.bind(...) only makes a function; the call comes later
+      if (callee.isMemberExpression() && keyName(callee.node.property, callee.node.computed) === 'bind') return;
+      const resolved = resolveFunction(callee);
+
+      if (resolved && ids.has(resolved.fn.node)) {
+        const via = resolved.via === 'direct' && unwrapCallee(callee).isFunction() ? 'iife' : resolved.via;
+        addEdge(from, ids.get(resolved.fn.node), path, via);
+        if (!callSites.has(resolved.fn.node)) callSites.set(resolved.fn.node, []);
+        callSites.get(resolved.fn.node).push(path);
+        return;
+      }
+
+      const name = externalName(callee);
+      if (name) {
+        const id = `ext:${name}`;
+        if (!ids.has(id)) {
+          ids.set(id, id);
+          nodes.push({ id, name, kind: 'external', line: 0, column: 0, endLine: 0, params: 0 });
+        }
+        addEdge(from, id, path, path.isNewExpression() ? 'new' : 'global');
+      }
+    }
+  });
+
+  return { nodes, edges: [...edgeMap.values()], callSites, program };
+}
+
+/**
+ * Build the call graph of some code
+ * @param {string} code - Source
+ * @returns {Object} { nodes: [{ id, name, kind, line, column, endLine, params }], edges: [{ from, to, calls: [{ line, column, via }] }] }
+ */
+function buildCallGraph(code) {
+  const { nodes, edges } = analyzeCalls(parse(code));
+  return { nodes, edges };
+}
+
+/**
+ * Offset of a 1-based line / 0-based column in code
+ */
+function offsetOf(code, line, column) {
+  let offset = 0;
+  for (let i = 1; i < line; i++) {
+    const next = code.indexOf('\n', offset);
+    if (next === -1) return code.length;
+    offset = next + 1;
+  }
+  return offset + column;
+}
+
+/**
+ * Innermost identifier, literal or expression at an offset
+ */
+function findStart(ast, offset) {
+  let best = null;
+  traverse(ast, {
+    enter(path) {
+      const { node } = path;
+      if (node.start > offset || node.end < offset) return;
+      if (!path.isIdentifier() && !path.isLiteral() && !path.isExpression()) return;
+      if (!best || node.end - node.start <= best.node.end - best.node.start) best = path;
+    }
+  });
+  return best;
+}
+
+/**
+ * Follow a value forward from the variable or expression at a position
+ * @param {string} code - Source
+ * @param {number} line - 1-based line
+ * @param {number} column - 0-based column
+ * @returns {Object} { origin: { name, line, column }, steps: [{ kind, name, line, column, text, depth, sink }], truncated }
+ */
+function traceValueFlow(code, line, column) {
+  const ast = parse(code);
+  const { callSites, program } = analyzeCalls(ast);
+  const start = findStart(ast, offsetOf(code, line, column));
+  if (!start) throw new Error('No variable or expression at that position');
+
+  const steps = [];
+  const seenBindings = new Set();
+  const seenGlobals = new Set();
+  const seenNodes = new Set();
+  const queue = [];
+  let truncated = false;
+
+  const snippet = node => code.slice(node.start, node.end).replace(/\s+/g, ' ').slice(0, SNIPPET_LENGTH);
+
+  const addStep = (kind, node, name, depth, sink = false) => {
+    if (steps.length >= MAX_FLOW_STEPS) {
+      truncated = true;
+      return;
+    }
+    steps.push({
+      kind,
+      name,
+      line: node.loc?.start.line || 0,
+      column: node.loc?.start.column || 0,
+      text: snippet(node),
+      depth,
+      sink
+    });
+  };
+
+  const followBinding = (binding, depth) => {
+    if (seenBindings.has(binding)) return;
+    seenBindings.add(binding);
+    binding.referencePaths.forEach(ref => queue.push({ path: ref, depth }));
+  };
+
+  // Implicit globals (x = value with no declaration) are followed by name
+  const followGlobal = (name, depth) => {
+    if (seenGlobals.has(name)) return;
+    seenGlobals.add(name);
+    program.traverse({
+      Identifier(path) {
+        if (path.node.name === name && path.isReferencedIdentifier() && !path.scope.getBinding(name)) {
+          queue.push({ path, depth });
+        }
+      }
+    });
+  };
+
+  const followTarget = (target, value, depth) => {
+    if (target.isIdentifier()) {
+      const binding = target.scope.getBinding(target.node.name);
+      addStep('assign', value, target.node.name, depth);
+      if (binding) followBinding(binding, depth + 1);
+      else followGlobal(target.node.name, depth + 1);
+    } else if (target.isMemberExpression()) {
+      const name = memberName(target.node) || snippet(target.node);
+      const prop = keyName(target.node.property, target.node.computed);
+      addStep('property', value, name, depth, SINK_PROPERTIES.has(prop));
+    }
+  };
+
+  // Climb from a use of the value to where the value goes next
+  const follow = (path, depth) => {
+    let current = path;
+    while (current.parentPath) {
+      const parent = current.parentPath;
+
+      if (parent.isVariableDeclarator() && current.key === 'init') {
+        followTarget(parent.get('id'), parent.node, depth);
+        return;
+      }
+      if (parent.isAssignmentExpression() && current.key === 'right') {
+        followTarget(parent.get('left'), parent.node, depth);
+        return;
+      }
+      if ((parent.isCallExpression() || parent.isNewExpression()) && current.listKey === 'arguments') {
+        const resolved = resolveFunction(parent.get('callee'));
+        if (resolved) {
+          const param = resolved.fn.get('params')[current.key];
+          const name = functionName(resolved.fn) || '(anonymous)';
+          addStep('argument', parent.node, name, depth);
+          if (param?.isIdentifier()) followBinding(resolved.fn.scope.getBinding(param.node.name), depth + 1);
+          return;
+        }
+        const name = externalName(parent.get('callee')) || memberName(unwrapCallee(parent.get('callee')).node) || snippet(parent.node.callee);
+        const sink = SINK_CALLS.has(name.split('.').pop());
+        addStep('call', parent.node, name, depth, sink);
+        if (sink) return;
+        // Whatever the call returns is derived from the value (atob(x), x.split())
+        current = parent;
+        continue;
+      }
+      if (parent.isReturnStatement() || (parent.isArrowFunctionExpression() && current.key === 'body')) {
+        const fn = parent.isReturnStatement() ? parent.getFunctionParent() : parent;
+        if (!fn) return;
+        addStep('return', parent.node, functionName(fn) || '(anonymous)', depth);
+        (callSites.get(fn.node) || []).forEach(site => queue.push({ path: site, depth: depth + 1 }));
+        return;
+      }
+      if ((parent.isCallExpression() || parent.isNewExpression()) && current.key === 'callee') {
+        return;
+      }
+      if (parent.isObjectProperty() && current.key === 'value') {
+        current = parent.parentPath;
+        continue;
+      }
+      if (parent.isExpression() || parent.isSpreadElement() || parent.isTemplateLiteral()) {
+        current = parent;
+        continue;
+      }
+      if (parent.isIfStatement() || parent.isWhileStatement() || parent.isDoWhileStatement() ||
+          parent.isForStatement() || parent.isSwitchStatement()) {
+        addStep('condition', parent.node.test || parent.node.discriminant || current.node, parent.node.type, depth);
+      }
+      return;
+    }
+  };
+
+  // Where to begin: a variable's references, a global's uses, or the expression itself
+  const origin = {
+    name: start.isIdentifier() ? start.node.name : snippet(start.node),
+    line: start.node.loc.start.line,
+    column: start.node.loc.start.column
+  };
+  const binding = start.isIdentifier() && start.scope.getBinding(start.node.name);
+  if (binding) {
+    addStep('source', binding.identifier, start.node.name, 0);
+    followBinding(binding, 1);
+  } else if (start.isIdentifier() && (start.isReferencedIdentifier() || start.parentPath.isAssignmentExpression())) {
+    addStep('source', start.node, start.node.name, 0);
+    followGlobal(start.node.name, 1);
+  } else {
+    addStep('source', start.node, origin.name, 0);
+    queue.push({ path: start, depth: 1 });
+  }
+
+  while (queue.length > 0 && !truncated) {
+    const { path, depth } = queue.shift();
+    if (seenNodes.has(path.node)) continue;
+    seenNodes.add(path.node);
+    follow(path, depth);
+  }
+
+  return { origin, steps, truncated };
+}
+
+/**
+ * Build one call graph over several files; scripts that share a scope link up
+ * @param {Object[]} files - [{ name, code }]
+ * @returns {Object} Same as buildCallGraph, positions carry { file } and lines within it
+ */
+function buildFileCallGraph(files) {
+  const nodes = new Map();
+  const edges = [];
+
+  groupFiles(normalizeFiles(files)).forEach((group, groupIndex) => {
+    const { code, ranges } = joinFiles(group.files);
+    const graph = buildCallGraph(code);
+    // Functions are per group, globals like fetch are shared
+    const idOf = id => id.startsWith('ext:') ? id : `${groupIndex}:${id}`;
+    const place = item => {
+      const at = locateLine(ranges, item.line);
+      if (!at) return item;
+      return item.endLine === undefined ? { ...item, file: at.file, line: at.line } : { ...item, file: at.file, line: at.line, endLine: item.endLine - item.line + at.line };
+    };
+
+    for (const node of graph.nodes) {
+      if (node.kind === 'program') {
+        // The top level of joined scripts has no single place to jump to
+        const single = group.files.length === 1;
+        nodes.set(idOf(node.id), {
+          ...node,
+          id: idOf(node.id),
+          name: single ? `(top level) ${group.files[0].name}` : '(top level)',
+          file: single ? group.files[0].name : undefined,
+          line: single ? 1 : 0,
+          endLine: single ? node.endLine - 1 : 0
+        });
+      } else if (!nodes.has(idOf(node.id))) {
+        nodes.set(idOf(node.id), node.kind === 'external' ? node : { ...place(node), id: idOf(node.id) });
+      }
+    }
+    for (const edge of graph.edges) {
+      edges.push({ from: idOf(edge.from), to: idOf(edge.to), calls: edge.calls.map(place) });
+    }
+  });
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Follow a value across several files
+ * @param {Object[]} files - [{ name, code }]
+ * @param {string} file - File the position is in
+ * @returns {Object} Same as traceValueFlow, positions carry { file } and lines within it
+ */
+function traceFileValueFlow(files, file, line, column) {
+  const group = groupFiles(normalizeFiles(files)).find(g => g.files.some(f => f.name === file));
+  if (!group) throw new Error(`Unknown file: ${file}`);
+
+  const { code, ranges } = joinFiles(group.files);
+  const range = ranges.find(r => r.name === file);
+  const flow = traceValueFlow(code, range.startLine + line - 1, column);
+  const place = item => {
+    const at = locateLine(ranges, item.line);
+    return at ? { ...item, file: at.file, line: at.line } : item;
+  };
+
+  return { ...flow, origin: place(flow.origin), steps: flow.steps.map(place) };
+}
+
+module.exports = {
+  buildCallGraph,
+  buildFileCallGraph,
+  traceValueFlow,
+  traceFileValueFlow
+};
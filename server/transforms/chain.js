@@ -0,0 +1,493 @@
+/**
+ * Chain Executor - Runs a recipe against a single AST
+ * Parses once, passes the AST through every transform (including loop
+ * items and iterations), generates once.
+ * Shared by the /run-chain route and the headless CLI.
+ *
+ * With sourceMaps, node locations carry the mapping while the AST is shared;
+ * every trip through code (user transforms) adds a map to the state, and the
+ * final generation composes them into one map back to the original input.
+ */
+
+const parser = require('@babel/parser');
+const generate = require('@babel/generator').default;
+
+const builtInTransforms = require('./index');
+const transformRunner = require('./runner');
+const { PARSE_OPTIONS, SOURCE_FILENAME, composeSourceMaps } = require('./helpers');
+
+// Transform types executed through the direct runner (user-provided code)
+const USER_TRANSFORM_TYPES = ['user', 'inline', 'example', 'script', 'plugin', 'folder'];
+
+/**
+ * Measure bracket nesting depth of a code string
+ * Deeply nested code (JSFuck and friends) overflows Babel's recursive parser
+ * @param {string} code - Source code
+ * @param {number} [scanLimit=100000] - Max characters to scan
+ * @returns {number} Maximum nesting depth found
+ */
+function getNestingDepth(code, scanLimit = 100000) {
+  let maxNesting = 0;
+  let currentNesting = 0;
+  for (let i = 0; i < Math.min(code.length, scanLimit); i++) {
+    const c = code[i];
+    if (c === '[' || c === '(' || c === '{') {
+      currentNesting++;
+      if (currentNesting > maxNesting) maxNesting = currentNesting;
+    } else if (c === ']' || c === ')' || c === '}') {
+      currentNesting--;
+    }
+  }
+  return maxNesting;
+}
+
+/**
+ * Create the mutable execution state for a chain run
+ * @param {string} code - Input code
+ * @param {boolean} [sourceMaps=false] - Track source maps back to this code
+ * @returns {Object} { ast, code, needsReparse, maps, map }
+ *   maps (newest first) lead from the code the AST was last parsed from - or
+ *   state.code while needsReparse - to the input; null when not tracked
+ */
+function createState(code, sourceMaps = false) {
+  // Parsed by the first transform that needs an AST, so code-level builtins
+  // (DecodeEncodedScript) can run first on input Babel can't take
+  return {
+    ast: null,
+    code,
+    needsReparse: true,
+    maps: sourceMaps ? [] : null,
+    map: null
+  };
+}
+
+/**
+ * Apply a single transform to the execution state
+ * @param {Object} state - Execution state from createState()
+ * @param {Object} transform - { id, type, code, config }
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Sandbox time budget for user transforms
+ * @returns {Promise<Object>} { result, resultCode } - resultCode is null when the AST was updated in place
+ */
+async function applyTransform(state, transform, options = {}) {
+  let result;
+  let resultCode = null;
+
+  if (transform.type === 'builtin') {
+    const transformFn = builtInTransforms[transform.id];
+    if (!transformFn) {
+      throw new Error(`Unknown built-in transform: ${transform.id}`);
+    }
+
+    if (transformFn.operatesOnCode) {
+      result = await transformFn(generateState(state), transform.config || {});
+    } else {
+      if (state.needsReparse) {
+        state.ast = parser.parse(state.code, PARSE_OPTIONS);
+        state.needsReparse = false;
+      }
+
+      result = await transformFn(state.ast, transform.config || {}, { inputIsAST: true, returnAST: true });
+    }
+
+    if (result.ast) {
+      state.ast = result.ast;
+    } else {
+      state.code = result.code;
+      state.needsReparse = true;
+      resultCode = result.code;
+      // Code-only builtins don't say where their output came from
+      state.maps = null;
+    }
+  } else if (USER_TRANSFORM_TYPES.includes(transform.type)) {
+    // User code runs in the sandbox, which hands back code - reparse lazily
+    // so consecutive user transforms don't pay for a parse in between
+    result = await transformRunner.runTransform(
+      state.needsReparse ? state.code : state.ast,
+      transform.code,
+      transform.config || {},
+      {
+        inputIsAST: !state.needsReparse,
+        returnAST: false,
+        timeoutMs: options.timeoutMs,
+        sourceMaps: state.maps !== null
+      }
+    );
+
+    state.code = result.code;
+    state.needsReparse = true;
+    resultCode = result.code;
+    if (state.maps) {
+      if (result.map) state.maps.unshift(result.map);
+      else state.maps = null;
+    }
+  } else {
+    throw new Error(`Unknown transform type: ${transform.type}`);
+  }
+
+  return { result, resultCode };
+}
+
+/**
+ * Get the current code from the execution state, generating from the AST if needed
+ * @param {Object} state - Execution state
+ * @param {boolean} [withMap=false] - Also compose state.map (when maps are tracked)
+ */
+function generateState(state, withMap = false) {
+  const mapping = withMap && state.maps !== null;
+  if (!state.needsReparse && state.ast) {
+    const output = generate(state.ast, {
+      comments: true,
+      compact: false,
+      sourceMaps: mapping,
+      sourceFileName: SOURCE_FILENAME
+    });
+    state.code = output.code;
+    if (mapping) state.map = composeSourceMaps([output.map, ...state.maps]);
+  } else if (mapping) {
+    state.map = state.maps.length > 0 ? composeSourceMaps(state.maps) : null;
+  }
+  return state.code;
+}
+
+/**
+ * Measure the current code size without disturbing the state
+ */
+function measureState(state) {
+  if (state.needsReparse) return state.code.length;
+  try {
+    return generate(state.ast, { comments: true, compact: false }).code.length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Merge a transform result into an aggregated step entry
+ * Numeric stats are summed across iterations, everything else keeps the latest value
+ */
+function mergeResult(entry, result) {
+  for (const [key, value] of Object.entries(result.stats || {})) {
+    if (typeof value === 'number' && typeof entry.stats[key] === 'number') {
+      entry.stats[key] += value;
+    } else {
+      entry.stats[key] = value;
+    }
+  }
+  entry.logs.push(...(result.logs || []));
+}
+
+// Numeric stats that describe what a transform saw rather than what it changed
+const INFORMATIONAL_STATS = /^(passes|beautified)$|Found$|Preserved$/;
+
+/**
+ * Check whether a transform's stats say it changed nothing
+ * Only trusted when at least one change counter is present
+ * @param {Object} stats - Stats returned by a transform
+ * @returns {boolean}
+ */
+function reportsNoChange(stats) {
+  const counters = Object.entries(stats || {})
+    .filter(([key, value]) => typeof value === 'number' && !INFORMATIONAL_STATS.test(key));
+  return counters.length > 0 && counters.every(([, value]) => value === 0);
+}
+
+/**
+ * Build the response for a chain that stopped at a failing step
+ * Sandbox timeouts are reported like supervisor timeouts (timedOutAt)
+ */
+function failureResponse(err, index, results, state) {
+  const response = {
+    success: false,
+    failedAt: index,
+    results,
+    currentCode: state.code,
+    error: err.message
+  };
+  if (err.code === 'SANDBOX_TIMEOUT') {
+    response.timedOut = true;
+    response.timedOutAt = index;
+    results[results.length - 1].timedOut = true;
+  }
+  return response;
+}
+
+/**
+ * Run a flat recipe against code
+ * @param {string} code - Input code
+ * @param {Object[]} recipe - Flat recipe ({ id, type, code, config, enabled })
+ * @param {Object} [options]
+ * @param {boolean} [options.stepMode=false] - Stop after the first executed transform
+ * @param {Function} [options.log] - Progress logger
+ * @param {Function} [options.onStep] - Called with { index, transform, type } before each transform runs
+ * @param {Function} [options.onResult] - Called with each result entry as it is recorded
+ * @param {number} [options.stepTimeoutMs] - Sandbox time budget for user transforms
+ * @param {boolean} [options.sourceMaps=false] - Return sourceMap (final code → input) on completion
+ * @returns {Promise<Object>} Same shape as the /run-chain response body
+ */
+async function runChain(code, recipe, options = {}) {
+  const { stepMode = false, log = () => {}, onStep = () => {}, onResult = () => {}, stepTimeoutMs, sourceMaps = false } = options;
+  const results = [];
+
+  // Parsed once, by the first transform that needs the AST
+  const state = createState(code, sourceMaps && !stepMode);
+
+  for (let i = 0; i < recipe.length; i++) {
+    const transform = recipe[i];
+
+    log(`Transform ${i + 1}/${recipe.length}: ${transform.id} (${transform.type})`);
+
+    if (!transform.enabled) {
+      results.push({ index: i, transform: transform.id, skipped: true });
+      onResult(results[results.length - 1]);
+      continue;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const isLast = i === recipe.length - 1 || stepMode;
+      onStep({ index: i, transform: transform.id, type: transform.type });
+      const { result, resultCode: transformCode } = await applyTransform(state, transform, { timeoutMs: stepTimeoutMs });
+      let resultCode = transformCode;
+
+      const duration = Date.now() - startTime;
+
+      if (isLast && !resultCode) {
+        resultCode = generateState(state);
+      }
+
+      results.push({
+        index: i,
+        transform: transform.id,
+        success: true,
+        code: resultCode || '[AST]',
+        codeSize: resultCode ? resultCode.length : measureState(state),
+        stats: result.stats || {},
+        logs: result.logs || [],
+        duration
+      });
+      onResult(results[results.length - 1]);
+
+      if (stepMode) {
+        return {
+          success: true,
+          stepIndex: i,
+          results,
+          currentCode: state.code,
+          complete: i === recipe.length - 1
+        };
+      }
+    } catch (err) {
+      try {
+        generateState(state);
+      } catch (e) {}
+
+      results.push({
+        index: i,
+        transform: transform.id,
+        success: false,
+        error: err.message
+      });
+
+      return failureResponse(err, i, results, state);
+    }
+  }
+
+  // Final generation
+  const finalCode = generateState(state, true);
+
+  log('Complete! Final code length:', finalCode.length);
+
+  const response = {
+    success: true,
+    results,
+    finalCode
+  };
+  if (sourceMaps) response.sourceMap = state.map;
+  return response;
+}
+
+/**
+ * Run a nested chain (as produced by RecipeManager.getChainData()) against code
+ * Loop items and iteration counts are executed on a single AST; results are
+ * reported per top-level chain item, with per-child results for loops.
+ * Loops with untilStable repeat until an iteration changes nothing (every child
+ * reports zero-change stats, or the generated code is identical), using
+ * iterations as the safety cap.
+ * @param {string} code - Input code
+ * @param {Object[]} chain - Chain items, loops carry { iterations, children }
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Progress logger
+ * @param {Function} [options.onStep] - Called with { index, childIndex, transform, type } before each transform runs
+ * @param {Function} [options.onResult] - Called with each top-level entry once it completes or is skipped
+ * @param {number} [options.stepTimeoutMs] - Sandbox time budget for user transforms
+ * @param {boolean} [options.sourceMaps=false] - Return sourceMap (final code → input) on completion
+ * @param {boolean} [options.captureSteps=false] - Generate each item's code instead of reporting '[AST]'
+ * @returns {Promise<Object>} Same shape as the /run-chain response body
+ */
+async function runNestedChain(code, chain, options = {}) {
+  const {
+    log = () => {},
+    onStep = () => {},
+    onResult = () => {},
+    stepTimeoutMs,
+    sourceMaps = false,
+    captureSteps = false
+  } = options;
+  const results = [];
+
+  // Parsed once, by the first transform that needs the AST
+  const state = createState(code, sourceMaps);
+  let lastEntry = null;
+
+  for (let index = 0; index < chain.length; index++) {
+    const item = chain[index];
+    const isLoop = item.type === 'loop';
+
+    log(`Item ${index + 1}/${chain.length}: ${item.id} (${item.type})`);
+
+    if (item.enabled === false || (isLoop && (!item.children || item.children.length === 0))) {
+      results.push({ index, transform: item.id, name: item.name, skipped: true });
+      onResult(results[results.length - 1]);
+      continue;
+    }
+
+    const startTime = Date.now();
+    const iterations = item.iterations || 1;
+    const entry = {
+      index,
+      transform: item.id,
+      name: item.name,
+      success: true,
+      stats: {},
+      logs: []
+    };
+    if (isLoop) {
+      entry.children = item.children.map((child, childIndex) => ({
+        index: childIndex,
+        transform: child.id,
+        name: child.name,
+        skipped: child.enabled === false,
+        success: true,
+        stats: {},
+        logs: []
+      }));
+    }
+
+    let failedChild = null;
+    try {
+      if (isLoop) {
+        const untilStable = item.untilStable === true;
+        let previousCode = untilStable ? generateState(state) : null;
+        if (untilStable) entry.converged = false;
+
+        for (let loopIter = 0; loopIter < iterations; loopIter++) {
+          let noChangeReported = true;
+
+          for (let childIndex = 0; childIndex < item.children.length; childIndex++) {
+            const child = item.children[childIndex];
+            if (child.enabled === false) continue;
+
+            failedChild = childIndex;
+            const childEntry = entry.children[childIndex];
+            const childIterations = child.iterations || 1;
+            for (let childIter = 0; childIter < childIterations; childIter++) {
+              onStep({ index, childIndex, transform: child.id, type: child.type });
+              const { result } = await applyTransform(state, child, { timeoutMs: stepTimeoutMs });
+              mergeResult(childEntry, result);
+              mergeResult(entry, result);
+              if (!reportsNoChange(result.stats)) noChangeReported = false;
+            }
+          }
+          failedChild = null;
+          entry.iterationsRun = loopIter + 1;
+
+          if (!untilStable) continue;
+
+          // Cheap check first: every child said it did nothing
+          if (noChangeReported) {
+            entry.converged = true;
+            entry.stopReason = 'no-change-stats';
+            break;
+          }
+
+          // Otherwise compare the generated code with the previous iteration
+          const currentCode = generateState(state);
+          if (currentCode === previousCode) {
+            entry.converged = true;
+            entry.stopReason = 'identical-output';
+            break;
+          }
+          previousCode = currentCode;
+        }
+
+        if (untilStable) {
+          log(`Loop ${index + 1}: ${entry.converged ? 'stable' : 'hit cap'} after ${entry.iterationsRun} iteration(s)`);
+        }
+      } else {
+        for (let iter = 0; iter < iterations; iter++) {
+          onStep({ index, transform: item.id, type: item.type });
+          const { result } = await applyTransform(state, item, { timeoutMs: stepTimeoutMs });
+          mergeResult(entry, result);
+        }
+      }
+    } catch (err) {
+      try {
+        generateState(state);
+      } catch (e) {}
+
+      entry.success = false;
+      entry.error = err.message;
+      if (failedChild !== null) {
+        entry.failedChild = failedChild;
+        entry.children[failedChild].success = false;
+        entry.children[failedChild].error = err.message;
+      }
+      results.push(entry);
+
+      const response = failureResponse(err, index, results, state);
+      if (response.timedOut && failedChild !== null) {
+        response.timedOutChild = failedChild;
+      }
+      return response;
+    }
+
+    entry.duration = Date.now() - startTime;
+    if (captureSteps) {
+      // Snapshot for the client's step diff; the AST carries on untouched
+      entry.code = generateState(state);
+      entry.codeSize = entry.code.length;
+    } else {
+      entry.code = '[AST]';
+      entry.codeSize = measureState(state);
+    }
+    results.push(entry);
+    onResult(entry);
+    lastEntry = entry;
+  }
+
+  // Final generation
+  const finalCode = generateState(state, true);
+  if (lastEntry) {
+    lastEntry.code = finalCode;
+    lastEntry.codeSize = finalCode.length;
+  }
+
+  log('Complete! Final code length:', finalCode.length);
+
+  const response = {
+    success: true,
+    results,
+    finalCode
+  };
+  if (sourceMaps) response.sourceMap = state.map;
+  return response;
+}
+
+module.exports = {
+  getNestingDepth,
+  runChain,
+  runNestedChain,
+  USER_TRANSFORM_TYPES
+};
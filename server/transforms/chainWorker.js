@@ -0,0 +1,36 @@
+/**
+ * Chain Worker - Executes a recipe off the main thread
+ *
+ * Built-in transforms are synchronous Babel traversals, so a runaway pass
+ * would otherwise block the server until it finishes. Running the chain in a
+ * worker lets supervisor.js watch its progress and terminate it when a step
+ * or the whole chain runs too long, or when the run is cancelled.
+ */
+
+const { parentPort } = require('worker_threads');
+
+// The server already listed the builtins at startup; don't repeat it per worker
+const consoleLog = console.log;
+console.log = () => {};
+const chainExecutor = require('./chain');
+console.log = consoleLog;
+
+parentPort.on('message', async ({ code, recipe, stepMode, stepTimeoutMs, sourceMaps, captureSteps }) => {
+  const options = {
+    stepTimeoutMs,
+    sourceMaps,
+    captureSteps,
+    log: (...args) => parentPort.postMessage({ type: 'log', args: args.map(String) }),
+    onStep: (step) => parentPort.postMessage({ type: 'step', step }),
+    onResult: (entry) => parentPort.postMessage({ type: 'result', entry })
+  };
+
+  try {
+    const response = stepMode
+      ? await chainExecutor.runChain(code, recipe, { ...options, stepMode: true })
+      : await chainExecutor.runNestedChain(code, recipe, options);
+    parentPort.postMessage({ type: 'done', response });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+  }
+});
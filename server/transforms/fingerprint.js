@@ -0,0 +1,242 @@
+/**
+ * Fingerprinting - Recognizes known obfuscators and proposes a recipe for them
+ *
+ * Each detector looks for the textual signature a tool leaves behind and
+ * scores how sure it is (0..1), listing the evidence it found. Detections
+ * above SUGGEST_THRESHOLD contribute their steps to the suggested recipe,
+ * which is assembled in a fixed order (unpack, decode strings, inline,
+ * unflatten, clean up) from builtins and bundled plugins.
+ *
+ * Everything here works on the source text, so it is fast on large inputs
+ * and still answers for code Babel can't parse (deeply nested JSFuck).
+ */
+
+const SUGGEST_THRESHOLD = 0.5;
+
+// Longer inputs are only sampled for the ratio-based checks
+const SAMPLE_LENGTH = 200000;
+
+/**
+ * Count regex matches (the regex must be global)
+ */
+function countMatches(code, regex) {
+  let count = 0;
+  regex.lastIndex = 0;
+  while (regex.exec(code) !== null) {
+    count++;
+    if (count >= 10000) break;
+  }
+  return count;
+}
+
+/**
+ * Score from a list of weighted checks: { weight, found, evidence }
+ */
+function scoreChecks(checks) {
+  const total = checks.reduce((sum, c) => sum + c.weight, 0);
+  const found = checks.filter(c => c.found);
+  return {
+    confidence: Math.min(1, found.reduce((sum, c) => sum + c.weight, 0) / total),
+    evidence: found.map(c => c.evidence)
+  };
+}
+
+/**
+ * Known signatures, strongest structural hints first
+ * detect(code, sample) returns { confidence, evidence }
+ */
+const DETECTORS = [
+  {
+    id: 'jsfuck',
+    name: 'JSFuck',
+    detect(code, sample) {
+      const body = sample.replace(/\s+/g, '');
+      // Plain nesting is all brackets too; JSFuck builds its values from ![] and +[]
+      if (body.length < 50 || !body.includes('![]') || !body.includes('+[]')) return { confidence: 0, evidence: [] };
+      const ratio = (body.match(/[[\]()!+]/g) || []).length / body.length;
+      return {
+        confidence: ratio >= 0.98 ? 1 : ratio >= 0.9 ? (ratio - 0.9) * 10 : 0,
+        evidence: [`${Math.round(ratio * 100)}% of the code is []()!+`]
+      };
+    }
+  },
+  {
+    id: 'jjencode',
+    name: 'JJencode',
+    detect(code) {
+      return scoreChecks([
+        { weight: 3, found: /[\w$]+\s*=\s*~\[\]\s*;\s*[\w$]+\s*=\s*\{\s*___\s*:\s*\+\+[\w$]+/.test(code), evidence: 'x=~[]; x={___:++x, ...} header' },
+        { weight: 1, found: /\$\$\$\$\s*:\s*\(!\[\]\s*\+\s*["']{2}\)/.test(code), evidence: '$$$$:(![]+"") table entry' },
+        { weight: 1, found: /\.\$_\s*\(\s*[\w$]+\.\$_\s*\(/.test(code), evidence: 'x.$_(x.$_(...)) Function construction' }
+      ]);
+    }
+  },
+  {
+    id: 'aaencode',
+    name: 'AAencode',
+    detect(code) {
+      return scoreChecks([
+        { weight: 3, found: code.includes('ﾟωﾟﾉ') && code.includes('ﾟДﾟ'), evidence: 'ﾟωﾟﾉ / ﾟДﾟ emoticon variables' },
+        { weight: 1, found: code.includes('(ﾟΘﾟ)'), evidence: '(ﾟΘﾟ) operand' },
+        { weight: 1, found: code.includes("['_']") || code.includes('[\'_\']'), evidence: "['_'] Function call" }
+      ]);
+    }
+  },
+  {
+    id: 'packer',
+    name: 'Dean Edwards packer',
+    detect(code) {
+      return scoreChecks([
+        { weight: 3, found: /eval\s*\(\s*function\s*\(\s*p\s*,\s*a\s*,\s*c\s*,\s*k\s*,\s*e\s*,\s*[rd]\s*\)/.test(code), evidence: 'eval(function(p,a,c,k,e,d)...) wrapper' },
+        { weight: 1, found: /\.split\(\s*['"]\|['"]\s*\)\s*,\s*0\s*,\s*\{\s*\}\s*\)\s*\)/.test(code), evidence: "'...'.split('|'),0,{})) dictionary" }
+      ]);
+    }
+  },
+  {
+    id: 'eval-wrapper',
+    name: 'eval / Function string wrapper',
+    detect(code) {
+      const evals = countMatches(code, /\beval\s*\(/g);
+      const functions = countMatches(code, /\bnew\s+Function\s*\(|\bFunction\s*\(\s*['"`]/g);
+      const timers = countMatches(code, /\bset(?:Timeout|Interval)\s*\(\s*['"`]/g);
+      const total = evals + functions + timers;
+      const evidence = [];
+      if (evals) evidence.push(`${evals} eval() call${evals !== 1 ? 's' : ''}`);
+      if (functions) evidence.push(`${functions} Function constructor call${functions !== 1 ? 's' : ''}`);
+      if (timers) evidence.push(`${timers} timer${timers !== 1 ? 's' : ''} with string code`);
+      return { confidence: total === 0 ? 0 : Math.min(1, 0.4 + total * 0.2), evidence };
+    }
+  },
+  {
+    id: 'obfuscator-string-array',
+    name: 'javascript-obfuscator string array',
+    detect(code) {
+      return scoreChecks([
+        { weight: 2, found: /function\s+(_0x[0-9a-f]+)\s*\(\s*\)\s*\{[\s\S]{0,20}?(?:var|const|let)\s+_0x[0-9a-f]+\s*=\s*\[[\s\S]*?\1\s*=\s*function/.test(code), evidence: 'self-replacing string array function' },
+        { weight: 2, found: /(?:var|const|let)\s+_0x[0-9a-f]+\s*=\s*\[\s*(?:['"][^'"]*['"]\s*,\s*){5,}/.test(code), evidence: 'string array literal' },
+        { weight: 2, found: /while\s*\(\s*!!\[\]\s*\)\s*\{\s*try\s*\{[\s\S]{0,400}?parseInt/.test(code), evidence: 'rotation IIFE (while(!![]) try { parseInt(...) })' },
+        { weight: 1, found: /\[\s*['"]push['"]\s*\]\s*\(\s*_0x[0-9a-f]+\s*\[\s*['"]shift['"]\s*\]\s*\(\s*\)\s*\)/.test(code) ||
+          /\.push\(\s*_0x[0-9a-f]+\.shift\(\s*\)\s*\)/.test(code), evidence: 'push(shift()) array rotation' },
+        { weight: 1, found: code.includes('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/='), evidence: 'custom base64 alphabet (base64/rc4 string encoding)' }
+      ]);
+    }
+  },
+  {
+    id: 'obfuscator-control-flow',
+    name: 'obfuscator.io control-flow flattening',
+    detect(code) {
+      const orders = countMatches(code, /['"]\d+(?:\|\d+)+['"]\s*(?:\[\s*['"]split['"]\s*\]|\.split)\s*\(\s*['"]\|['"]\s*\)/g);
+      const dispatchers = countMatches(code, /switch\s*\(\s*_0x[0-9a-f]+\s*\[\s*_0x[0-9a-f]+\s*\+\+\s*\]\s*\)/g);
+      const evidence = [];
+      if (orders) evidence.push(`${orders} '1|0|2'.split('|') order string${orders !== 1 ? 's' : ''}`);
+      if (dispatchers) evidence.push(`${dispatchers} switch (order[i++]) dispatcher${dispatchers !== 1 ? 's' : ''}`);
+      return { confidence: Math.min(1, orders * 0.4 + dispatchers * 0.6), evidence };
+    }
+  },
+  {
+    id: 'obfuscator-proxy-functions',
+    name: 'javascript-obfuscator proxy objects',
+    detect(code) {
+      const proxies = countMatches(code, /['"]?[a-zA-Z]{5}['"]?\s*:\s*function\s*\(\s*_0x[0-9a-f]+\s*,\s*_0x[0-9a-f]+\s*\)\s*\{\s*return\s+_0x[0-9a-f]+\s*(?:[-+*/%<>=!&|^]{1,3}|\()/g);
+      return {
+        confidence: Math.min(1, proxies * 0.15),
+        evidence: proxies ? [`${proxies} 'abcde': function (_0x1, _0x2) { return ... } entries`] : []
+      };
+    }
+  },
+  {
+    id: 'hex-identifiers',
+    name: 'Hex-mangled identifiers',
+    detect(code, sample) {
+      const hex = countMatches(sample, /\b_0x[0-9a-f]{4,}\b/g);
+      const words = countMatches(sample, /\b[A-Za-z_$][\w$]*\b/g) || 1;
+      const ratio = hex / words;
+      return {
+        confidence: hex < 5 ? 0 : Math.min(1, ratio * 5),
+        evidence: hex ? [`${hex} _0x identifiers (${Math.round(ratio * 100)}% of words)`] : []
+      };
+    }
+  },
+  {
+    id: 'webpack',
+    name: 'webpack bundle',
+    detect(code) {
+      return scoreChecks([
+        { weight: 3, found: /__webpack_require__|__webpack_modules__/.test(code), evidence: '__webpack_require__ runtime' },
+        { weight: 2, found: /webpackJsonp|webpackChunk/.test(code), evidence: 'webpackJsonp / webpackChunk chunk loader' },
+        { weight: 1, found: code.includes('/******/'), evidence: '/******/ runtime banner' }
+      ]);
+    }
+  },
+  {
+    id: 'browserify',
+    name: 'Browserify bundle',
+    detect(code) {
+      return scoreChecks([
+        { weight: 3, found: /\{\s*\d+\s*:\s*\[\s*function\s*\(\s*require\s*,\s*module\s*,\s*exports\s*\)/.test(code), evidence: '{1:[function(require,module,exports){...}, {...}]} module map' },
+        { weight: 2, found: /"function"\s*==\s*typeof\s+require\s*&&\s*require/.test(code), evidence: 'prelude ("function"==typeof require&&require)' },
+        { weight: 1, found: /Cannot find module '"\s*\+/.test(code), evidence: "\"Cannot find module '\" error in the prelude" }
+      ]);
+    }
+  }
+];
+
+/**
+ * Recipe steps, in the order they run; each is included when any of its
+ * detections is confident enough
+ */
+const RECIPE_STEPS = [
+  { id: 'DecodeEncodedScript', type: 'builtin', when: ['jsfuck', 'jjencode', 'aaencode'], reason: 'Recover the program hidden in the encoded script' },
+  { id: 'EvalUnpack', type: 'builtin', when: ['packer', 'eval-wrapper'], reason: 'Unpack eval/Function/packer layers into real code' },
+  { id: 'StringArrayDecoder', type: 'builtin', when: ['obfuscator-string-array'], reason: 'Resolve string array decoder calls' },
+  { id: 'InlineProxyObjects', type: 'builtin', when: ['obfuscator-proxy-functions', 'obfuscator-string-array', 'obfuscator-control-flow'], reason: 'Inline proxy dictionaries and functions' },
+  { id: 'StringArrayDecoder', type: 'builtin', when: ['obfuscator-string-array'], reason: 'Resolve decoder calls that were hidden behind proxies' },
+  { id: 'ControlFlowUnflatten', type: 'builtin', when: ['obfuscator-control-flow'], reason: 'Rebuild code flattened into switch dispatchers' },
+  { id: 'ConstantFolding', type: 'builtin', when: ['obfuscator-string-array', 'obfuscator-control-flow', 'obfuscator-proxy-functions'], reason: 'Fold the constant expressions left behind' },
+  { id: 'OpaquePredicateRemoval', type: 'builtin', when: ['obfuscator-string-array', 'obfuscator-control-flow'], reason: 'Drop dead branches behind always-true/false conditions' },
+  { id: 'RemoveUnreachableCode', type: 'builtin', when: ['obfuscator-control-flow'], reason: 'Remove dispatcher cases and injected functions nothing reaches' },
+  { id: 'SimplifyLiterals', type: 'builtin', when: ['obfuscator-string-array', 'obfuscator-proxy-functions', 'hex-identifiers'], reason: 'Turn !0, void 0 and hex numbers back into plain literals' },
+  { id: 'utilities-bracket-to-dot-notation', type: 'plugin', when: ['obfuscator-string-array', 'obfuscator-proxy-functions'], reason: "Rewrite obj['prop'] as obj.prop" },
+  { id: 'RemoveUnusedCode', type: 'builtin', when: ['obfuscator-string-array', 'obfuscator-proxy-functions', 'obfuscator-control-flow'], reason: 'Remove the now-unused decoder, array and proxy objects' },
+  { id: 'RenameVariables', type: 'builtin', when: ['hex-identifiers'], reason: 'Give _0x identifiers readable names' }
+];
+
+// Detections handled outside the recipe - surfaced as notes instead of steps
+const NOTES = {
+  webpack: 'Use "Unpack bundle" on the input to open each webpack module in its own tab',
+  browserify: 'Use "Unpack bundle" on the input to open each Browserify module in its own tab'
+};
+
+/**
+ * Fingerprint code and propose a recipe
+ * @param {string} code - Input code
+ * @returns {Object} { detections: [{ id, name, confidence, evidence }], recipe: [{ id, type, reason }], notes }
+ */
+function fingerprint(code) {
+  const sample = code.length > SAMPLE_LENGTH ? code.slice(0, SAMPLE_LENGTH) : code;
+
+  const detections = DETECTORS
+    .map(detector => {
+      const { confidence, evidence } = detector.detect(code, sample);
+      return { id: detector.id, name: detector.name, confidence: Math.round(confidence * 100) / 100, evidence };
+    })
+    .filter(d => d.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const confident = new Set(detections.filter(d => d.confidence >= SUGGEST_THRESHOLD).map(d => d.id));
+
+  const recipe = RECIPE_STEPS
+    .filter(step => step.when.some(id => confident.has(id)))
+    .map(({ id, type, reason }) => ({ id, type, reason }));
+
+  const notes = [...confident].filter(id => NOTES[id]).map(id => NOTES[id]);
+
+  return { detections, recipe, notes };
+}
+
+module.exports = {
+  fingerprint,
+  DETECTORS,
+  RECIPE_STEPS,
+  SUGGEST_THRESHOLD
+};
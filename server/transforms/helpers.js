@@ -4,6 +4,7 @@
 
 const parser = require('@babel/parser');
 const generate = require('@babel/generator').default;
+const remapping = require('@jridgewell/remapping');
 
 // Parse options
 const PARSE_OPTIONS = {
@@ -11,6 +12,9 @@ const PARSE_OPTIONS = {
   plugins: ['jsx', 'typescript', 'decorators-legacy']
 };
 
+// Name the original input is recorded under in source maps
+const SOURCE_FILENAME = 'input.js';
+
 /**
  * Helper to create a transform with metadata
  * The transform function receives (input, config, options)
@@ -66,7 +70,8 @@ function createTransform(meta, transformFn) {
 
 /**
  * Create an AST-native transform (no re-parsing)
- * The transformFn receives (ast, config) and should return { ast, stats }
+ * The transformFn receives (ast, config), modifies the AST in place and returns
+ * { stats } - plus { logs: [{ type, args }] } for messages shown with the step
  */
 function createASTTransform(meta, transformFn) {
   const wrappedFn = async (input, config = {}, options = {}) => {
@@ -75,18 +80,46 @@ function createASTTransform(meta, transformFn) {
     // Parse if needed
     let ast = inputIsAST ? input : parseCode(input);
     
-    // Run transform
-    const stats = await transformFn(ast, config);
+    // Run transform - builtins return { stats }, older transforms return stats directly
+    const result = await transformFn(ast, config);
+    const stats = result && result.stats && typeof result.stats === 'object' ? result.stats : result;
+    const logs = result && Array.isArray(result.logs) ? result.logs : [];
     
     // Return based on options
     if (returnAST) {
-      return { ast, stats: stats || {} };
+      return { ast, stats: stats || {}, logs };
     } else {
-      return { code: generateCode(ast), stats: stats || {} };
+      return { code: generateCode(ast), stats: stats || {}, logs };
+    }
+  };
+  
+  wrappedFn.meta = meta;
+  wrappedFn.__source = transformFn.toString();
+  return wrappedFn;
+}
+
+/**
+ * Create a code-level transform (runs on source text, before any parse)
+ * For inputs Babel can't take yet, e.g. deeply nested self-decoding scripts.
+ * The transformFn receives (code, config) and returns { code, stats }; the
+ * chain hands it the current code without parsing it first
+ */
+function createCodeTransform(meta, transformFn) {
+  const wrappedFn = async (input, config = {}, options = {}) => {
+    const { returnAST = false } = options;
+    const code = typeof input === 'string' ? input : generateCode(input);
+    
+    const result = await transformFn(code, config);
+    const stats = result.stats || {};
+    
+    if (returnAST) {
+      return { ast: parseCode(result.code), stats };
     }
+    return { code: result.code, stats };
   };
   
   wrappedFn.meta = meta;
+  wrappedFn.operatesOnCode = true;
   wrappedFn.__source = transformFn.toString();
   return wrappedFn;
 }
@@ -113,6 +146,16 @@ function generateCode(ast) {
   }
 }
 
+/**
+ * Compose source maps into one map back to the original input
+ * @param {Object[]} maps - Newest first; each maps its code to the code before it
+ * @returns {Object} Plain source map (v3)
+ */
+function composeSourceMaps(maps) {
+  if (maps.length === 1) return maps[0];
+  return { ...remapping(maps, () => null) };
+}
+
 /**
  * Smart input handler - accepts code string OR AST
  * Returns { ast, wasAst } so caller knows if they need to generate
@@ -146,13 +189,128 @@ function isReservedWord(word) {
   return reserved.includes(word);
 }
 
+// Whether a scope block holds a direct eval or a with statement, by block node
+const dynamicBlocks = new WeakMap();
+
+/**
+ * Can a direct eval or a with statement reach a binding? One anywhere in
+ * the binding's scope (nested scopes included) may write or shadow the
+ * variable where Babel sees no reference to it
+ * @param {Binding} binding
+ * @returns {boolean}
+ */
+function isInDynamicScope(binding) {
+  const block = binding.scope.block;
+  if (!dynamicBlocks.has(block)) {
+    let dynamic = false;
+    binding.scope.path.traverse({
+      CallExpression(path) {
+        if (path.get('callee').isIdentifier({ name: 'eval' }) && !path.scope.getBinding('eval')) {
+          dynamic = true;
+          path.stop();
+        }
+      },
+      WithStatement(path) {
+        dynamic = true;
+        path.stop();
+      }
+    });
+    dynamicBlocks.set(block, dynamic);
+  }
+  return dynamicBlocks.get(block);
+}
+
+/**
+ * Does a reference only run once its variable's initializer has run?
+ * Decided by execution order, not source position: the declaration must sit
+ * directly in the body of its scope, and the reference must be in a later
+ * statement of that body - in place, or in a function created there. A
+ * function declaration is hoisted, so it counts through every reference to it.
+ * Never true where eval or with can reach the binding
+ * @param {NodePath} refPath - Reference to the binding
+ * @param {Binding} binding - Binding declared by a VariableDeclarator
+ * @returns {boolean}
+ */
+function runsAfterInitializer(refPath, binding, seen = new Set()) {
+  if (isInDynamicScope(binding)) return false;
+  const statement = binding.path.parentPath;
+  const body = statement && statement.parentPath;
+  const scopeNode = binding.scope.path.node;
+  if (!binding.path.isVariableDeclarator() || !statement.isVariableDeclaration() || !body) return false;
+  if (body.node !== scopeNode && body.node !== scopeNode.body) return false;
+
+  for (let path = refPath; path.parentPath; path = path.parentPath) {
+    const parent = path.parentPath;
+    if (parent.node === body.node) {
+      // Statements of the body run in order
+      return path.listKey === statement.listKey && path.key > statement.key;
+    }
+    if (parent.isFunctionDeclaration()) {
+      return isCalledAfterInitializer(parent, binding, seen);
+    }
+  }
+  return false;
+}
+
+// Helper: Every reference to a function declaration runs after the initializer
+function isCalledAfterInitializer(fnPath, binding, seen) {
+  // A call from inside the function only runs once it is already running
+  if (seen.has(fnPath.node)) return true;
+  seen.add(fnPath.node);
+
+  if (!fnPath.node.id || fnPath.parentPath.isExportDeclaration()) return false;
+  const fnBinding = fnPath.parentPath.scope.getBinding(fnPath.node.id.name);
+  if (!fnBinding || fnBinding.path.node !== fnPath.node || !fnBinding.constant) return false;
+  return fnBinding.referencePaths.every(ref => runsAfterInitializer(ref, binding, seen));
+}
+
+// How many initializers readsInitializedBindings follows
+const MAX_INITIALIZER_DEPTH = 10;
+
+/**
+ * Does every variable an expression reads (directly or through an
+ * initializer) hold its initializer when the expression runs? path.evaluate()
+ * resolves variables by source position, which a hoisted function called
+ * early gets around
+ * @param {NodePath} path - Expression to check
+ * @returns {boolean}
+ */
+function readsInitializedBindings(path, depth = 0) {
+  if (depth > MAX_INITIALIZER_DEPTH) return false;
+  let initialized = true;
+  const check = (idPath) => {
+    if (!idPath.isReferencedIdentifier()) return;
+    const binding = idPath.scope.getBinding(idPath.node.name);
+    if (!binding || !binding.path.isVariableDeclarator()) return;
+    if (!runsAfterInitializer(idPath, binding) ||
+        (binding.path.node.init && !readsInitializedBindings(binding.path.get('init'), depth + 1))) {
+      initialized = false;
+    }
+  };
+
+  check(path);
+  path.traverse({
+    Identifier(idPath) {
+      check(idPath);
+      if (!initialized) idPath.stop();
+    }
+  });
+  return initialized;
+}
+
 module.exports = {
   createTransform,
   createASTTransform,
+  createCodeTransform,
   parseCode,
   generateCode,
   ensureAST,
   formatOutput,
   isReservedWord,
-  PARSE_OPTIONS
+  isInDynamicScope,
+  runsAfterInitializer,
+  readsInitializedBindings,
+  composeSourceMaps,
+  PARSE_OPTIONS,
+  SOURCE_FILENAME
 };
@@ -0,0 +1,299 @@
+/**
+ * IOC Extraction - Indicators of compromise in deobfuscated code
+ *
+ * Walks the AST of the final code and collects what an analyst reports for
+ * a sample: URLs, domains, IPs, file paths, registry keys and crypto wallet
+ * addresses found in string values, base64 blobs (and the indicators inside
+ * them), and calls to APIs that fetch, execute or write - fetch,
+ * XMLHttpRequest.open, eval, document.write, WebSocket, child_process, fs.
+ *
+ * Each indicator is listed once with every location it occurs at.
+ */
+
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { PARSE_OPTIONS } = require('./helpers');
+const { normalizeFiles, groupFiles, joinFiles, locateLine } = require('./multiFile');
+
+// Top-level domains a bare host name has to end in to count as a domain
+// (keeps member chains like document.write and file names out)
+const DOMAIN_TLDS = [
+  'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'xyz', 'top', 'site', 'online', 'club', 'shop',
+  'live', 'app', 'dev', 'cloud', 'tk', 'ml', 'ga', 'cf', 'gq', 'ru', 'su', 'cn', 'ir', 'kp', 'ua', 'de',
+  'uk', 'fr', 'nl', 'br', 'in', 'jp', 'kr', 'tw', 'hk', 'us', 'ca', 'au', 'eu', 'pw', 'cc', 'ws', 'onion'
+];
+
+// Patterns run over every string value
+const PATTERNS = [
+  { type: 'url', regex: /\b(?:https?|wss?|ftp):\/\/[^\s'"<>`\\]+/gi },
+  { type: 'ip', regex: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?::\d{1,5})?\b/g },
+  { type: 'domain', regex: new RegExp(`\\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+(?:${DOMAIN_TLDS.join('|')})\\b`, 'gi') },
+  { type: 'registry', regex: /\b(?:HKEY_(?:LOCAL_MACHINE|CURRENT_USER|CLASSES_ROOT|USERS|CURRENT_CONFIG)|HK(?:LM|CU|CR|U|CC))\\[^\s'"]+/gi },
+  { type: 'path', regex: /(?:\b[a-z]:\\|%[a-z_]+%\\|\\\\[\w.-]+\\)[^\s'"<>|*?\r\n]*/gi },
+  { type: 'path', regex: /(?:^|[\s'"=])((?:\/(?:etc|tmp|var|usr|home|bin|sbin|opt|dev|proc|root|Users|Library|Applications|System)\/)[^\s'"<>|*?]*)/g, group: 1 },
+  { type: 'wallet', label: 'BTC', regex: /\b(?:bc1[a-z0-9]{39,59}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})\b/g },
+  { type: 'wallet', label: 'ETH', regex: /\b0x[a-fA-F0-9]{40}\b/g },
+  { type: 'wallet', label: 'XMR', regex: /\b4[0-9AB][1-9A-HJ-NP-Za-km-z]{93}\b/g }
+];
+
+// Sensitive APIs by the dotted name of the callee (window./self. stripped)
+const SENSITIVE_CALLS = {
+  fetch: 'network',
+  eval: 'execution',
+  Function: 'execution',
+  setTimeout: 'execution',
+  setInterval: 'execution',
+  importScripts: 'execution',
+  'document.write': 'dom',
+  'document.writeln': 'dom',
+  'document.createElement': 'dom',
+  'navigator.sendBeacon': 'network',
+  XMLHttpRequest: 'network',
+  WebSocket: 'network',
+  EventSource: 'network',
+  ActiveXObject: 'execution',
+  'WScript.CreateObject': 'execution',
+  'localStorage.setItem': 'storage',
+  'document.cookie': 'storage'
+};
+
+// Node modules whose functions are sensitive, with the functions that are
+const SENSITIVE_MODULES = {
+  child_process: ['exec', 'execSync', 'execFile', 'execFileSync', 'spawn', 'spawnSync', 'fork'],
+  fs: ['writeFile', 'writeFileSync', 'appendFile', 'appendFileSync', 'createWriteStream', 'unlink', 'unlinkSync', 'rm', 'rmSync'],
+  http: ['request', 'get'],
+  https: ['request', 'get'],
+  net: ['connect', 'createConnection'],
+  vm: ['runInThisContext', 'runInNewContext', 'runInContext']
+};
+
+const GLOBAL_ROOTS = new Set(['window', 'self', 'globalThis', 'global']);
+
+// Base64 blobs have to be at least this long to be worth reporting
+const MIN_BASE64_LENGTH = 24;
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Length of the statement excerpt kept for context
+const CONTEXT_LENGTH = 120;
+
+/**
+ * Dotted name of an identifier or member chain, or null when dynamic
+ */
+function memberName(node) {
+  if (t.isIdentifier(node)) return node.name;
+  if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+    const object = memberName(node.object);
+    if (object === null) return null;
+    if (!node.computed && t.isIdentifier(node.property)) return `${object}.${node.property.name}`;
+    if (t.isStringLiteral(node.property)) return `${object}.${node.property.value}`;
+  }
+  return null;
+}
+
+/**
+ * Module name when an expression is require('x') or require('x').y
+ */
+function requiredModule(node) {
+  if (t.isMemberExpression(node)) return requiredModule(node.object);
+  if (t.isCallExpression(node) && t.isIdentifier(node.callee, { name: 'require' }) && t.isStringLiteral(node.arguments[0])) {
+    return node.arguments[0].value.replace(/^node:/, '');
+  }
+  return null;
+}
+
+/**
+ * Node module an identifier was loaded from (const cp = require('child_process'))
+ */
+function moduleOf(path) {
+  if (!path.isIdentifier()) return null;
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding) return null;
+  if (binding.path.isVariableDeclarator()) return requiredModule(binding.path.node.init);
+  if (binding.path.isImportSpecifier() || binding.path.isImportDefaultSpecifier() || binding.path.isImportNamespaceSpecifier()) {
+    return binding.path.parent.source.value.replace(/^node:/, '');
+  }
+  return null;
+}
+
+/**
+ * Sensitive API a call or new expression uses, if any
+ * @returns {Object|null} { value, category }
+ */
+function sensitiveApi(path) {
+  const callee = path.get('callee');
+  let name = memberName(callee.node);
+
+  if (name) {
+    const [root, ...rest] = name.split('.');
+    const bound = path.scope.getBinding(root);
+    if (!bound && GLOBAL_ROOTS.has(root) && rest.length > 0) name = rest.join('.');
+    // Timers only execute code when handed a string
+    const timer = (name === 'setTimeout' || name === 'setInterval') && !t.isStringLiteral(path.node.arguments[0]) && !t.isTemplateLiteral(path.node.arguments[0]);
+    if (!bound && SENSITIVE_CALLS[name] && !timer) return { value: name, category: SENSITIVE_CALLS[name] };
+  }
+
+  if (callee.isMemberExpression()) {
+    const method = t.isIdentifier(callee.node.property) && !callee.node.computed ? callee.node.property.name : callee.node.property.value;
+    const module = requiredModule(callee.node.object) || moduleOf(callee.get('object'));
+    if (module && SENSITIVE_MODULES[module]?.includes(method)) {
+      return { value: `${module}.${method}`, category: module === 'fs' ? 'filesystem' : 'execution' };
+    }
+    // xhr.open('GET', url) - the receiver is rarely resolvable, the shape is
+    const [first] = path.node.arguments;
+    if (method === 'open' && path.node.arguments.length >= 2 && t.isStringLiteral(first) && /^(GET|POST|PUT|DELETE|HEAD|PATCH|OPTIONS)$/i.test(first.value)) {
+      return { value: 'XMLHttpRequest.open', category: 'network' };
+    }
+  }
+
+  // Destructured or imported functions: const { exec } = require('child_process')
+  if (callee.isIdentifier()) {
+    const binding = callee.scope.getBinding(callee.node.name);
+    const module = binding && (binding.path.isVariableDeclarator()
+      ? requiredModule(binding.path.node.init)
+      : binding.path.isImportSpecifier() ? binding.path.parent.source.value.replace(/^node:/, '') : null);
+    const imported = binding?.path.isImportSpecifier() ? (binding.path.node.imported.name || binding.path.node.imported.value) : callee.node.name;
+    if (module && SENSITIVE_MODULES[module]?.includes(imported)) {
+      return { value: `${module}.${imported}`, category: module === 'fs' ? 'filesystem' : 'execution' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a base64 blob when it decodes to mostly printable text
+ */
+function decodeBase64(value) {
+  if (value.length < MIN_BASE64_LENGTH || value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) return null;
+  // Hex strings and identifiers pass the pattern; real blobs mix cases and digits
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/[0-9+/]/.test(value)) return null;
+  const text = Buffer.from(value, 'base64').toString('latin1');
+  const printable = text.replace(/[^\x20-\x7e\r\n\t]/g, '').length / text.length;
+  return { text, printable: printable > 0.9 };
+}
+
+/**
+ * Extract indicators from code
+ * @param {string} code - Final (deobfuscated) code
+ * @returns {Object} { indicators: [{ type, value, category?, label?, decoded?, locations: [{ line, column, context }] }], counts }
+ */
+function extractIOCs(code) {
+  const ast = parser.parse(code, PARSE_OPTIONS);
+  const found = new Map();
+
+  const context = path => {
+    const statement = path.getStatementParent() || path;
+    return code.slice(statement.node.start, statement.node.end).replace(/\s+/g, ' ').slice(0, CONTEXT_LENGTH);
+  };
+
+  const add = (indicator, node, path) => {
+    const key = `${indicator.type}\u0000${indicator.value}`;
+    if (!found.has(key)) found.set(key, { ...indicator, locations: [] });
+    const locations = found.get(key).locations;
+    const line = node.loc?.start.line || 0;
+    const column = node.loc?.start.column || 0;
+    if (!locations.some(loc => loc.line === line && loc.column === column)) {
+      locations.push({ line, column, context: context(path) });
+    }
+  };
+
+  // Run the patterns over one string value
+  const scan = (text, node, path, extra = {}) => {
+    const urlHosts = new Set();
+    for (const pattern of PATTERNS) {
+      pattern.regex.lastIndex = 0;
+      for (const match of text.matchAll(pattern.regex)) {
+        let value = (pattern.group ? match[pattern.group] : match[0]).replace(/[.,;:)\]]+$/, '');
+        if (pattern.type === 'url') {
+          try {
+            urlHosts.add(new URL(value).hostname.toLowerCase());
+          } catch (e) {
+            continue;
+          }
+        }
+        if (pattern.type === 'domain') {
+          value = value.toLowerCase();
+          // Hosts of URLs are reported as domains once, IPs aren't domains
+          if (/^[\d.]+$/.test(value)) continue;
+        }
+        add({ type: pattern.type, value, ...(pattern.label ? { label: pattern.label } : {}), ...extra }, node, path);
+      }
+    }
+    for (const host of urlHosts) {
+      if (!/^[\d.]+$/.test(host) && host.includes('.')) add({ type: 'domain', value: host, ...extra }, node, path);
+    }
+
+    const blob = decodeBase64(text.trim());
+    if (blob) {
+      add({ type: 'base64', value: text.trim(), ...(blob.printable ? { decoded: blob.text.slice(0, 200) } : {}) }, node, path);
+      if (blob.printable) scan(blob.text, node, path, { via: 'base64' });
+    }
+  };
+
+  traverse(ast, {
+    StringLiteral(path) {
+      // Module names and object keys are not data
+      if (path.parentPath.isImportDeclaration() || path.parentPath.isExportDeclaration()) return;
+      if (path.parentPath.isObjectProperty() && path.key === 'key') return;
+      scan(path.node.value, path.node, path);
+    },
+    TemplateLiteral(path) {
+      const text = path.node.quasis.map(q => q.value.cooked ?? q.value.raw).join('${}');
+      scan(text, path.node, path);
+    },
+    'CallExpression|NewExpression'(path) {
+      const api = sensitiveApi(path);
+      if (api) add({ type: 'api', value: api.value, category: api.category }, path.node, path);
+
+      const module = requiredModule(path.node);
+      if (module && SENSITIVE_MODULES[module] && t.isIdentifier(path.node.callee, { name: 'require' })) {
+        add({ type: 'api', value: `require('${module}')`, category: module === 'fs' ? 'filesystem' : 'execution' }, path.node, path);
+      }
+    },
+    AssignmentExpression(path) {
+      // document.cookie = ..., location.href = ...
+      const name = memberName(path.node.left);
+      if (name && /^(?:(?:window|self)\.)?(?:document\.cookie|(?:document\.)?location(?:\.href)?)$/.test(name)) {
+        add({ type: 'api', value: name.replace(/^(window|self)\./, ''), category: name.includes('cookie') ? 'storage' : 'network' }, path.node, path);
+      }
+    }
+  });
+
+  const indicators = [...found.values()];
+  const counts = {};
+  for (const indicator of indicators) counts[indicator.type] = (counts[indicator.type] || 0) + 1;
+  return { indicators, counts };
+}
+
+/**
+ * Extract indicators from several files
+ * @param {Object[]} files - [{ name, code }]
+ * @returns {Object} Same as extractIOCs, locations carry { file } and lines within it
+ */
+function extractFileIOCs(files) {
+  const merged = new Map();
+
+  for (const group of groupFiles(normalizeFiles(files))) {
+    const { code, ranges } = joinFiles(group.files);
+    const { indicators } = extractIOCs(code);
+    for (const indicator of indicators) {
+      const key = `${indicator.type}\u0000${indicator.value}`;
+      if (!merged.has(key)) merged.set(key, { ...indicator, locations: [] });
+      merged.get(key).locations.push(...indicator.locations.map(loc => {
+        const at = locateLine(ranges, loc.line);
+        return at ? { ...loc, file: at.file, line: at.line } : loc;
+      }));
+    }
+  }
+
+  const indicators = [...merged.values()];
+  const counts = {};
+  for (const indicator of indicators) counts[indicator.type] = (counts[indicator.type] || 0) + 1;
+  return { indicators, counts };
+}
+
+module.exports = {
+  extractIOCs,
+  extractFileIOCs
+};
@@ -0,0 +1,237 @@
+/**
+ * Multi-file inputs
+ *
+ * Classic scripts loaded into one page share a global scope: a loader can
+ * define the string table that a stage-2 payload decodes with. To let a recipe
+ * (and the scope analyzer) see those links, script files are joined into one
+ * program with a marker comment in front of each file, and split back apart
+ * at the markers afterwards. ES modules have a scope of their own and are
+ * handled one file at a time.
+ *
+ * Markers after the first start with a `;`, so a file that ends without one
+ * isn't continued by the next (var f = function () {...} followed by (...)()
+ * would otherwise become a call):
+ *
+ *   /* @jsdeob-file "loader.js" *\/
+ *   var _0x3c4d = function (i) { return atob(_0x1a2b[i]) }
+ *   ;/* @jsdeob-file "stage2.js" *\/
+ *   (function () { console.log(_0x3c4d(0)) })()
+ */
+
+const parser = require('@babel/parser');
+
+const MARKER_PREFIX = '@jsdeob-file ';
+// The separating `;` may end up on a line of its own once code is regenerated
+const MARKER_PATTERN = /(?:^;[ \t]*\n?)?\/\* @jsdeob-file ("(?:[^"\\\n]|\\.)*") \*\/\n?/gm;
+
+/**
+ * Check whether a comment is one of the file markers
+ * @param {Object} comment - Babel comment node
+ */
+function isFileMarker(comment) {
+  return comment.type === 'CommentBlock' && comment.value.trim().startsWith(MARKER_PREFIX);
+}
+
+/**
+ * Keep only files with a name and code, giving each a unique name
+ * @param {Object[]} files - [{ name, code }]
+ * @returns {Object[]} [{ name, code }]
+ */
+function normalizeFiles(files) {
+  if (!Array.isArray(files)) return [];
+  const seen = new Set();
+  return files
+    .filter(file => file && typeof file.code === 'string')
+    .map((file, i) => {
+      // A name can't close the marker comment it is written into
+      const base = String(file.name || `file_${i + 1}.js`).replace(/\*\//g, '*_/');
+      let name = base;
+      for (let n = 2; seen.has(name); n++) name = `${base} (${n})`;
+      seen.add(name);
+      return { name, code: file.code };
+    });
+}
+
+/**
+ * Check whether a file is an ES module (import/export at the top level)
+ * Files that don't parse are treated as scripts so the error surfaces in the run
+ */
+function isModule(code) {
+  try {
+    const ast = parser.parse(code, {
+      sourceType: 'unambiguous',
+      plugins: ['jsx', 'typescript', 'decorators-legacy']
+    });
+    return ast.program.sourceType === 'module';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Join files into one program with a marker before each (and a `;` before
+ * every marker but the first)
+ * @param {Object[]} files - [{ name, code }]
+ * @returns {Object} { code, ranges: [{ name, startLine, lineCount }] } - startLine is the joined line of the file's first line
+ */
+function joinFiles(files) {
+  const parts = [];
+  const ranges = [];
+  let line = 1;
+
+  for (const file of files) {
+    const code = file.code.replace(/\s+$/, '');
+    const lineCount = code ? code.split('\n').length : 0;
+    const separator = parts.length > 0 ? ';' : '';
+    parts.push(`${separator}/* ${MARKER_PREFIX}${JSON.stringify(file.name)} */\n${code}\n`);
+    ranges.push({ name: file.name, startLine: line + 1, lineCount });
+    line += 1 + Math.max(lineCount, 1);
+  }
+
+  return { code: parts.join(''), ranges };
+}
+
+/**
+ * Split joined code back into files at the markers
+ * @param {string} code - Joined (and possibly transformed) code
+ * @param {string[]} names - Files that are expected
+ * @returns {Object} { files: [{ name, code }], missing: [names] }
+ */
+function splitFiles(code, names) {
+  const found = new Map();
+  const matches = [...code.matchAll(MARKER_PATTERN)];
+
+  matches.forEach((match, i) => {
+    let name;
+    try {
+      name = JSON.parse(match[1]);
+    } catch (e) {
+      return;
+    }
+    const start = match.index + match[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : code.length;
+    const body = code.slice(start, end).replace(/^\n+/, '').replace(/\s+$/, '');
+    found.set(name, body ? `${body}\n` : '');
+  });
+
+  return {
+    files: names.filter(name => found.has(name)).map(name => ({ name, code: found.get(name) })),
+    missing: names.filter(name => !found.has(name))
+  };
+}
+
+/**
+ * Group files the way a page would scope them: all scripts share one program,
+ * every module stands alone. Groups keep the order of their first file.
+ * @param {Object[]} files - Normalized [{ name, code }]
+ * @returns {Object[]} [{ module, files: [{ name, code }] }]
+ */
+function groupFiles(files) {
+  const groups = [];
+  let scripts = null;
+
+  for (const file of files) {
+    if (isModule(file.code)) {
+      groups.push({ module: true, files: [file] });
+    } else if (scripts) {
+      scripts.files.push(file);
+    } else {
+      scripts = { module: false, files: [file] };
+      groups.push(scripts);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Map a line of joined code to the file it came from
+ * @param {Object[]} ranges - From joinFiles
+ * @param {number} line - 1-based line in the joined code
+ * @returns {Object|null} { file, line } with a 1-based line inside the file
+ */
+function locateLine(ranges, line) {
+  for (const range of ranges) {
+    if (line >= range.startLine && line < range.startLine + Math.max(range.lineCount, 1)) {
+      return { file: range.name, line: line - range.startLine + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fold one group's result entry into the entry of earlier groups
+ * Numeric stats, durations and sizes are summed; logs are concatenated
+ */
+function mergeEntry(entry, next) {
+  if (!entry) return { ...next, stats: { ...(next.stats || {}) } };
+
+  for (const [key, value] of Object.entries(next.stats || {})) {
+    entry.stats[key] = typeof value === 'number' && typeof entry.stats[key] === 'number' ? entry.stats[key] + value : value;
+  }
+  entry.duration = (entry.duration || 0) + (next.duration || 0);
+  entry.codeSize = (entry.codeSize || 0) + (next.codeSize || 0);
+  entry.logs = [...(entry.logs || []), ...(next.logs || [])];
+  entry.skipped = entry.skipped && next.skipped;
+  if (entry.children && next.children) {
+    entry.children = entry.children.map((child, i) => mergeEntry(child, next.children[i] || {}));
+  }
+  return entry;
+}
+
+/**
+ * Run a chain across several files, one run per scope group
+ * @param {Object[]} files - Normalized [{ name, code }]
+ * @param {Function} runChain - async (code) => /run-chain response body
+ * @returns {Promise<Object>} /run-chain response body with files: [{ name, code }] in input order
+ */
+async function runFiles(files, runChain) {
+  const outputs = new Map();
+  let results = [];
+
+  for (const group of groupFiles(files)) {
+    const names = group.files.map(file => file.name);
+    const label = names.length === 1 ? names[0] : `${names.length} script files`;
+    // A file alone needs no markers (code-level transforms replace the whole text)
+    const alone = names.length === 1;
+    const result = await runChain(alone ? group.files[0].code : joinFiles(group.files).code);
+
+    if (!result.success) {
+      return { ...result, error: `${label}: ${result.error}` };
+    }
+
+    const split = alone
+      ? { files: [{ name: names[0], code: result.finalCode }], missing: [] }
+      : splitFiles(result.finalCode, names);
+    if (split.missing.length > 0) {
+      return {
+        success: false,
+        results: result.results,
+        currentCode: result.finalCode,
+        error: `A transform dropped the file markers of ${split.missing.join(', ')}, so the output can't be split back into files`
+      };
+    }
+
+    split.files.forEach(file => outputs.set(file.name, file.code));
+    results = result.results.map((entry, i) => mergeEntry(results[i], entry));
+  }
+
+  const ordered = files.map(file => ({ name: file.name, code: outputs.get(file.name) }));
+  return {
+    success: true,
+    results,
+    finalCode: joinFiles(ordered).code,
+    files: ordered
+  };
+}
+
+module.exports = {
+  isFileMarker,
+  normalizeFiles,
+  isModule,
+  joinFiles,
+  splitFiles,
+  groupFiles,
+  locateLine,
+  runFiles
+};
@@ -1,132 +1,104 @@
 /**
- * Transform Runner - Direct execution for maximum speed
- * Executes user-provided transforms against ASTs
+ * Transform Runner - Executes user-provided transforms against ASTs
+ * Plugin code runs in an isolated sandbox (see sandbox.js) with a CPU
+ * timeout and memory limit; it never sees the server's globals.
+ *
+ * Plugins can reuse the builtins through `builtins` in their scope:
+ *
+ *   await builtins.constantFolding(ast, { propagateConstants: true });
+ *   await builtins.DecodeStrings(path, {});    // one statement or expression
+ *   const { code } = await builtins.SplitSequences('a(), b();');
+ *
+ * The builtin runs here on the host, on the code of its target, and its output
+ * replaces the target in the plugin's AST. It only sees that code, so a
+ * builtin that drops unused declarations should get the whole ast. Nodes it
+ * rewrote have no source positions.
  */
 
 const parser = require('@babel/parser');
-const traverse = require('@babel/traverse').default;
 const generate = require('@babel/generator').default;
-const t = require('@babel/types');
+const sandbox = require('./sandbox');
+const builtInTransforms = require('./index');
+const { composeSourceMaps, SOURCE_FILENAME } = require('./helpers');
+
+// Builtin ids plugins can call (skips internal properties like __filePaths)
+const BUILTIN_IDS = Object.keys(builtInTransforms).filter(id => !id.startsWith('__'));
 
 /**
- * Run a user-provided transform directly
+ * Run a user-provided transform in the sandbox
  * @param {string|object} input - Code string OR AST
  * @param {string} transformCode - The user's transform code
  * @param {object} config - Configuration for the transform
- * @param {object} options - { inputIsAST, returnAST }
- * @returns {object} - { code, ast, stats, logs }
+ * @param {object} options - { inputIsAST, returnAST, timeoutMs, memoryMb, sourceMaps }
+ * @returns {object} - { code, map, ast, stats, logs, modified }
+ *   map (with sourceMaps) leads from the result back to the input code, or
+ *   for AST input to the code the AST was parsed from
  */
 async function runTransform(input, transformCode, config = {}, options = {}) {
-  const { inputIsAST = false, returnAST = false } = options;
+  const { inputIsAST = false, returnAST = false, timeoutMs, memoryMb, sourceMaps = false } = options;
   
-  // Parse if needed
-  let ast;
+  // Only code crosses into the sandbox - host AST objects would leak the host realm
+  let code = input;
+  let inputMap = null;
   if (inputIsAST && typeof input !== 'string') {
-    ast = input;
-  } else {
-    ast = parser.parse(input, {
-      sourceType: 'unambiguous',
-      plugins: ['jsx', 'typescript', 'decorators-legacy']
+    const generated = generate(input, {
+      comments: true,
+      compact: false,
+      sourceMaps,
+      sourceFileName: SOURCE_FILENAME
     });
+    code = generated.code;
+    inputMap = generated.map;
   }
   
-  const stats = {};
-  const logs = [];
-  let modified = false;
-  
-  // Console capture
-  const customConsole = {
-    log: (...args) => logs.push({ type: 'log', args: args.map(String) }),
-    warn: (...args) => logs.push({ type: 'warn', args: args.map(String) }),
-    error: (...args) => logs.push({ type: 'error', args: args.map(String) }),
-    info: (...args) => logs.push({ type: 'info', args: args.map(String) })
-  };
-  
-  // Smart traverse wrapper
-  const smartTraverse = (firstArg, secondArg) => {
-    let visitor;
-    if (secondArg !== undefined) {
-      visitor = secondArg;
-    } else if (firstArg && typeof firstArg === 'object') {
-      if (firstArg.type && typeof firstArg.type === 'string') {
-        throw new Error('traverse() called with only an AST. Usage: traverse(ast, { Visitor(path) {...} })');
-      }
-      visitor = firstArg;
-    } else {
-      throw new Error('traverse() requires a visitor object');
-    }
-    traverse(ast, visitor);
-    modified = true;
-  };
-  
-  // Execute transform directly
+  let result;
   try {
-    // Mock module/exports for transforms that use module.exports pattern
-    const module = { exports: {} };
-    const exports = module.exports;
-    
-    // Parser wrapper for plugins that need to parse code strings
-    const parserWrapper = {
-      parse: (code, opts = {}) => parser.parse(code, {
-        sourceType: 'unambiguous',
-        plugins: ['jsx', 'typescript', 'decorators-legacy'],
-        allowReturnOutsideFunction: true,
-        ...opts
-      })
-    };
-    
-    // Generate wrapper for plugins that need to generate code
-    const generateWrapper = (node, opts = {}) => generate(node, { 
-      comments: true, 
-      compact: false,
-      ...opts 
-    });
-    
-    // Run helper - executes JavaScript code and returns the result
-    // Useful for evaluating obfuscated strings/expressions
-    const run = (code) => {
-      try {
-        return eval(code);
-      } catch (e) {
-        logs.push({ type: 'error', args: [`run() error: ${e.message}`] });
-        return undefined;
-      }
-    };
-    
-    const fn = new Function(
-      'ast', 'traverse', 't', 'types', 'config', 'stats', 'console',
-      'JSON', 'Math', 'String', 'Number', 'Boolean', 'Array', 'Object', 'RegExp', 'Date',
-      'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'unescape', 'decodeURIComponent',
-      'module', 'exports', 'parser', 'generate', 'eval', 'Function', 'run',
-      transformCode
-    );
-    
-    fn(
-      ast, smartTraverse, t, t, config, stats, customConsole,
-      JSON, Math, String, Number, Boolean, Array, Object, RegExp, Date,
-      parseInt, parseFloat, isNaN, isFinite, unescape, decodeURIComponent,
-      module, exports, parserWrapper, generateWrapper, eval, Function, run
+    result = await sandbox.runInSandbox(
+      { code, transformCode, config, sourceMaps, sourceFileName: SOURCE_FILENAME, builtins: BUILTIN_IDS },
+      { timeoutMs, memoryMb, callBuiltin }
     );
-    
-    // If transform exported a visitor, run it
-    if (module.exports && typeof module.exports === 'object' && !Array.isArray(module.exports)) {
-      if (module.exports.Identifier || module.exports.CallExpression || module.exports.enter || Object.keys(module.exports).some(k => /^[A-Z]/.test(k))) {
-        smartTraverse(module.exports);
-      }
-    }
   } catch (error) {
+    // Timeouts and memory kills keep their code so callers can report them
+    if (error.code) throw error;
     throw new Error(`Transform error: ${error.message}`);
   }
   
+  if (result.error) {
+    throw new Error(`Transform error: ${result.error}`);
+  }
+  
+  let map = null;
+  if (sourceMaps && result.map) {
+    map = inputMap ? composeSourceMaps([result.map, inputMap]) : result.map;
+  }
+  
   return {
-    code: returnAST ? null : generate(ast, { comments: true, compact: false }).code,
-    ast,
-    stats,
-    logs,
-    modified
+    code: result.code,
+    map,
+    ast: returnAST ? parser.parse(result.code, {
+      sourceType: 'unambiguous',
+      plugins: ['jsx', 'typescript', 'decorators-legacy']
+    }) : null,
+    stats: result.stats || {},
+    logs: result.logs || [],
+    modified: result.modified
   };
 }
 
+/**
+ * Run a builtin for a plugin's builtins.X() call
+ * @param {Object} call - { name, code, config } from the sandbox
+ * @returns {Promise<Object>} { code, stats }
+ */
+async function callBuiltin({ name, code, config }) {
+  const transformFn = BUILTIN_IDS.includes(name) ? builtInTransforms[name] : null;
+  if (!transformFn) {
+    throw new Error(`Unknown built-in transform: ${name}`);
+  }
+  const result = await transformFn(code, config || {});
+  return { code: result.code, stats: result.stats || {} };
+}
+
 /**
  * Validate transform code syntax
  */
@@ -0,0 +1,215 @@
+/**
+ * Sandbox - Runs user transforms and builtin-evaluated code in isolated worker threads
+ *
+ * Each task executes in sandboxWorker.js with a V8 heap limit and a CPU
+ * timeout. A transform that spins forever, exhausts memory or calls
+ * process.exit() only takes down its own worker, never the server.
+ *
+ * Limits can be set server-wide with JSDEOB_SANDBOX_TIMEOUT_MS and
+ * JSDEOB_SANDBOX_MEMORY_MB, or per call via options.
+ */
+
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+const WORKER_PATH = path.join(__dirname, 'sandboxWorker.js');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.JSDEOB_SANDBOX_TIMEOUT_MS, 10) || 30000;
+const DEFAULT_MEMORY_MB = parseInt(process.env.JSDEOB_SANDBOX_MEMORY_MB, 10) || 1024;
+
+// Warm workers kept around between tasks (only for the default memory limit)
+const MAX_IDLE_WORKERS = 2;
+const idleWorkers = [];
+
+/**
+ * Create a worker with the given heap limit
+ */
+function createWorker(memoryMb) {
+  const worker = new Worker(WORKER_PATH, {
+    resourceLimits: {
+      maxOldGenerationSizeMb: memoryMb,
+      maxYoungGenerationSizeMb: Math.min(64, Math.max(8, Math.floor(memoryMb / 8)))
+    },
+    // Keep anything the sandbox writes to stdout/stderr away from the server log
+    stdout: true,
+    stderr: true
+  });
+  worker.memoryMb = memoryMb;
+  return worker;
+}
+
+/**
+ * Take an idle worker or start a new one
+ */
+function acquireWorker(memoryMb) {
+  const index = idleWorkers.findIndex(w => w.memoryMb === memoryMb);
+  const worker = index >= 0 ? idleWorkers.splice(index, 1)[0] : createWorker(memoryMb);
+  worker.ref();
+  return worker;
+}
+
+/**
+ * Return a healthy worker to the idle pool (or stop it if the pool is full)
+ */
+function releaseWorker(worker) {
+  if (worker.memoryMb === DEFAULT_MEMORY_MB && idleWorkers.length < MAX_IDLE_WORKERS) {
+    // Idle workers must not keep the process (e.g. the CLI) alive
+    worker.unref();
+    idleWorkers.push(worker);
+  } else {
+    worker.terminate();
+  }
+}
+
+/**
+ * Create a sandbox error with a machine-readable code
+ */
+function sandboxError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Run a user transform in the sandbox
+ * @param {Object} payload - { code, transformCode, config, sourceMaps, sourceFileName }
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - CPU time budget for the transform
+ * @param {number} [options.memoryMb] - Heap limit for the worker
+ * @param {Function} [options.callBuiltin] - Runs the plugin's builtins.X() calls:
+ *   ({ name, code, config }) => Promise<{ code, stats }>; the builtin names
+ *   the plugin sees come from payload.builtins
+ * @returns {Promise<Object>} { code, map, stats, logs, modified } or { error, logs }
+ */
+function runInSandbox(payload, options = {}) {
+  return runTask('transform', payload, options);
+}
+
+/**
+ * Evaluate helper code in the sandbox and call functions it defines
+ * Used by builtins that need to execute code found in the input (decoders)
+ * @param {string} setupCode - Script defining the functions to call
+ * @param {Object[]} calls - [{ callee, args }] - callee is evaluated as an expression
+ * @param {Object} [options] - Same as runInSandbox
+ * @returns {Promise<Object[]>} One { value } or { error } per call
+ */
+function evaluateInSandbox(setupCode, calls, options = {}) {
+  return runTask('evaluate', { setupCode, calls }, options);
+}
+
+/**
+ * Run code against recording browser stubs and collect its observable trace
+ * @param {string} code - Script to execute
+ * @param {Object} [options] - Same as runInSandbox
+ * @returns {Promise<Object>} { events, truncated, timedOut }
+ */
+function traceInSandbox(code, options = {}) {
+  return runTask('trace', { code }, options);
+}
+
+/**
+ * Run a self-decoding script with Function and eval hooked, capturing the
+ * code it hands them instead of executing it
+ * @param {string} code - Encoded script (JSFuck, JJencode, AAencode)
+ * @param {Object} [options] - Same as runInSandbox
+ * @returns {Promise<Object>} { payloads: [{ via, code, params }], value, error }
+ *   value is the script's completion value when it is a string
+ */
+function unwrapInSandbox(code, options = {}) {
+  return runTask('unwrap', { code }, options);
+}
+
+/**
+ * Send a task to a sandbox worker and wait for its result
+ */
+function runTask(task, payload, options) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const memoryMb = options.memoryMb || DEFAULT_MEMORY_MB;
+  const label = { evaluate: 'Evaluation', trace: 'Trace', unwrap: 'Unwrap' }[task] || 'Transform';
+
+  return new Promise((resolve, reject) => {
+    const worker = acquireWorker(memoryMb);
+    let settled = false;
+
+    const finish = (error, result, reusable) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+
+      if (reusable) {
+        releaseWorker(worker);
+      } else {
+        worker.terminate();
+      }
+
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const onMessage = (message) => {
+      if (message.call) {
+        answerCall(message.call);
+        return;
+      }
+      if (message.timedOut) {
+        finish(sandboxError(`${label} timed out after ${timeoutMs}ms`, 'SANDBOX_TIMEOUT'), null, true);
+      } else if (message.error) {
+        finish(new Error(message.error), null, true);
+      } else {
+        finish(null, message.result, true);
+      }
+    };
+
+    const onError = (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        finish(sandboxError(`${label} exceeded the ${memoryMb}MB memory limit`, 'SANDBOX_MEMORY'), null, false);
+      } else {
+        finish(error, null, false);
+      }
+    };
+
+    const onExit = (exitCode) => {
+      finish(sandboxError(`Sandbox exited unexpectedly (code ${exitCode})`, 'SANDBOX_EXIT'), null, false);
+    };
+
+    // Hard backstop for anything the in-context vm timeout can't interrupt
+    const startTimer = () => setTimeout(() => {
+      finish(sandboxError(`${label} timed out after ${timeoutMs}ms`, 'SANDBOX_TIMEOUT'), null, false);
+    }, timeoutMs + 1000);
+    let timer = startTimer();
+
+    // Run a builtin the transform asked for; the worker waits meanwhile, so
+    // the backstop only restarts once the reply is on its way
+    const answerCall = async (call) => {
+      clearTimeout(timer);
+      let reply;
+      try {
+        if (!options.callBuiltin) throw new Error('Builtins are not available here');
+        const result = await options.callBuiltin(call);
+        reply = { id: call.id, code: result.code, stats: result.stats || {} };
+      } catch (error) {
+        reply = { id: call.id, error: error.message };
+      }
+      if (settled) return;
+      timer = startTimer();
+      worker.postMessage({ callResult: reply });
+    };
+
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    worker.postMessage({ task, payload, timeoutMs });
+  });
+}
+
+module.exports = {
+  runInSandbox,
+  evaluateInSandbox,
+  traceInSandbox,
+  unwrapInSandbox,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_MEMORY_MB
+};
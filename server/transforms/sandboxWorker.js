@@ -0,0 +1,792 @@
+/**
+ * Sandbox Worker - Executes user transforms in an isolated V8 context
+ *
+ * Runs inside a worker_thread so the parent can enforce CPU time and memory
+ * limits (and terminate it outright). Plugin code is evaluated in a fresh vm
+ * context per task that only contains the bundled Babel packages
+ * (client/js/babel-bundle.js): no require, process, fs or host-realm objects,
+ * so constructor tricks only ever reach the sandbox's own Function.
+ *
+ * A plugin's builtins.X() calls are the one way out: the worker posts
+ * { call } to the parent, which runs the builtin on the code and answers
+ * with { callResult }.
+ *
+ * Worker code never calls a function or reads a property of an object from
+ * the context: a function or getter the sandboxed code planted would run with
+ * this worker's frames on its call stack, and f.caller leads from there to the
+ * host's Function. Data goes in as string literals in the script source, and
+ * each script catches what is thrown and hands back a JSON string.
+ */
+
+'use strict';
+
+const { parentPort } = require('worker_threads');
+const vm = require('vm');
+const { types } = require('util');
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_PATH = path.join(__dirname, '../../client/js/babel-bundle.js');
+
+// Compiled once per worker, executed in every fresh context
+const bundleScript = new vm.Script(fs.readFileSync(BUNDLE_PATH, 'utf-8'), { filename: 'babel-bundle.js' });
+
+// Globals the bundle expects before it runs (it was built for Web Workers)
+const preludeScript = new vm.Script(`
+  var self = globalThis;
+  var console = { log() {}, warn() {}, error() {}, info() {} };
+`, { filename: 'sandbox-prelude.js' });
+
+// Runs one transform inside the context; the worker drives it through
+// __transform. Input, status and replies are JSON strings so nothing but
+// primitives crosses the boundary. Plugin code runs as an async function:
+// each builtins.X() call is queued for the host, and the plugin continues
+// once resume() hands back the builtin's output. __transform is a
+// script-scope const and frozen, so the plugin can't swap it or its methods.
+const harnessScript = new vm.Script(`
+const __transform = Object.freeze((() => {
+  const stringify = JSON.stringify;
+  let task = null;
+
+  const startTransform = (inputJson) => {
+    const input = JSON.parse(inputJson);
+    const parser = self.babelParser;
+    const traverse = self.babelTraverse;
+    const generate = self.babelGenerator;
+    const t = self.babelTypes;
+    const AsyncFunction = (async function () {}).constructor;
+
+    const config = input.config || {};
+    const stats = {};
+    const logs = [];
+    let modified = false;
+    let outcome = null;
+
+    // Builtin calls not yet sent to the host, and those waiting for a reply
+    const pendingCalls = [];
+    const waitingCalls = new Map();
+    let nextCallId = 0;
+
+    // Console capture
+    const customConsole = {
+      log: (...args) => logs.push({ type: 'log', args: args.map(String) }),
+      warn: (...args) => logs.push({ type: 'warn', args: args.map(String) }),
+      error: (...args) => logs.push({ type: 'error', args: args.map(String) }),
+      info: (...args) => logs.push({ type: 'info', args: args.map(String) })
+    };
+
+    const execute = async () => {
+      const ast = parser.parse(input.code, {
+        sourceType: 'unambiguous',
+        plugins: ['jsx', 'typescript', 'decorators-legacy']
+      });
+
+      // Smart traverse wrapper
+      const smartTraverse = (firstArg, secondArg) => {
+        let visitor;
+        if (secondArg !== undefined) {
+          visitor = secondArg;
+        } else if (firstArg && typeof firstArg === 'object') {
+          if (firstArg.type && typeof firstArg.type === 'string') {
+            throw new Error('traverse() called with only an AST. Usage: traverse(ast, { Visitor(path) {...} })');
+          }
+          visitor = firstArg;
+        } else {
+          throw new Error('traverse() requires a visitor object');
+        }
+        traverse(ast, visitor);
+        modified = true;
+      };
+
+      // Mock module/exports for transforms that use module.exports pattern
+      const module = { exports: {} };
+      const exports = module.exports;
+
+      // Parser wrapper for plugins that need to parse code strings
+      const parserWrapper = {
+        parse: (code, opts = {}) => parser.parse(code, {
+          sourceType: 'unambiguous',
+          plugins: ['jsx', 'typescript', 'decorators-legacy'],
+          allowReturnOutsideFunction: true,
+          ...opts
+        })
+      };
+
+      // Generate wrapper for plugins that need to generate code
+      const generateWrapper = (node, opts = {}) => generate(node, {
+        comments: true,
+        compact: false,
+        ...opts
+      });
+
+      // Run helper - executes JavaScript code and returns the result
+      // Evaluated inside this context, so it has no access to the host
+      const run = (code) => {
+        try {
+          return eval(code);
+        } catch (e) {
+          logs.push({ type: 'error', args: ['run() error: ' + e.message] });
+          return undefined;
+        }
+      };
+
+      // Put a builtin's output in place of the node (or path) it ran on
+      const replaceTarget = (name, path, node, code) => {
+        const file = parserWrapper.parse(code);
+        // Positions refer to the code the builtin saw, not to the input
+        t.traverseFast(file, (n) => {
+          n.start = n.end = null;
+          n.loc = null;
+        });
+
+        let nodes;
+        if (t.isFile(node)) {
+          nodes = [file];
+        } else if (t.isProgram(node)) {
+          nodes = [file.program];
+        } else if (t.isStatement(node)) {
+          nodes = file.program.body;
+        } else {
+          const body = file.program.body;
+          if (body.length !== 1 || !t.isExpressionStatement(body[0])) {
+            throw new Error('builtins.' + name + '() turned the expression into statements');
+          }
+          nodes = [body[0].expression];
+        }
+
+        if (path) {
+          if (nodes.length === 0) path.remove();
+          else if (nodes.length === 1) path.replaceWith(nodes[0]);
+          else path.replaceWithMultiple(nodes);
+        } else if (nodes.length === 1) {
+          // Swap the contents so the parent (and ast itself) see the result
+          for (const key of Object.keys(node)) delete node[key];
+          Object.assign(node, nodes[0]);
+        } else {
+          throw new Error('builtins.' + name + '() turned the statement into ' + nodes.length + ' statements - pass its path to replace it');
+        }
+
+        // Cached scopes still describe the old nodes
+        traverse.cache.clear();
+        modified = true;
+      };
+
+      // Builtins run on the host, so the target goes out as code: a string,
+      // the ast, or a statement / expression node or its path. Whatever the
+      // builtin returns replaces the target in place
+      const callBuiltin = (name, target, callConfig) => {
+        const path = target && typeof target === 'object' && target.node && typeof target.replaceWith === 'function' ? target : null;
+        const node = path ? path.node : target;
+
+        let code;
+        if (typeof node === 'string') {
+          code = node;
+        } else if (t.isFile(node) || t.isProgram(node) || t.isStatement(node)) {
+          code = generate(node, { comments: true }).code;
+        } else if (t.isExpression(node)) {
+          code = '(' + generate(node, { comments: true }).code + ');';
+        } else {
+          return Promise.reject(new Error('builtins.' + name + '() takes code, the ast, or a statement or expression node'));
+        }
+
+        const id = ++nextCallId;
+        pendingCalls.push({ id, name, code, config: callConfig || {} });
+        return new Promise((resolve, reject) => waitingCalls.set(id, { resolve, reject })).then(
+          (reply) => {
+            if (typeof node !== 'string' && reply.code !== code) {
+              replaceTarget(name, path, node, reply.code);
+            }
+            return { code: reply.code, stats: reply.stats || {} };
+          },
+          (error) => {
+            throw new Error('builtins.' + name + '(): ' + error.message);
+          }
+        );
+      };
+
+      // builtins.ConstantFolding and builtins.constantFolding alike
+      const builtins = {};
+      for (const name of input.builtins || []) {
+        const call = (target, callConfig) => callBuiltin(name, target, callConfig);
+        builtins[name] = call;
+        builtins[name.charAt(0).toLowerCase() + name.slice(1)] = call;
+      }
+
+      const fn = new AsyncFunction(
+        'ast', 'traverse', 't', 'types', 'config', 'stats', 'console',
+        'JSON', 'Math', 'String', 'Number', 'Boolean', 'Array', 'Object', 'RegExp', 'Date',
+        'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'unescape', 'decodeURIComponent',
+        'module', 'exports', 'parser', 'generate', 'eval', 'Function', 'run', 'builtins',
+        input.transformCode
+      );
+
+      await fn(
+        ast, smartTraverse, t, t, config, stats, customConsole,
+        JSON, Math, String, Number, Boolean, Array, Object, RegExp, Date,
+        parseInt, parseFloat, isNaN, isFinite, unescape, decodeURIComponent,
+        module, exports, parserWrapper, generateWrapper, eval, Function, run, builtins
+      );
+
+      // If transform exported a visitor, run it
+      if (module.exports && typeof module.exports === 'object' && !Array.isArray(module.exports)) {
+        if (module.exports.Identifier || module.exports.CallExpression || module.exports.enter || Object.keys(module.exports).some(k => /^[A-Z]/.test(k))) {
+          smartTraverse(module.exports);
+        }
+      }
+
+      // With sourceMaps, nodes the plugin kept map back to the code it was given
+      const output = generate(ast, {
+        comments: true,
+        compact: false,
+        sourceMaps: !!input.sourceMaps,
+        sourceFileName: input.sourceFileName
+      });
+      return { code: output.code, map: output.map || undefined, stats, logs, modified };
+    };
+
+    execute().then(
+      (result) => { outcome = result; },
+      (error) => { outcome = { error: error && error.message ? error.message : String(error), logs }; }
+    );
+
+    return {
+      // { result } once the transform finished, otherwise { calls } for the host
+      status() {
+        if (outcome) return stringify({ result: outcome });
+        return stringify({ calls: pendingCalls.splice(0) });
+      },
+      // Settle builtin calls with the host's replies ({ id, code, stats } or { id, error })
+      resume(repliesJson) {
+        for (const reply of JSON.parse(repliesJson)) {
+          const waiting = waitingCalls.get(reply.id);
+          if (!waiting) continue;
+          waitingCalls.delete(reply.id);
+          if (reply.error) waiting.reject(new Error(reply.error));
+          else waiting.resolve(reply);
+        }
+      }
+    };
+  };
+
+  return {
+    start(inputJson) { task = startTransform(inputJson); },
+    status() { return task.status(); },
+    resume(repliesJson) { task.resume(repliesJson); }
+  };
+})());
+`, { filename: 'sandbox-harness.js' });
+
+/**
+ * Build a fresh context with the Babel bundle loaded
+ */
+function createSandboxContext() {
+  const context = vm.createContext(Object.create(null), {
+    name: 'jsdeob-sandbox',
+    codeGeneration: { strings: true, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  preludeScript.runInContext(context);
+  bundleScript.runInContext(context);
+  harnessScript.runInContext(context);
+  return context;
+}
+
+/**
+ * Evaluate `expression` in the context and return the JSON it produces
+ * The expression sees `input` (a string, embedded in the source as a
+ * literal) and must evaluate to a JSON string. Anything thrown is caught in
+ * the context and rethrown here as a plain host Error
+ */
+function runStep(context, expression, input, options) {
+  const script = new vm.Script(`'use strict';
+(function (input) {
+  try {
+    const output = ${expression};
+    return typeof output === 'string' ? output : null;
+  } catch (error) {
+    try {
+      return JSON.stringify({ thrown: String(error && error.message ? error.message : error) });
+    } catch (unreadable) {
+      return '{"thrown":"Sandboxed code threw an unreadable error"}';
+    }
+  }
+})(${JSON.stringify(input)})`, { filename: options.filename });
+
+  const output = script.runInContext(context, { timeout: options.timeout });
+  if (typeof output !== 'string') {
+    throw new Error('Sandbox harness was tampered with');
+  }
+  const parsed = JSON.parse(output);
+  if (parsed && typeof parsed.thrown === 'string') {
+    throw new Error(parsed.thrown);
+  }
+  return parsed;
+}
+
+/**
+ * Whether an error was created out here (a runStep failure)
+ * Anything else was thrown past the harness from the context and is not read
+ */
+function isHostError(error) {
+  return !types.isProxy(error) && error instanceof Error;
+}
+
+/**
+ * Whether an error is a vm timeout
+ * Node creates those in the context's realm, so only their own data
+ * properties are looked at - no getters, no prototype chain. `code` is
+ * assigned after construction and a setter planted on the context's
+ * Object.prototype can swallow it; the message is set by the constructor
+ */
+function isTimeout(error) {
+  if (error === null || typeof error !== 'object' || types.isProxy(error)) return false;
+  const code = Object.getOwnPropertyDescriptor(error, 'code');
+  if (code && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return true;
+  const message = Object.getOwnPropertyDescriptor(error, 'message');
+  return !!message && typeof message.value === 'string' && message.value.startsWith('Script execution timed out');
+}
+
+// Runs helper code and calls functions it defines; each call is
+// { callee, args } and yields { value } for primitives or { error }. The
+// helper runs through indirect eval with a closure appended, so its top-level
+// const/let stay visible to the callee expressions. Everything the helper
+// could tamper with is captured before it runs
+const evaluateSetupScript = new vm.Script(`
+const __evaluate = (() => {
+  const globalEval = eval;
+  const parse = JSON.parse;
+  const stringify = JSON.stringify;
+  const apply = Reflect.apply;
+
+  const describeError = (error) => {
+    try {
+      return String(error && error.message ? error.message : error);
+    } catch (unreadable) {
+      return 'Helper code threw an unreadable error';
+    }
+  };
+
+  return (inputJson) => {
+    const input = parse(inputJson);
+    let lookup;
+    try {
+      lookup = globalEval(input.setupCode + '\\n;(__jsdeobCallee) => eval(__jsdeobCallee)');
+    } catch (error) {
+      return stringify({ thrown: describeError(error) });
+    }
+
+    const results = [];
+    for (let i = 0; i < input.calls.length; i++) {
+      const call = input.calls[i];
+      try {
+        const value = apply(lookup(call.callee), undefined, call.args);
+        const type = typeof value;
+        if (type === 'string' || type === 'number' || type === 'boolean' || value === null) {
+          results[i] = { value };
+        } else {
+          results[i] = { error: 'Returned a non-primitive value (' + type + ')' };
+        }
+      } catch (error) {
+        results[i] = { error: describeError(error) };
+      }
+    }
+    return stringify(results);
+  };
+})();
+`, { filename: 'sandbox-evaluate.js' });
+
+// Instruments a bare context for behavioural tracing. Browser APIs are
+// recording stubs: every call, construction and assignment through them (and
+// console output and uncaught errors) is appended to the trace. Math.random
+// and the clock are made deterministic so two runs of equivalent code produce
+// the same trace. The traced code shares the realm, so __trace is a frozen
+// script-scope const and result() serialises with its own copy of stringify.
+const traceSetupScript = new vm.Script(`
+const __trace = Object.freeze((function () {
+  const MAX_EVENTS = 1000;
+  const stringify = JSON.stringify;
+  const trace = [];
+  let truncated = false;
+  const timers = [];
+  const listeners = [];
+  const stubPaths = new WeakMap();
+
+  const record = (event) => {
+    if (trace.length < MAX_EVENTS) trace.push(event);
+    else truncated = true;
+  };
+
+  // Stable, name-independent description of a value
+  const describe = (value, depth = 0) => {
+    if (value === null) return 'null';
+    const type = typeof value;
+    if (type === 'string') return JSON.stringify(value.length > 200 ? value.slice(0, 200) + '...' : value);
+    if (type === 'number' || type === 'boolean' || type === 'undefined' || type === 'bigint') return String(value);
+    if (type === 'symbol') return 'Symbol()';
+    if (stubPaths.has(value)) return stubPaths.get(value);
+    if (type === 'function') return '[function]';
+    if (depth > 1) return Array.isArray(value) ? '[array]' : '[object]';
+    try {
+      if (Array.isArray(value)) {
+        return '[' + value.slice(0, 10).map(v => describe(v, depth + 1)).join(', ') + ']';
+      }
+      return '{' + Object.keys(value).slice(0, 10).map(k => k + ': ' + describe(value[k], depth + 1)).join(', ') + '}';
+    } catch (e) {
+      return '[object]';
+    }
+  };
+
+  // Stub standing in for any browser object: property reads give more stubs,
+  // calls and assignments are recorded
+  const createStub = (path) => {
+    const children = new Map();
+    const assigned = new Map();
+    const stub = new Proxy(function () {}, {
+      get(target, key) {
+        if (key === Symbol.toPrimitive) return () => '';
+        if (typeof key === 'symbol' || key === 'then') return undefined;
+        if (assigned.has(key)) return assigned.get(key);
+        if (!children.has(key)) children.set(key, createStub(path + '.' + key));
+        return children.get(key);
+      },
+      set(target, key, value) {
+        record({ type: 'set', api: path + '.' + String(key), value: describe(value) });
+        assigned.set(key, value);
+        return true;
+      },
+      apply(target, thisArg, args) {
+        record({ type: 'call', api: path, args: args.map(a => describe(a)) });
+        const listenerTarget = /^(?:(.*)\\.)?addEventListener$/.exec(path);
+        if (listenerTarget && typeof args[1] === 'function') {
+          listeners.push({ path: (listenerTarget[1] || 'window') + ':' + String(args[0]), handler: args[1] });
+        }
+        return createStub(path + '()');
+      },
+      construct(target, args) {
+        record({ type: 'new', api: path, args: args.map(a => describe(a)) });
+        return createStub('new ' + path);
+      }
+    });
+    stubPaths.set(stub, path);
+    return stub;
+  };
+
+  const g = globalThis;
+  g.window = g;
+  g.self = g;
+  g.global = g;
+  for (const name of ['document', 'navigator', 'location', 'history', 'screen', 'localStorage',
+    'sessionStorage', 'XMLHttpRequest', 'fetch', 'WebSocket', 'Image', 'MutationObserver',
+    'alert', 'confirm', 'prompt', 'open', 'postMessage', 'addEventListener', 'removeEventListener',
+    'dispatchEvent', 'require', 'process', 'module', 'exports']) {
+    g[name] = createStub(name);
+  }
+  g.performance = { now: () => 0 };
+
+  const consoleLevel = (level) => (...args) => record({ type: 'console', level, args: args.map(a => describe(a)) });
+  g.console = {
+    log: consoleLevel('log'), info: consoleLevel('info'), warn: consoleLevel('warn'),
+    error: consoleLevel('error'), debug: consoleLevel('debug'), trace: consoleLevel('trace'),
+    table: consoleLevel('table'), dir: consoleLevel('dir'), clear() {}, group() {}, groupEnd() {}
+  };
+
+  // Deterministic randomness and time
+  let seed = 42;
+  Math.random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const RealDate = Date;
+  const NOW = 1700000000000;
+  const FakeDate = function (...args) {
+    if (!new.target) return new RealDate(NOW).toString();
+    return args.length ? new RealDate(...args) : new RealDate(NOW);
+  };
+  FakeDate.now = () => NOW;
+  FakeDate.parse = RealDate.parse;
+  FakeDate.UTC = RealDate.UTC;
+  FakeDate.prototype = RealDate.prototype;
+  g.Date = FakeDate;
+
+  // Timers only queue; they fire after the script, shortest delay first
+  let timerId = 0;
+  const addTimer = (name) => (handler, delay, ...args) => {
+    record({ type: 'call', api: name, args: [typeof handler === 'function' ? '[function]' : describe(handler), describe(delay)] });
+    timers.push({ handler, delay: Number(delay) || 0, args, id: ++timerId });
+    return timerId;
+  };
+  g.setTimeout = addTimer('setTimeout');
+  g.setInterval = addTimer('setInterval');
+  g.setImmediate = addTimer('setImmediate');
+  g.requestAnimationFrame = addTimer('requestAnimationFrame');
+  g.clearTimeout = g.clearInterval = (id) => {
+    const index = timers.findIndex(timer => timer.id === id);
+    if (index >= 0) timers.splice(index, 1);
+  };
+
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  g.atob = (input) => {
+    const str = String(input).replace(/[=\\s]+$/, '');
+    let output = '';
+    for (let bc = 0, bs = 0, buffer, i = 0; (buffer = str.charAt(i++)); ) {
+      buffer = BASE64.indexOf(buffer);
+      if (buffer === -1) continue;
+      bs = bc % 4 ? bs * 64 + buffer : buffer;
+      if (bc++ % 4) output += String.fromCharCode(255 & (bs >> ((-2 * bc) & 6)));
+    }
+    return output;
+  };
+  g.btoa = (input) => {
+    const str = String(input);
+    let output = '';
+    for (let block = 0, charCode, i = 0, map = BASE64; str.charAt(i | 0) || ((map = '='), i % 1); output += map.charAt(63 & (block >> (8 - (i % 1) * 8)))) {
+      charCode = str.charCodeAt((i += 3 / 4));
+      block = (block << 8) | charCode;
+    }
+    return output;
+  };
+
+  const recordError = (error) => {
+    const name = error && typeof error === 'object' && typeof error.name === 'string' ? error.name : 'Thrown';
+    const message = error && typeof error === 'object' && 'message' in error ? String(error.message) : describe(error);
+    record({ type: 'error', name, message: message.slice(0, 200) });
+  };
+
+  const invoke = (handler, args) => {
+    try {
+      if (typeof handler === 'function') handler(...args);
+      else (0, eval)(String(handler));
+    } catch (error) {
+      recordError(error);
+    }
+  };
+
+  return {
+    run(code) {
+      try {
+        (0, eval)(code);
+      } catch (error) {
+        recordError(error);
+      }
+    },
+    // Fire queued timers (intervals once) and then registered event listeners
+    flush() {
+      for (let fired = 0; timers.length > 0 && fired < 100; fired++) {
+        timers.sort((a, b) => a.delay - b.delay || a.id - b.id);
+        const timer = timers.shift();
+        invoke(timer.handler, timer.args);
+      }
+      for (const listener of listeners.splice(0, 100)) {
+        invoke(listener.handler, [createStub('event:' + listener.path)]);
+      }
+    },
+    result() {
+      return stringify({ events: trace, truncated });
+    }
+  };
+})());
+`, { filename: 'sandbox-trace.js' });
+
+// Instruments a bare context for unwrapping self-decoding scripts (JSFuck,
+// JJencode, AAencode). Those build the Function constructor out of
+// prototype chains and hand it the decoded program; here every way of
+// reaching it (Function, fn.constructor, eval) records the code instead.
+// Only the encoders' own helper shapes still run - bodies that return a
+// string literal (JJencode/AAencode's octal-escaped source), a global such as
+// eval or escape, or a regexp (JSFuck's character sources). Anything else is
+// a payload and is replaced by a no-op so it never executes. As with
+// __trace, __unwrap is a frozen script-scope const that serialises its own
+// result.
+const unwrapSetupScript = new vm.Script(`
+const __unwrap = Object.freeze((function () {
+  const NativeFunction = Function;
+  const nativeEval = eval;
+  const stringify = JSON.stringify;
+  const payloads = [];
+  let value = null;
+  let error = null;
+
+  const HELPER_SHAPES = [
+    /^\\s*return\\s*"(?:[^"\\\\\\n]|\\\\[\\s\\S])*"\\s*;?\\s*$/,
+    /^\\s*return\\s*'(?:[^'\\\\\\n]|\\\\[\\s\\S])*'\\s*;?\\s*$/,
+    /^\\s*return\\s+(?:new\\s+)?[A-Za-z_$][\\w$]*(?:\\.[A-Za-z_$][\\w$]*)*\\s*;?\\s*$/,
+    /^\\s*return\\s*\\/(?:[^\\/\\\\\\n]|\\\\.)*\\/[a-z]*\\s*;?\\s*$/
+  ];
+  const isHelper = (body) => HELPER_SHAPES.some(shape => shape.test(body));
+
+  const CaptureFunction = function (...args) {
+    const body = args.length > 0 ? String(args[args.length - 1]) : '';
+    if (isHelper(body)) return NativeFunction(...args);
+    payloads.push({ via: 'Function', code: body, params: args.slice(0, -1).map(String) });
+    return function () {};
+  };
+  CaptureFunction.prototype = NativeFunction.prototype;
+
+  const captureEval = function (code) {
+    if (typeof code !== 'string') return code;
+    payloads.push({ via: 'eval', code });
+    return undefined;
+  };
+
+  Object.defineProperty(NativeFunction.prototype, 'constructor', { value: CaptureFunction, writable: true, configurable: true });
+  globalThis.Function = CaptureFunction;
+  globalThis.eval = captureEval;
+  globalThis.self = globalThis.window = globalThis;
+
+  return {
+    run(code) {
+      try {
+        // Indirect native eval: global scope, and the script can't see these hooks
+        const completion = nativeEval.call(undefined, code);
+        // Encoders without an execution wrapper just build a string
+        if (typeof completion === 'string') value = completion;
+      } catch (thrown) {
+        error = thrown && thrown.message ? String(thrown.message) : String(thrown);
+      }
+    },
+    result() {
+      return stringify({ payloads, value, error });
+    }
+  };
+})());
+`, { filename: 'sandbox-unwrap.js' });
+
+// Budget for reading a trace back out of its context
+const COLLECT_TIMEOUT_MS = 500;
+
+// Builtin calls sent to the parent, by call id
+const hostCalls = new Map();
+
+/**
+ * Ask the parent to run a builtin; resolves with { id, code, stats } or { id, error }
+ */
+function callHost(call) {
+  return new Promise((resolve) => {
+    hostCalls.set(call.id, resolve);
+    parentPort.postMessage({ call });
+  });
+}
+
+/**
+ * Run a user transform against code
+ * The plugin runs until it finishes or waits on builtins; their calls go to
+ * the parent and the replies resume it. Only time spent in the context counts
+ * against the timeout
+ */
+async function runTransformTask(payload, timeoutMs) {
+  const context = createSandboxContext();
+  let elapsed = 0;
+  const step = (expression, input, filename) => {
+    const startTime = Date.now();
+    try {
+      return runStep(context, expression, input, { timeout: Math.max(1, timeoutMs - elapsed), filename });
+    } finally {
+      elapsed += Date.now() - startTime;
+    }
+  };
+
+  // Pending microtasks run once a script ends, so the plugin gets as far as
+  // it can before the next step asks for its status
+  step("(__transform.start(input), 'null')", JSON.stringify(payload), 'sandbox-task.js');
+
+  for (;;) {
+    const { result, calls } = step('__transform.status()', '', 'sandbox-status.js') || {};
+    if (result) return result;
+    if (!calls || calls.length === 0) {
+      throw new Error('Transform never finished - it awaited something other than builtins');
+    }
+
+    const replies = [];
+    for (const call of calls) replies.push(await callHost(call));
+    step("(__transform.resume(input), 'null')", JSON.stringify(replies), 'sandbox-resume.js');
+  }
+}
+
+/**
+ * Evaluate helper code (e.g. a string array decoder) and call into it
+ * Runs in a bare context - helper code doesn't get the Babel bundle
+ */
+function runEvaluateTask(payload, timeoutMs) {
+  const context = vm.createContext(Object.create(null), {
+    name: 'jsdeob-sandbox',
+    codeGeneration: { strings: true, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  preludeScript.runInContext(context);
+  evaluateSetupScript.runInContext(context);
+
+  return runStep(context, '__evaluate(input)', JSON.stringify(payload), { timeout: timeoutMs, filename: 'sandbox-setup.js' });
+}
+
+/**
+ * Execute code against recording browser stubs and return what it did
+ * A timeout ends the run but still returns the trace recorded so far
+ */
+function runTraceTask(payload, timeoutMs) {
+  const startTime = Date.now();
+  const context = vm.createContext(Object.create(null), {
+    name: 'jsdeob-sandbox',
+    codeGeneration: { strings: true, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  traceSetupScript.runInContext(context);
+
+  let timedOut = false;
+  try {
+    runStep(context, "(__trace.run(input), 'null')", payload.code, { timeout: timeoutMs, filename: 'sandbox-trace-run.js' });
+    const remaining = Math.max(1, timeoutMs - (Date.now() - startTime));
+    runStep(context, "(__trace.flush(), 'null')", '', { timeout: remaining, filename: 'sandbox-trace-flush.js' });
+  } catch (error) {
+    if (!isTimeout(error)) throw error;
+    timedOut = true;
+  }
+
+  // Serialising only walks recorded strings; it gets its own short budget so
+  // a run that used up the timeout still reports what it did
+  const output = runStep(context, '__trace.result()', '', { timeout: COLLECT_TIMEOUT_MS, filename: 'sandbox-trace-result.js' });
+  return { ...output, timedOut };
+}
+
+/**
+ * Execute a self-decoding script with the Function constructor and eval
+ * hooked, returning the code it tried to run instead of running it
+ */
+function runUnwrapTask(payload, timeoutMs) {
+  const startTime = Date.now();
+  const context = vm.createContext(Object.create(null), {
+    name: 'jsdeob-sandbox',
+    codeGeneration: { strings: true, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  unwrapSetupScript.runInContext(context);
+
+  runStep(context, "(__unwrap.run(input), 'null')", payload.code, { timeout: timeoutMs, filename: 'sandbox-unwrap-run.js' });
+  const remaining = Math.max(1, timeoutMs - (Date.now() - startTime));
+  return runStep(context, '__unwrap.result()', '', { timeout: remaining, filename: 'sandbox-unwrap-result.js' });
+}
+
+parentPort.on('message', async ({ task, payload, timeoutMs, callResult }) => {
+  if (callResult) {
+    const resolve = hostCalls.get(callResult.id);
+    hostCalls.delete(callResult.id);
+    if (resolve) resolve(callResult);
+    return;
+  }
+
+  try {
+    let result;
+    if (task === 'evaluate') result = runEvaluateTask(payload, timeoutMs);
+    else if (task === 'trace') result = runTraceTask(payload, timeoutMs);
+    else if (task === 'unwrap') result = runUnwrapTask(payload, timeoutMs);
+    else result = await runTransformTask(payload, timeoutMs);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    if (isTimeout(error)) {
+      parentPort.postMessage({ error: 'Script execution timed out', timedOut: true });
+    } else if (isHostError(error)) {
+      parentPort.postMessage({ error: error.message, timedOut: false });
+    } else {
+      parentPort.postMessage({ error: 'Sandboxed code threw past the harness', timedOut: false });
+    }
+  }
+});
@@ -0,0 +1,206 @@
+/**
+ * Scope analysis for the Scope panel
+ *
+ * Lists every scope with its bindings and their references. Globals that are
+ * only ever assigned (x = ..., window.x = ...) have no declaration for Babel
+ * to bind, so they are collected on the Program scope as implied globals -
+ * that is how loaders usually hand their string tables to later stages.
+ *
+ * Several files can be analyzed together: scripts share one Program scope
+ * (see multiFile.js), so a binding declared in one file lists its references
+ * in the others. Locations then carry the file they point into.
+ */
+
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const { normalizeFiles, groupFiles, joinFiles, locateLine } = require('./multiFile');
+
+// Objects whose properties are globals in a browser or in Node
+const GLOBAL_OBJECTS = new Set(['window', 'self', 'globalThis', 'global']);
+
+function parse(code) {
+  return parser.parse(code, {
+    sourceType: 'unambiguous',
+    plugins: ['jsx', 'typescript']
+  });
+}
+
+/**
+ * Undeclared names that are assigned somewhere, with all their uses
+ * @returns {Map<string, Object>} name → { writes: [nodes], reads: [nodes] }
+ */
+function collectImpliedGlobals(programPath) {
+  const implied = new Map();
+
+  const record = (name, node, write) => {
+    if (!implied.has(name)) implied.set(name, { writes: [], reads: [] });
+    implied.get(name)[write ? 'writes' : 'reads'].push(node);
+  };
+
+  const isWriteTarget = path =>
+    (path.parentPath.isAssignmentExpression() && path.parent.left === path.node) ||
+    path.parentPath.isUpdateExpression();
+
+  programPath.traverse({
+    Identifier(path) {
+      const { name } = path.node;
+      if (path.scope.getBinding(name)) return;
+      const write = isWriteTarget(path);
+      if (write || path.isReferencedIdentifier()) record(name, path.node, write);
+    },
+    MemberExpression(path) {
+      const { object, property, computed } = path.node;
+      if (!t.isIdentifier(object) || !GLOBAL_OBJECTS.has(object.name) || path.scope.getBinding(object.name)) return;
+      const name = computed ? (t.isStringLiteral(property) ? property.value : null) : property.name;
+      if (name) record(name, property, isWriteTarget(path));
+    }
+  });
+
+  for (const [name, uses] of implied) {
+    if (uses.writes.length === 0) implied.delete(name);
+  }
+  return implied;
+}
+
+/**
+ * Collect scopes and bindings from a parsed program
+ * @param {Object} ast - Babel AST
+ * @param {Function} mapLoc - Turns a Babel loc into the loc reported to the client
+ * @returns {Object[]} [{ type, bindings, loc }] - Program first
+ */
+function collectScopes(ast, mapLoc) {
+  const scopes = [];
+  const seenScopes = new Set();
+
+  const mapRef = (node, type) => {
+    const loc = mapLoc(node.loc);
+    const ref = { line: loc?.start.line, column: loc?.start.column };
+    if (loc?.file) ref.file = loc.file;
+    if (type) ref.type = type;
+    return ref;
+  };
+
+  // Helper to extract bindings from a scope
+  const extractBindings = (scope) => {
+    const bindings = {};
+    for (const [name, binding] of Object.entries(scope.bindings)) {
+      bindings[name] = {
+        kind: binding.kind,
+        references: binding.referencePaths.map(ref => mapRef(ref.node)),
+        constant: binding.constant,
+        loc: mapLoc(binding.identifier.loc)
+      };
+    }
+    return bindings;
+  };
+
+  traverse(ast, {
+    // Capture Program scope first
+    Program(path) {
+      const scope = path.scope;
+      if (seenScopes.has(scope)) return;
+      seenScopes.add(scope);
+
+      const bindings = extractBindings(scope);
+      for (const [name, uses] of collectImpliedGlobals(path)) {
+        if (bindings[name]) continue;
+        bindings[name] = {
+          kind: 'global',
+          references: [
+            ...uses.writes.slice(1).map(node => mapRef(node, 'write')),
+            ...uses.reads.map(node => mapRef(node))
+          ].sort((a, b) => (a.file || '').localeCompare(b.file || '') || a.line - b.line || a.column - b.column),
+          constant: uses.writes.length === 1,
+          loc: mapLoc(uses.writes[0].loc)
+        };
+      }
+
+      scopes.push({
+        type: 'Program',
+        bindings,
+        loc: mapLoc(path.node.loc)
+      });
+    },
+    // Capture all other scopes
+    Scope(path) {
+      // Skip Program (already handled)
+      if (path.isProgram()) return;
+
+      const scope = path.scope;
+      if (seenScopes.has(scope)) return;
+      seenScopes.add(scope);
+
+      scopes.push({
+        type: path.type,
+        bindings: extractBindings(scope),
+        loc: mapLoc(path.node.loc)
+      });
+    }
+  });
+
+  return scopes;
+}
+
+/**
+ * Analyze a single piece of code
+ * @param {string} code - Source
+ * @returns {Object[]} Scopes
+ */
+function analyzeScopes(code) {
+  return collectScopes(parse(code), loc => loc);
+}
+
+/**
+ * Analyze several files, resolving names across the scripts that share a scope
+ * @param {Object[]} files - [{ name, code }]
+ * @returns {Object[]} Scopes; locs and references carry { file } and lines within that file
+ */
+function analyzeFileScopes(files) {
+  const scopes = [];
+
+  for (const group of groupFiles(normalizeFiles(files))) {
+    const { code, ranges } = joinFiles(group.files);
+    let ast;
+    try {
+      ast = parse(code);
+    } catch (error) {
+      const at = error.loc && locateLine(ranges, error.loc.line);
+      throw new Error(at ? `${at.file}: ${error.message.replace(/\(\d+:\d+\)$/, `(${at.line}:${error.loc.column})`)}` : error.message);
+    }
+
+    const mapPosition = position => {
+      const at = position && locateLine(ranges, position.line);
+      return at && { file: at.file, line: at.line, column: position.column };
+    };
+    const mapLoc = loc => {
+      const start = loc && mapPosition(loc.start);
+      if (!start) return null;
+      const end = mapPosition(loc.end);
+      return {
+        file: start.file,
+        start: { line: start.line, column: start.column },
+        // A scope that runs into the next file ends with its first file
+        end: end && end.file === start.file ? { line: end.line, column: end.column } : { line: ranges.find(r => r.name === start.file).lineCount, column: 0 }
+      };
+    };
+
+    const groupScopes = collectScopes(ast, mapLoc);
+    // A Program scope shared by several files spans all of them
+    if (group.files.length > 1) {
+      groupScopes[0].files = group.files.map(file => file.name);
+      groupScopes[0].loc = null;
+    } else {
+      groupScopes[0].loc = { file: ranges[0].name, start: { line: 1, column: 0 }, end: { line: Math.max(ranges[0].lineCount, 1), column: 0 } };
+    }
+    scopes.push(...groupScopes);
+  }
+
+  return scopes;
+}
+
+module.exports = {
+  analyzeScopes,
+  analyzeFileScopes,
+  collectImpliedGlobals
+};
@@ -0,0 +1,204 @@
+/**
+ * Supervisor - Runs chains in chainWorker.js with timeouts and cancellation
+ *
+ * The worker reports every transform before it starts, so the supervisor
+ * always knows which step is running. When a step exceeds its budget, the
+ * whole chain exceeds its budget, or the caller aborts, the worker is
+ * terminated and the response names the step that was interrupted - the
+ * same way failedAt reports errors.
+ *
+ * Defaults can be set server-wide with JSDEOB_STEP_TIMEOUT_MS and
+ * JSDEOB_CHAIN_TIMEOUT_MS, or per call via options.
+ */
+
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+const WORKER_PATH = path.join(__dirname, 'chainWorker.js');
+
+const DEFAULT_STEP_TIMEOUT_MS = parseInt(process.env.JSDEOB_STEP_TIMEOUT_MS, 10) || 60000;
+const DEFAULT_CHAIN_TIMEOUT_MS = parseInt(process.env.JSDEOB_CHAIN_TIMEOUT_MS, 10) || 300000;
+
+// Sandboxed user transforms enforce the step budget themselves (and report it
+// in-band with their logs); the supervisor only steps in if that fails
+const SANDBOX_GRACE_MS = 2000;
+
+// One warm worker so a run doesn't pay for loading Babel and every builtin
+let idleWorker = null;
+
+/**
+ * Take the idle worker or start a new one
+ */
+function acquireWorker() {
+  const worker = idleWorker || new Worker(WORKER_PATH);
+  idleWorker = null;
+  worker.ref();
+  return worker;
+}
+
+/**
+ * Keep a healthy worker for the next run (or stop it if one is already idle)
+ */
+function releaseWorker(worker) {
+  if (!idleWorker) {
+    // The idle worker must not keep the process (e.g. the CLI) alive
+    worker.unref();
+    idleWorker = worker;
+  } else {
+    worker.terminate();
+  }
+}
+
+/**
+ * Describe a step for error messages
+ */
+function describeStep(step) {
+  const position = step.childIndex !== undefined
+    ? `step ${step.index + 1}.${step.childIndex + 1}`
+    : `step ${step.index + 1}`;
+  return `${position} (${step.transform})`;
+}
+
+/**
+ * Run a chain in a supervised worker
+ * @param {string} code - Input code
+ * @param {Object[]} recipe - Nested chain, or a flat recipe in step mode
+ * @param {Object} [options]
+ * @param {boolean} [options.stepMode=false] - Run a flat recipe one transform at a time
+ * @param {number} [options.stepTimeoutMs] - Budget for a single transform
+ * @param {number} [options.chainTimeoutMs] - Budget for the whole run
+ * @param {boolean} [options.sourceMaps=false] - Include sourceMap (final code → input) in the response
+ * @param {boolean} [options.captureSteps=false] - Include each item's generated code in its result
+ * @param {AbortSignal} [options.signal] - Aborting stops the run
+ * @param {Function} [options.log] - Progress logger
+ * @returns {Promise<Object>} Same shape as the /run-chain response body
+ */
+function runSupervised(code, recipe, options = {}) {
+  const {
+    stepMode = false,
+    stepTimeoutMs = DEFAULT_STEP_TIMEOUT_MS,
+    chainTimeoutMs = DEFAULT_CHAIN_TIMEOUT_MS,
+    sourceMaps = false,
+    captureSteps = false,
+    signal,
+    log = () => {}
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      resolve({ success: false, cancelled: true, results: [], error: 'Cancelled' });
+      return;
+    }
+
+    const worker = acquireWorker();
+    const results = [];
+    let currentStep = null;
+    let stepTimer = null;
+    let settled = false;
+
+    const finish = (error, response, reusable) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(stepTimer);
+      clearTimeout(chainTimer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+
+      if (reusable) {
+        releaseWorker(worker);
+      } else {
+        worker.terminate();
+      }
+
+      if (error) reject(error);
+      else resolve(response);
+    };
+
+    // Terminate the worker and report the step that was running
+    const stop = (reason, message) => {
+      const response = {
+        success: false,
+        results: results.slice(),
+        error: message
+      };
+      response[reason] = true;
+
+      if (currentStep) {
+        const entry = {
+          index: currentStep.index,
+          transform: currentStep.transform,
+          success: false,
+          error: message
+        };
+        entry[reason] = true;
+        if (currentStep.childIndex !== undefined) {
+          entry.failedChild = currentStep.childIndex;
+        }
+        response.results.push(entry);
+        response.failedAt = currentStep.index;
+        if (reason === 'timedOut') {
+          response.timedOutAt = currentStep.index;
+          if (currentStep.childIndex !== undefined) {
+            response.timedOutChild = currentStep.childIndex;
+          }
+        }
+      }
+
+      log(message);
+      finish(null, response, false);
+    };
+
+    const onMessage = (message) => {
+      switch (message.type) {
+        case 'log':
+          log(...message.args);
+          break;
+        case 'step':
+          currentStep = message.step;
+          clearTimeout(stepTimer);
+          stepTimer = setTimeout(() => {
+            stop('timedOut', `Timed out at ${describeStep(currentStep)} after ${stepTimeoutMs}ms`);
+          }, currentStep.type === 'builtin' ? stepTimeoutMs : stepTimeoutMs + SANDBOX_GRACE_MS);
+          break;
+        case 'result':
+          results.push(message.entry);
+          break;
+        case 'done':
+          finish(null, message.response, true);
+          break;
+        case 'error':
+          finish(new Error(message.message), null, true);
+          break;
+      }
+    };
+
+    const onError = (error) => finish(error, null, false);
+
+    const onExit = (exitCode) => {
+      finish(new Error(`Chain worker exited unexpectedly (code ${exitCode})`), null, false);
+    };
+
+    const onAbort = () => {
+      stop('cancelled', currentStep ? `Cancelled at ${describeStep(currentStep)}` : 'Cancelled');
+    };
+
+    const chainTimer = setTimeout(() => {
+      const where = currentStep ? ` at ${describeStep(currentStep)}` : '';
+      stop('timedOut', `Chain timed out${where} after ${chainTimeoutMs}ms`);
+    }, chainTimeoutMs);
+
+    signal?.addEventListener('abort', onAbort);
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    worker.postMessage({ code, recipe, stepMode, stepTimeoutMs, sourceMaps, captureSteps });
+  });
+}
+
+module.exports = {
+  runSupervised,
+  DEFAULT_STEP_TIMEOUT_MS,
+  DEFAULT_CHAIN_TIMEOUT_MS
+};
@@ -0,0 +1,113 @@
+/**
+ * Behavioural Verification - Checks that deobfuscated code still does what the input did
+ *
+ * Both programs run in the sandbox against recording browser stubs (see the
+ * trace task in sandboxWorker.js). Their traces - calls into document,
+ * window, XMLHttpRequest and friends, console output and uncaught errors -
+ * must match event for event. When they don't, the intermediate step codes
+ * of the run are traced in order to find the first step that changed
+ * behaviour.
+ */
+
+const sandbox = require('./sandbox');
+
+const DEFAULT_TRACE_TIMEOUT_MS = 5000;
+
+// Stands in for the rest of a trace that ran out of time
+const TIMEOUT_EVENT = { type: 'timeout' };
+
+/**
+ * Comparable form of a trace event
+ * Error messages mention identifiers, which renaming legitimately changes,
+ * so only the error type takes part in the comparison
+ */
+function eventSignature(event) {
+  if (event.type === 'timeout') return 'timeout';
+  if (event.type === 'error') return `error ${event.name}`;
+  if (event.type === 'console') return `console.${event.level} ${event.args.join(', ')}`;
+  if (event.type === 'set') return `set ${event.api} = ${event.value}`;
+  return `${event.type} ${event.api}(${(event.args || []).join(', ')})`;
+}
+
+/**
+ * Find the first event where two traces differ
+ * Timing out on one side only is a difference; when both time out they only
+ * have to agree as far as both got
+ * @param {Object} expected - Trace of the reference code
+ * @param {Object} actual - Trace of the code being checked
+ * @returns {Object|null} { eventIndex, expected, actual } or null when they agree
+ */
+function compareTraces(expected, actual) {
+  const shared = Math.min(expected.events.length, actual.events.length);
+
+  for (let i = 0; i < shared; i++) {
+    if (eventSignature(expected.events[i]) !== eventSignature(actual.events[i])) {
+      return { eventIndex: i, expected: expected.events[i], actual: actual.events[i] };
+    }
+  }
+
+  const next = (trace) => trace.events[shared] || (trace.timedOut ? TIMEOUT_EVENT : null);
+  if (expected.timedOut !== actual.timedOut ||
+    (!expected.timedOut && expected.events.length !== actual.events.length)) {
+    return { eventIndex: shared, expected: next(expected), actual: next(actual) };
+  }
+  return null;
+}
+
+/**
+ * Trace one program, turning sandbox failures into an empty, failed trace
+ */
+async function traceCode(code, options) {
+  try {
+    return await sandbox.traceInSandbox(code, options);
+  } catch (error) {
+    return { events: [], truncated: false, timedOut: error.code === 'SANDBOX_TIMEOUT', error: error.message };
+  }
+}
+
+/**
+ * Compare the behaviour of a chain's input and output
+ * @param {string} inputCode - Code the chain started from
+ * @param {string} outputCode - Final code of the chain
+ * @param {Object[]} [steps] - [{ index, name, code }] code after each chain item, in order
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Budget for each traced run
+ * @returns {Promise<Object>} { equivalent, inconclusive, input, output, divergence, divergentStep }
+ */
+async function verifyEquivalence(inputCode, outputCode, steps = [], options = {}) {
+  const traceOptions = { timeoutMs: options.timeoutMs || DEFAULT_TRACE_TIMEOUT_MS };
+
+  const input = await traceCode(inputCode, traceOptions);
+  const output = await traceCode(outputCode, traceOptions);
+  const divergence = compareTraces(input, output);
+
+  const report = {
+    equivalent: divergence === null,
+    // Nothing observable, or the input never finished: a match proves little
+    inconclusive: input.events.length === 0 || input.timedOut || !!input.error,
+    input,
+    output,
+    divergence,
+    divergentStep: null
+  };
+
+  if (divergence) {
+    for (const step of steps) {
+      if (typeof step.code !== 'string' || step.code === '[AST]') continue;
+      const stepDivergence = compareTraces(input, await traceCode(step.code, traceOptions));
+      if (stepDivergence) {
+        report.divergentStep = { index: step.index, name: step.name, divergence: stepDivergence };
+        break;
+      }
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  verifyEquivalence,
+  compareTraces,
+  eventSignature,
+  DEFAULT_TRACE_TIMEOUT_MS
+};